@@ -1,3 +1,15 @@
 window.VASEY_CONFIG = {
-  nominatimEmail: ''
+  nominatimEmail: '',
+  // Orbital element sources, tried in order (null keeps the built-in list:
+  // CelesTrak, a same-origin mirror at /tle/{noradId}.txt, then the bundled
+  // /tle/fallback.txt). `{noradId}` is replaced by the catalog number.
+  // `format` is 'tle' (default), 'json', 'xml', 'kvn' or 'csv'; a URL with
+  // `{format}` gets the format picked in the settings instead.
+  // `fallback: true` marks release-time elements that are never cached.
+  // For example:
+  // tleSources: [
+  //   { name: 'Internal mirror', url: 'https://tle.example.internal/{noradId}.json', format: 'json' },
+  //   { name: 'Local stand-in', url: 'http://localhost:8080/catalog.txt', fallback: true }
+  // ]
+  tleSources: null
 };
@@ -11,7 +11,11 @@ const STATIC_ASSETS = [
   '/icon-maskable-512.png',
   '/favicon-96.png',
   '/favicon-32.png',
-  '/favicon-16.png'
+  '/favicon-16.png',
+  '/textures/earth-day.jpg',
+  '/textures/earth-night.jpg',
+  '/config.js',
+  '/tle/fallback.txt'
 ];
 
 self.addEventListener('install', (event) => {
@@ -58,6 +62,7 @@ self.addEventListener('fetch', (event) => {
     url.pathname.startsWith('/assets/') ||
     url.pathname.endsWith('.svg') ||
     url.pathname.endsWith('.png') ||
+    url.pathname.endsWith('.jpg') ||
     url.pathname.endsWith('.woff2')
   ) {
     event.respondWith(
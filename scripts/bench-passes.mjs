@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Benchmark pass prediction: compares the original fixed 20-second scan
+ * against the adaptive coarse-then-fine search in src/lib/passes.js, and
+ * reports SGP4 propagation counts and wall time for each.
+ *
+ * Run: node scripts/bench-passes.mjs
+ */
+import * as satellite from 'satellite.js';
+import SunCalc from 'suncalc';
+
+let propagations = 0;
+// Count every SGP4 call made through the global the lib modules read
+globalThis.satellite = {
+  ...satellite,
+  propagate: (...args) => {
+    propagations += 1;
+    return satellite.propagate(...args);
+  }
+};
+globalThis.SunCalc = SunCalc;
+
+const { computePasses } = await import('../src/lib/passes.js');
+const { computeLookAngles, isSatSunlit } = await import('../src/lib/orbit.js');
+
+const TLE = [
+  'ISS (ZARYA)',
+  '1 25544U 98067A   19156.50900463  .00003075  00000-0  59442-4 0  9992',
+  '2 25544  51.6433  59.2583 0008217  16.4489 347.6017 15.51174618173442'
+];
+const observer = { lat: 47.6062, lon: -122.3321, height: 0 };
+const start = new Date('2019-06-05T12:00:00Z');
+// Today's default window and a 10-day trip-planning window
+const WINDOWS_HOURS = [72, 240];
+const STEP_SECONDS = 20;
+
+/**
+ * The original algorithm: propagate every 20 s across the whole window and
+ * check sunlight and sky darkness at every step spent above the horizon.
+ */
+const fixedStepScan = (satrec, windowHours) => {
+  const sat = globalThis.satellite;
+  const endMs = start.getTime() + windowHours * 3600 * 1000;
+  let passes = 0;
+  let inPass = false;
+  for (let ms = start.getTime(); ms <= endMs; ms += STEP_SECONDS * 1000) {
+    const time = new Date(ms);
+    const { position } = sat.propagate(satrec, time);
+    if (!position) continue;
+    const look = computeLookAngles(observer, position, sat.gstime(time));
+    const above = look.elevation > 0;
+    if (above) {
+      isSatSunlit(position, time);
+      SunCalc.getPosition(time, observer.lat, observer.lon);
+    }
+    if (above && !inPass) passes += 1;
+    inPass = above;
+  }
+  return passes;
+};
+
+const measure = (label, windowHours, run) => {
+  const satrec = satellite.twoline2satrec(TLE[1], TLE[2]);
+  propagations = 0;
+  const started = performance.now();
+  const passes = run(satrec);
+  const elapsed = performance.now() - started;
+  return { label, window: `${windowHours} h`, passes, propagations, ms: elapsed.toFixed(1) };
+};
+
+console.log(`Pass prediction for ${TLE[0]}`);
+for (const windowHours of WINDOWS_HOURS) {
+  const results = [
+    measure('fixed 20 s scan', windowHours, (satrec) => fixedStepScan(satrec, windowHours)),
+    measure('adaptive search', windowHours, (satrec) =>
+      computePasses(satrec, observer, start, { windowHours }).length
+    )
+  ];
+  console.table(results);
+  const [before, after] = results;
+  const ratio = ((after.propagations / before.propagations) * 100).toFixed(1);
+  console.log(`Adaptive search uses ${ratio}% of the original propagations over ${windowHours} h.`);
+}
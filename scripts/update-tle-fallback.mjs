@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Refresh the bundled fallback element sets (public/tle/fallback.txt) for
+ * the built-in catalog from CelesTrak. The app falls back to this file
+ * when no network source answers, so run it before a release.
+ *
+ * Run: npm run tle:fallback
+ */
+import { writeFile } from 'node:fs/promises';
+import { SATELLITE_CATALOG } from '../src/lib/satellites.js';
+import { DEFAULT_TLE_SOURCES, parseTleText } from '../src/lib/orbit.js';
+
+const OUTPUT = new URL('../public/tle/fallback.txt', import.meta.url);
+const celestrak = DEFAULT_TLE_SOURCES.find((source) => source.name === 'CelesTrak');
+
+const blocks = [];
+for (const { noradId, name } of SATELLITE_CATALOG) {
+  const url = celestrak.url
+    .replaceAll('{noradId}', String(noradId))
+    .replaceAll('{format}', 'TLE');
+  const response = await fetch(url);
+  const tle = response.ok ? parseTleText(await response.text(), noradId) : null;
+  if (!tle) {
+    console.error(`No elements for ${name} (${noradId}); keeping the current file.`);
+    process.exit(1);
+  }
+  blocks.push(tle.join('\n'));
+  console.log(`${name}: ${tle[1].slice(18, 32).trim()}`);
+}
+
+const header = [
+  '# Bundled fallback element sets for the built-in catalog, used only when no',
+  '# network source answers. Regenerate with `npm run tle:fallback` before a',
+  '# release: elements more than a few days old give poor predictions.',
+  `# Generated ${new Date().toISOString()} from CelesTrak.`
+];
+await writeFile(OUTPUT, `${[...header, ...blocks].join('\n')}\n`);
+console.log(`Wrote ${blocks.length} element sets to public/tle/fallback.txt`);
@@ -0,0 +1,69 @@
+// Simulation clock for the live view: follows real time until the user
+// scrubs to another moment or speeds playback up, then runs from there at
+// the chosen rate until snapped back to live.
+
+export const PLAYBACK_RATES = [1, 10, 60, 600];
+
+/**
+ * @param {() => number} [getRealTime] - Wall clock in ms (injectable for tests)
+ */
+export const createSimulationClock = (getRealTime = () => Date.now()) => {
+  // Simulated time at the real-time anchor, and how fast it advances
+  let anchorReal = getRealTime();
+  let anchorSim = anchorReal;
+  let rate = 1;
+  let live = true;
+
+  const now = () => {
+    if (live) return getRealTime();
+    return anchorSim + (getRealTime() - anchorReal) * rate;
+  };
+
+  // Restart the anchor so a rate or time change applies from this moment
+  const reanchor = (simTime) => {
+    anchorReal = getRealTime();
+    anchorSim = simTime;
+  };
+
+  /**
+   * Current simulated time.
+   * @returns {Date}
+   */
+  const getTime = () => new Date(now());
+
+  /**
+   * Jump to a moment and keep running from it at the current rate.
+   * @param {Date|number} time
+   */
+  const setTime = (time) => {
+    reanchor(new Date(time).getTime());
+    live = false;
+  };
+
+  /**
+   * Change the playback rate without moving the simulated time.
+   * @param {number} nextRate - One of PLAYBACK_RATES
+   */
+  const setRate = (nextRate) => {
+    if (!PLAYBACK_RATES.includes(nextRate)) {
+      throw new Error(`Unsupported playback rate: ${nextRate}`);
+    }
+    reanchor(now());
+    rate = nextRate;
+    // Any speed other than real time is a simulation
+    if (rate !== 1) live = false;
+  };
+
+  const getRate = () => rate;
+
+  const isLive = () => live;
+
+  // Snap back to real time at normal speed
+  const goLive = () => {
+    live = true;
+    rate = 1;
+    reanchor(getRealTime());
+  };
+
+  return { getTime, setTime, setRate, getRate, isLive, goLive };
+};
@@ -0,0 +1,154 @@
+// Orbital elements read straight from the fixed columns of a two-line
+// element set, plus the orbit size they imply, for the elements panel.
+
+import { computeTleChecksum, decodeCatalogNumber } from './omm.js';
+
+const MU_EARTH = 398600.4418; // km³/s²
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.137;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TLE_LINE_LENGTH = 69;
+// Epochs further ahead than this point at a corrupt year or day field
+const MAX_EPOCH_LEAD_DAYS = 1;
+
+// Elements older than this are flagged as stale
+export const TLE_STALE_DAYS = 3;
+
+// "59442-4" → 0.59442e-4: implied leading decimal point and a signed
+// power-of-ten exponent, as in the B* and second-derivative fields
+const parseImpliedDecimal = (field) => {
+  const match = /^([+-]?)(\d+)([+-]\d)$/.exec(field.trim());
+  if (!match) return Number.NaN;
+  return Number(`${match[1]}0.${match[2]}e${match[3]}`);
+};
+
+/**
+ * Epoch of an element set from line 1 (two-digit year, fractional day of
+ * year; years 57–99 are 1900s).
+ * @param {string} line1
+ * @returns {Date}
+ */
+export const parseTleEpoch = (line1) => {
+  const twoDigitYear = Number(line1.slice(18, 20));
+  const dayOfYear = Number(line1.slice(20, 32));
+  const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+  return new Date(Date.UTC(year, 0, 1) + (dayOfYear - 1) * DAY_MS);
+};
+
+/**
+ * Orbital elements of a TLE.
+ * @param {string[]} tle - Title line plus the two element lines
+ * @returns {{noradId: number, epoch: Date, inclination: number, raan: number, eccentricity: number, argumentOfPerigee: number, meanAnomaly: number, meanMotion: number, bstar: number, revolution: number, period: number, semiMajorAxis: number, apogee: number, perigee: number}}
+ *   Angles in degrees, mean motion in revolutions per day, period in
+ *   minutes, distances in km (apogee and perigee above the equatorial radius)
+ */
+export const parseOrbitalElements = (tle) => {
+  const [line1, line2] = tle.slice(-2);
+  const meanMotion = Number(line2.slice(52, 63));
+  const eccentricity = Number(`0.${line2.slice(26, 33).trim()}`);
+  // Kepler's third law from the mean motion in rad/s
+  const radiansPerSecond = (meanMotion * 2 * Math.PI) / 86400;
+  const semiMajorAxis = Math.cbrt(MU_EARTH / radiansPerSecond ** 2);
+
+  return {
+    noradId: decodeCatalogNumber(line1.slice(2, 7)),
+    epoch: parseTleEpoch(line1),
+    inclination: Number(line2.slice(8, 16)),
+    raan: Number(line2.slice(17, 25)),
+    eccentricity,
+    argumentOfPerigee: Number(line2.slice(34, 42)),
+    meanAnomaly: Number(line2.slice(43, 51)),
+    meanMotion,
+    bstar: parseImpliedDecimal(line1.slice(53, 61)),
+    revolution: Number(line2.slice(63, 68)),
+    period: 1440 / meanMotion,
+    semiMajorAxis,
+    apogee: semiMajorAxis * (1 + eccentricity) - EARTH_EQUATORIAL_RADIUS_KM,
+    perigee: semiMajorAxis * (1 - eccentricity) - EARTH_EQUATORIAL_RADIUS_KM
+  };
+};
+
+// One element line: its number, length and checksum
+const checkLine = (line, number) => {
+  if (typeof line !== 'string' || !line.startsWith(`${number} `)) {
+    throw new Error(`Line ${number} of the element set is missing.`);
+  }
+  if (line.length !== TLE_LINE_LENGTH) {
+    throw new Error(`Line ${number} is ${line.length} characters long, expected ${TLE_LINE_LENGTH}; the data may be truncated.`);
+  }
+  const checksum = computeTleChecksum(line);
+  if (line[68] !== String(checksum)) {
+    throw new Error(`Line ${number} checksum is ${line[68]}, expected ${checksum}; the data is corrupt.`);
+  }
+};
+
+/**
+ * Check that an element set is intact and describes the requested object
+ * before it is propagated or cached: line numbers, lengths and checksums,
+ * matching catalog numbers, a readable epoch not dated ahead, and
+ * readable angles and mean motion.
+ * @param {string[]} tle - Title line plus the two element lines
+ * @param {number} noradId - Catalog number the elements were requested for
+ * @param {Date} [now]
+ * @throws {Error} Naming the first problem found
+ */
+export const validateTle = (tle, noradId, now = new Date()) => {
+  if (!Array.isArray(tle) || tle.length !== 3) {
+    throw new Error('Element set must be a title line plus two element lines.');
+  }
+  const [, line1, line2] = tle;
+  checkLine(line1, 1);
+  checkLine(line2, 2);
+
+  const catalog1 = decodeCatalogNumber(line1.slice(2, 7));
+  const catalog2 = decodeCatalogNumber(line2.slice(2, 7));
+  if (catalog1 !== catalog2) {
+    throw new Error(`Element lines disagree on the catalog number (${line1.slice(2, 7)} and ${line2.slice(2, 7)}).`);
+  }
+  if (catalog1 !== noradId) {
+    throw new Error(`Element set is for NORAD ${line1.slice(2, 7).trim()}, not ${noradId}.`);
+  }
+
+  const dayOfYear = Number(line1.slice(20, 32));
+  if (!/^\d\d$/.test(line1.slice(18, 20)) || !(dayOfYear >= 1 && dayOfYear < 367)) {
+    throw new Error(`Element epoch "${line1.slice(18, 32).trim()}" is unreadable.`);
+  }
+  const elements = parseOrbitalElements(tle);
+  if (getTleAge(elements.epoch, now) < -MAX_EPOCH_LEAD_DAYS) {
+    throw new Error(`Element epoch ${elements.epoch.toISOString()} is in the future.`);
+  }
+
+  const fields = ['inclination', 'raan', 'eccentricity', 'argumentOfPerigee', 'meanAnomaly', 'meanMotion'];
+  const unreadable = fields.find((field) => !Number.isFinite(elements[field]));
+  if (unreadable) {
+    throw new Error(`Element set has an unreadable ${unreadable}.`);
+  }
+  if (elements.inclination > 180 || elements.meanMotion <= 0) {
+    throw new Error('Element set describes an impossible orbit.');
+  }
+};
+
+/**
+ * Age of an element set.
+ * @param {Date} epoch
+ * @param {Date} [now]
+ * @returns {number} Days (negative for elements dated ahead)
+ */
+export const getTleAge = (epoch, now = new Date()) => (now - epoch) / DAY_MS;
+
+/**
+ * Health of an element set by its age, with a one-line explanation.
+ * @param {number} ageDays
+ * @returns {{status: 'fresh'|'aging'|'stale', message: string}}
+ */
+export const describeTleHealth = (ageDays) => {
+  if (ageDays <= 1) {
+    return { status: 'fresh', message: 'Fresh elements: predictions are as good as SGP4 gets.' };
+  }
+  if (ageDays <= TLE_STALE_DAYS) {
+    return { status: 'aging', message: 'Elements are a few days old: pass times may drift by some seconds.' };
+  }
+  return {
+    status: 'stale',
+    message: `Elements are more than ${TLE_STALE_DAYS} days old: pass times may be off by a minute or more, and a reboost since the epoch would not be reflected.`
+  };
+};
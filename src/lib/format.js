@@ -21,6 +21,9 @@ export const toDegrees = (radians) => (radians * 180) / Math.PI;
 
 export const toRadians = (degrees) => (degrees * Math.PI) / 180;
 
+/** Angle brought into [0, 360). */
+export const wrapDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
 export const formatCoord = (value, positive, negative) => {
   const direction = value >= 0 ? positive : negative;
   return `${Math.abs(value).toFixed(2)}° ${direction}`;
@@ -33,6 +36,19 @@ export const formatAltitude = (km, units) => {
   return `${km.toFixed(1)} km`;
 };
 
+// Observer elevation: stored in km (as satellite.js expects), entered in
+// whole feet or meters
+const FEET_PER_KM = 3280.84;
+
+export const toElevationUnits = (km, units) =>
+  Math.round(units === 'imperial' ? km * FEET_PER_KM : km * 1000);
+
+export const fromElevationUnits = (value, units) =>
+  (units === 'imperial' ? value / FEET_PER_KM : value / 1000);
+
+export const formatMagnitude = (magnitude) =>
+  `mag ${magnitude < 0 ? '−' : '+'}${Math.abs(magnitude).toFixed(1)}`;
+
 export const formatSpeed = (kmPerSec, units) => {
   if (units === 'imperial') {
     return `${(kmPerSec * 2236.94).toFixed(0)} mph`;
@@ -50,6 +66,15 @@ export const formatTime = (date, timeFormat) => {
   return formatter.format(date);
 };
 
+export const formatClock = (date, timeFormat) => {
+  const formatter = new Intl.DateTimeFormat(undefined, {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: timeFormat === '12'
+  });
+  return formatter.format(date);
+};
+
 export const formatDateTime = (date, timeFormat) => {
   const formatter = new Intl.DateTimeFormat(undefined, {
     weekday: 'short',
@@ -77,14 +102,35 @@ export const formatAzimuth = (azimuthDeg) => {
   return `${azimuthToCompass(azimuthDeg)} ${azimuthDeg.toFixed(0)}°`;
 };
 
-export const scorePass = (maxElevation, durationSeconds, sunAltitudeDeg) => {
-  const elevationScore = Math.min(maxElevation / 90, 1) * 50;
+// Magnitudes scored from barely naked-eye (0 points) to brilliant (full)
+const FAINT_MAGNITUDE = 3;
+const BRILLIANT_MAGNITUDE = -4;
+
+/**
+ * Rank a pass out of 100. The brightness half uses the predicted peak
+ * magnitude when one is known, falling back to maximum elevation.
+ * @param {number} maxElevation - Degrees
+ * @param {number} durationSeconds
+ * @param {number} sunAltitudeDeg - Sun altitude at culmination
+ * @param {number|null} [magnitude] - Brightest predicted magnitude
+ */
+export const scorePass = (maxElevation, durationSeconds, sunAltitudeDeg, magnitude = null) => {
+  const brightnessScore = Number.isFinite(magnitude)
+    ? Math.min(Math.max(
+      (FAINT_MAGNITUDE - magnitude) / (FAINT_MAGNITUDE - BRILLIANT_MAGNITUDE), 0), 1) * 50
+    : Math.min(maxElevation / 90, 1) * 50;
   const durationScore = Math.min(durationSeconds / 600, 1) * 30;
   const darknessScore = Math.min(Math.max((-sunAltitudeDeg - 6) / 12, 0), 1) * 20;
-  return Math.round(elevationScore + durationScore + darknessScore);
+  return Math.round(brightnessScore + durationScore + darknessScore);
 };
 
-export const estimateBrightness = (maxElevation, sunAltitudeDeg) => {
+export const estimateBrightness = (maxElevation, sunAltitudeDeg, magnitude = null) => {
+  if (Number.isFinite(magnitude)) {
+    if (magnitude < -2) return 'Very bright';
+    if (magnitude < 0) return 'Bright';
+    if (magnitude < 2) return 'Moderate';
+    return 'Dim';
+  }
   const darkness = Math.min(Math.max((-sunAltitudeDeg - 6) / 12, 0), 1);
   const score = maxElevation * 0.7 + darkness * 30;
   if (score > 70) return 'Very bright';
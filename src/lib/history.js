@@ -0,0 +1,156 @@
+// Rolling history of the element sets fetched for each object, kept in
+// IndexedDB, and how far each set moves the predicted rise of a pass.
+// Comparing the sets shows how much a prediction has drifted across
+// updates, e.g. after a reboost.
+
+import { parseTleEpoch } from './elements.js';
+
+const DB_NAME = 'vasey-elements';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+// Element sets kept per object; the oldest epochs drop off first
+export const HISTORY_LIMIT = 20;
+// A pinned pass that new elements move by more than this is flagged
+export const PASS_SHIFT_THRESHOLD_SECONDS = 30;
+
+/**
+ * Add an element set to an object's history. A set whose epoch is already
+ * recorded is not added again, and past the limit the oldest epochs drop.
+ * @param {Array<{epoch: string, tle: string[], source: string, fetchedAt: string}>} history - Oldest first
+ * @param {{tle: string[], source: string, fetchedAt: Date}} elementSet
+ * @param {number} [limit]
+ * @returns {Array<{epoch: string, tle: string[], source: string, fetchedAt: string}>}
+ *   Oldest first; the same array when nothing was added
+ */
+export const mergeElementHistory = (history, elementSet, limit = HISTORY_LIMIT) => {
+  const epoch = parseTleEpoch(elementSet.tle[1]).toISOString();
+  if (history.some((entry) => entry.epoch === epoch)) return history;
+  const entry = {
+    epoch,
+    tle: elementSet.tle,
+    source: elementSet.source,
+    fetchedAt: new Date(elementSet.fetchedAt).toISOString()
+  };
+  // ISO timestamps sort chronologically as strings
+  return [...history, entry].sort((a, b) => a.epoch.localeCompare(b.epoch)).slice(-limit);
+};
+
+/**
+ * Re-predict a pass with every recorded element set.
+ * @param {Array<{epoch: string, tle: string[], source: string}>} history - Oldest first
+ * @param {Date} riseTime - Rise time predicted from the current elements
+ * @param {(tle: string[]) => {start: Date}|null} predict - The pass as
+ *   predicted from one element set, or null when that set has none near
+ * @returns {Array<{epoch: Date, source: string, start: Date|null, shiftSeconds: number|null}>}
+ *   Newest first; `shiftSeconds` is the rise time relative to `riseTime`
+ */
+export const computeRiseDrift = (history, riseTime, predict) =>
+  history
+    .map((entry) => {
+      const pass = predict(entry.tle);
+      return {
+        epoch: new Date(entry.epoch),
+        source: entry.source,
+        start: pass?.start ?? null,
+        shiftSeconds: pass ? (pass.start - riseTime) / 1000 : null
+      };
+    })
+    .reverse();
+
+/**
+ * Size of a time shift: "42 s" or "1 min 5 s".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatShift = (seconds) => {
+  const rounded = Math.round(Math.abs(seconds));
+  const minutes = Math.floor(rounded / 60);
+  return minutes ? `${minutes} min ${rounded % 60} s` : `${rounded} s`;
+};
+
+/**
+ * "42 s later", "1 min 5 s earlier" or "Same time" (within a second).
+ * @param {number} shiftSeconds - Positive when the pass rises later
+ * @returns {string}
+ */
+export const describeRiseShift = (shiftSeconds) => {
+  if (Math.round(Math.abs(shiftSeconds)) < 1) return 'Same time';
+  return `${formatShift(shiftSeconds)} ${shiftSeconds > 0 ? 'later' : 'earlier'}`;
+};
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  databasePromise ??= new Promise((resolve, reject) => {
+    const request = globalThis.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'noradId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    // Try again next time, e.g. once storage is allowed
+    databasePromise = null;
+    throw error;
+  });
+  return databasePromise;
+};
+
+const runRequest = async (mode, makeRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    const request = makeRequest(store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Recorded element sets for an object.
+ * @param {number} noradId
+ * @returns {Promise<Array<{epoch: string, tle: string[], source: string, fetchedAt: string}>>}
+ *   Oldest first; empty when IndexedDB is unavailable
+ */
+export const loadElementHistory = async (noradId) => {
+  try {
+    const record = await runRequest('readonly', (store) => store.get(noradId));
+    return record?.entries ?? [];
+  } catch {
+    // IndexedDB unavailable (private browsing, old browser) - no history
+    return [];
+  }
+};
+
+/**
+ * Add an element set to an object's stored history (see mergeElementHistory).
+ * The read and the write share one transaction, so overlapping loads of the
+ * same object each add their set.
+ * @param {number} noradId
+ * @param {{tle: string[], source: string, fetchedAt: Date}} elementSet
+ * @returns {Promise<Array<{epoch: string, tle: string[], source: string, fetchedAt: string}>>}
+ *   The updated history, oldest first
+ */
+export const recordElementSet = async (noradId, elementSet) => {
+  let database;
+  try {
+    database = await openDatabase();
+  } catch {
+    // IndexedDB unavailable - the history is not kept
+    return mergeElementHistory([], elementSet);
+  }
+  return new Promise((resolve) => {
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    let updated = null;
+    const request = store.get(noradId);
+    request.onsuccess = () => {
+      const history = request.result?.entries ?? [];
+      updated = mergeElementHistory(history, elementSet);
+      if (updated !== history) store.put({ noradId, entries: updated });
+    };
+    transaction.oncomplete = () => resolve(updated);
+    // The set still counts for this session when it cannot be stored
+    transaction.onabort = () => resolve(updated ?? mergeElementHistory([], elementSet));
+  });
+};
@@ -0,0 +1,99 @@
+// Local horizon masks: the elevation of trees, buildings and terrain per
+// azimuth sector, saved per observing location.
+// A mask is an array of N elevations (degrees); sector i is centered on
+// azimuth i * 360 / N, so index 0 is north and sectors run clockwise.
+
+export const HORIZON_SECTOR_LABELS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// ~100 m: close enough to count as the same backyard
+const LOCATION_KEY_DECIMALS = 3;
+
+/**
+ * Elevation of the local obstruction line at an azimuth.
+ * @param {number[]|null} mask
+ * @param {number} azimuthDeg
+ * @returns {number} Degrees; 0 when there is no mask
+ */
+export const getMaskElevation = (mask, azimuthDeg) => {
+  if (!mask?.length) return 0;
+  const sectorWidth = 360 / mask.length;
+  const azimuth = ((azimuthDeg % 360) + 360) % 360;
+  const index = Math.round(azimuth / sectorWidth) % mask.length;
+  return mask[index];
+};
+
+/**
+ * Validate a stored or entered mask. Values are clamped to 0–90°; anything
+ * that is not a list of numbers yields null. A mask with no obstructions
+ * is also null so callers can skip the check entirely.
+ * @param {unknown} value
+ * @returns {number[]|null}
+ */
+export const normalizeHorizonMask = (value) => {
+  if (!Array.isArray(value) || !value.length) return null;
+  const mask = value.map((entry) => Number.parseFloat(entry));
+  if (mask.some((entry) => !Number.isFinite(entry))) return null;
+  const clamped = mask.map((entry) => Math.min(Math.max(entry, 0), 90));
+  return clamped.some((entry) => entry > 0) ? clamped : null;
+};
+
+/**
+ * Storage key for a location's mask.
+ * @param {{lat: number, lon: number}} observer
+ */
+export const getHorizonKey = (observer) =>
+  `${observer.lat.toFixed(LOCATION_KEY_DECIMALS)},${observer.lon.toFixed(LOCATION_KEY_DECIMALS)}`;
+
+/**
+ * Project an azimuth/elevation onto a polar chart: zenith at the center,
+ * horizon on the outer circle, north up and east right.
+ * @returns {{x: number, y: number}}
+ */
+export const projectPolar = (azimuthDeg, elevationDeg, center, radius) => {
+  const r = radius * (1 - Math.max(elevationDeg, 0) / 90);
+  const azimuth = (azimuthDeg * Math.PI) / 180;
+  return {
+    x: center + r * Math.sin(azimuth),
+    y: center - r * Math.cos(azimuth)
+  };
+};
+
+/**
+ * Inverse of projectPolar, for clicks on the chart. Points outside the
+ * horizon circle clamp to 0° elevation.
+ * @returns {{azimuth: number, elevation: number}} Degrees
+ */
+export const unprojectPolar = (x, y, center, radius) => {
+  const dx = x - center;
+  const dy = center - y;
+  const r = Math.min(Math.hypot(dx, dy), radius);
+  const azimuth = ((Math.atan2(dx, dy) * 180) / Math.PI + 360) % 360;
+  return { azimuth, elevation: 90 * (1 - r / radius) };
+};
+
+/**
+ * SVG path data for the obstructed band of each sector, from the horizon
+ * up to the sector's mask elevation.
+ * @param {number[]|null} mask
+ * @param {number} center
+ * @param {number} radius
+ * @returns {string}
+ */
+export const buildMaskPath = (mask, center, radius) => {
+  if (!mask?.length) return '';
+  const sectorWidth = 360 / mask.length;
+  return mask
+    .map((elevation, index) => {
+      if (elevation <= 0) return '';
+      const from = index * sectorWidth - sectorWidth / 2;
+      const to = from + sectorWidth;
+      const inner = (radius * (1 - elevation / 90)).toFixed(1);
+      const f = (point) => `${point.x.toFixed(1)} ${point.y.toFixed(1)}`;
+      const a = f(projectPolar(from, 0, center, radius));
+      const b = f(projectPolar(to, 0, center, radius));
+      const c = f(projectPolar(to, elevation, center, radius));
+      const d = f(projectPolar(from, elevation, center, radius));
+      return `M${a} A${radius} ${radius} 0 0 1 ${b} L${c} A${inner} ${inner} 0 0 0 ${d} Z`;
+    })
+    .join(' ');
+};
@@ -0,0 +1,172 @@
+// Lunar ephemeris for the sky chart and transit predictions.
+// Meeus, "Astronomical Algorithms" (2nd ed.), chapter 47, keeping the
+// periodic terms above about 0.001° (longitude, latitude) and 1 km
+// (distance): about 0.01° in position, a few hundred meters of transit
+// centerline for a satellite in low orbit.
+
+import { toDegrees, toRadians, wrapDegrees } from './format.js';
+import { toJulianDate } from './sun.js';
+
+const J2000 = 2451545.0;
+// TT − UT for the 2020s; the Moon moves its own diameter in about an hour,
+// so the minute matters at transit precision
+const DELTA_T_SECONDS = 69;
+
+// [D, M, M', F, longitude (1e-6 degrees), distance (1e-3 km)], Table 47.A
+const LONGITUDE_DISTANCE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884]
+];
+
+// [D, M, M', F, latitude (1e-6 degrees)], Table 47.B
+const LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065],
+  [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],
+  [0, 1, 0, 1, -1794],
+  [0, 0, 0, 3, -1749],
+  [0, 1, -1, 1, -1565],
+  [1, 0, 0, 1, -1491],
+  [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410],
+  [0, 1, 0, -1, -1344],
+  [1, 0, 0, -1, -1335],
+  [0, 0, 3, 1, 1107]
+];
+
+export const MOON_RADIUS_KM = 1737.4;
+
+/**
+ * Apparent geocentric position of the Moon.
+ * @param {Date} date - UT
+ * @returns {{rightAscension: number, declination: number, longitude: number, latitude: number, distanceKm: number}}
+ *   Angles in degrees (right ascension 0–360)
+ */
+export const getLunarPosition = (date) => {
+  const T = (toJulianDate(date) + DELTA_T_SECONDS / 86400 - J2000) / 36525;
+
+  const meanLongitude = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T
+    + (T * T * T) / 538841;
+  const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + (T * T * T) / 545868;
+  const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T;
+  const Mprime = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T
+    + (T * T * T) / 69699;
+  const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T;
+  const A1 = 119.75 + 131.849 * T;
+  const A2 = 53.09 + 479264.29 * T;
+  const A3 = 313.45 + 481266.484 * T;
+  // Terms involving the Sun's anomaly shrink with the Earth's eccentricity
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+  const argument = (d, m, mPrime, f) => toRadians(d * D + m * M + mPrime * Mprime + f * F);
+  const eccentricity = (m) => E ** Math.abs(m);
+
+  let sumLongitude = 3958 * Math.sin(toRadians(A1))
+    + 1962 * Math.sin(toRadians(meanLongitude - F))
+    + 318 * Math.sin(toRadians(A2));
+  let sumDistance = 0;
+  LONGITUDE_DISTANCE_TERMS.forEach(([d, m, mPrime, f, longitude, distance]) => {
+    const angle = argument(d, m, mPrime, f);
+    sumLongitude += longitude * eccentricity(m) * Math.sin(angle);
+    sumDistance += distance * eccentricity(m) * Math.cos(angle);
+  });
+
+  let sumLatitude = -2235 * Math.sin(toRadians(meanLongitude))
+    + 382 * Math.sin(toRadians(A3))
+    + 175 * Math.sin(toRadians(A1 - F))
+    + 175 * Math.sin(toRadians(A1 + F))
+    + 127 * Math.sin(toRadians(meanLongitude - Mprime))
+    - 115 * Math.sin(toRadians(meanLongitude + Mprime));
+  LATITUDE_TERMS.forEach(([d, m, mPrime, f, latitude]) => {
+    sumLatitude += latitude * eccentricity(m) * Math.sin(argument(d, m, mPrime, f));
+  });
+
+  // Nutation (principal term) and true obliquity
+  const omega = toRadians(125.04452 - 1934.136261 * T);
+  const longitude = wrapDegrees(meanLongitude + sumLongitude / 1e6 - 0.00478 * Math.sin(omega));
+  const latitude = sumLatitude / 1e6;
+  const obliquity = 23.4392911 - 0.0130042 * T + 0.00256 * Math.cos(omega);
+
+  const lambda = toRadians(longitude);
+  const beta = toRadians(latitude);
+  const epsilon = toRadians(obliquity);
+  const rightAscension = wrapDegrees(toDegrees(Math.atan2(
+    Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+    Math.cos(lambda)
+  )));
+  const declination = toDegrees(Math.asin(
+    Math.sin(beta) * Math.cos(epsilon)
+    + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)
+  ));
+
+  return {
+    rightAscension,
+    declination,
+    longitude,
+    latitude,
+    distanceKm: 385000.56 + sumDistance / 1000
+  };
+};
+
+/**
+ * Moon position in Earth-centered inertial coordinates (true equator and
+ * equinox of date, as getSunEci).
+ * @param {Date} date
+ * @returns {{x: number, y: number, z: number}} km
+ */
+export const getMoonEci = (date) => {
+  const { rightAscension, declination, distanceKm } = getLunarPosition(date);
+  const alpha = toRadians(rightAscension);
+  const delta = toRadians(declination);
+  return {
+    x: distanceKm * Math.cos(delta) * Math.cos(alpha),
+    y: distanceKm * Math.cos(delta) * Math.sin(alpha),
+    z: distanceKm * Math.sin(delta)
+  };
+};
@@ -0,0 +1,347 @@
+// Orbit Mean-Elements Messages (CCSDS OMM) in the JSON, XML and KVN
+// encodings CelesTrak serves, plus its CSV GP table. Records are converted
+// to two-line element sets so the propagator, the pass worker and the
+// elements panel keep a single input format; catalog numbers above 99999
+// use the Alpha-5 scheme.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Element set formats a source can serve, with CelesTrak's FORMAT names. */
+export const ELEMENT_FORMATS = [
+  { value: 'tle', label: 'TLE', celestrak: 'TLE' },
+  { value: 'json', label: 'OMM JSON', celestrak: 'JSON' },
+  { value: 'xml', label: 'OMM XML', celestrak: 'XML' },
+  { value: 'kvn', label: 'OMM KVN', celestrak: 'KVN' },
+  { value: 'csv', label: 'CSV', celestrak: 'CSV' }
+];
+
+const REQUIRED_NUMBERS = [
+  'NORAD_CAT_ID',
+  'MEAN_MOTION',
+  'ECCENTRICITY',
+  'INCLINATION',
+  'RA_OF_ASC_NODE',
+  'ARG_OF_PERICENTER',
+  'MEAN_ANOMALY'
+];
+
+// Optional terms default to zero, as in a TLE
+const OPTIONAL_NUMBERS = [
+  'BSTAR',
+  'MEAN_MOTION_DOT',
+  'MEAN_MOTION_DDOT',
+  'EPHEMERIS_TYPE',
+  'ELEMENT_SET_NO',
+  'REV_AT_EPOCH'
+];
+
+// Alpha-5 skips I and O, so A = 10 ... Z = 33
+const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const MAX_ALPHA5_ID = 339999;
+
+/**
+ * Catalog number in the five columns a TLE has for it.
+ * @param {number} noradId
+ * @returns {string} Zero-padded digits, or Alpha-5 above 99999
+ */
+export const encodeCatalogNumber = (noradId) => {
+  if (!Number.isInteger(noradId) || noradId < 0 || noradId > MAX_ALPHA5_ID) {
+    throw new Error(`NORAD ${noradId} does not fit the five TLE catalog columns.`);
+  }
+  if (noradId < 100000) return String(noradId).padStart(5, '0');
+  const letter = ALPHA5_LETTERS[Math.floor(noradId / 10000) - 10];
+  return `${letter}${String(noradId % 10000).padStart(4, '0')}`;
+};
+
+/**
+ * Catalog number from the five TLE columns (digits or Alpha-5).
+ * @param {string} field
+ * @returns {number} NaN when the field is neither
+ */
+export const decodeCatalogNumber = (field) => {
+  const text = field.trim();
+  const index = ALPHA5_LETTERS.indexOf(text[0]);
+  if (index >= 0 && /^\d{4}$/.test(text.slice(1))) {
+    return (index + 10) * 10000 + Number(text.slice(1));
+  }
+  return /^\d+$/.test(text) ? Number(text) : Number.NaN;
+};
+
+/**
+ * Checksum of a TLE line: the digits of its first 68 columns summed modulo
+ * 10, each minus sign counting as one.
+ * @param {string} line
+ * @returns {number}
+ */
+export const computeTleChecksum = (line) => {
+  let sum = 0;
+  for (const char of line.slice(0, 68)) {
+    if (char >= '0' && char <= '9') sum += Number(char);
+    else if (char === '-') sum += 1;
+  }
+  return sum % 10;
+};
+
+// 0.59442e-4 → " 59442-4": implied leading decimal point, five digits and a
+// one-digit power of ten. Values too small for that power (below 1e-10) are
+// written as zero
+const formatImpliedDecimal = (value, field) => {
+  let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+  let digits = Math.round((Math.abs(value) / 10 ** exponent) * 1e5);
+  if (digits === 100000) {
+    digits = 10000;
+    exponent += 1;
+  }
+  if (value === 0 || exponent < -9) return ' 00000-0';
+  if (exponent > 9) {
+    throw new Error(`${field} of ${value} does not fit the TLE columns.`);
+  }
+  const sign = value < 0 ? '-' : ' ';
+  return `${sign}${String(digits).padStart(5, '0')}${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+};
+
+// 3.075e-5 → " .00003075"
+const formatMeanMotionDot = (value) => {
+  const sign = value < 0 ? '-' : ' ';
+  return `${sign}${Math.abs(value).toFixed(8).replace(/^0/, '')}`;
+};
+
+// "2019-06-05T12:12:58.000000" → "19156.50900463" (OMM epochs are UTC and
+// often carry no zone designator)
+const formatTleEpoch = (epochText) => {
+  const text = /[zZ]|[+-]\d\d:?\d\d$/.test(epochText) ? epochText : `${epochText}Z`;
+  const epoch = Date.parse(text);
+  if (Number.isNaN(epoch)) {
+    throw new Error(`Unreadable epoch "${epochText}".`);
+  }
+  const year = new Date(epoch).getUTCFullYear();
+  const dayOfYear = (epoch - Date.UTC(year, 0, 1)) / DAY_MS + 1;
+  return `${String(year % 100).padStart(2, '0')}${dayOfYear.toFixed(8).padStart(12, '0')}`;
+};
+
+// "1998-067A" → "98067A"
+const formatDesignator = (objectId) => {
+  const match = /^\d\d(\d\d)-(\d{3}[A-Z]{0,3})$/.exec(String(objectId ?? '').trim());
+  return match ? `${match[1]}${match[2]}` : '';
+};
+
+const formatAngle = (value) => value.toFixed(4).padStart(8);
+
+const readNumber = (record, key, required) => {
+  const raw = record[key];
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    if (required) throw new Error(`Element set is missing ${key}.`);
+    return 0;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Element set has an unreadable ${key} "${raw}".`);
+  }
+  return value;
+};
+
+/**
+ * Two-line element set for an OMM record.
+ * @param {Object<string, string|number>} record - OMM fields by keyword
+ *   (OBJECT_NAME, EPOCH, MEAN_MOTION, ...)
+ * @returns {string[]} Title line plus the two element lines
+ * @throws {Error} When a required field is missing or unreadable
+ */
+export const ommToTle = (record) => {
+  const values = {};
+  for (const key of REQUIRED_NUMBERS) values[key] = readNumber(record, key, true);
+  for (const key of OPTIONAL_NUMBERS) values[key] = readNumber(record, key, false);
+  if (!record.EPOCH) throw new Error('Element set is missing EPOCH.');
+  if (values.ECCENTRICITY < 0 || values.ECCENTRICITY >= 1) {
+    throw new Error(`Element set has an eccentricity of ${values.ECCENTRICITY}.`);
+  }
+
+  const catalog = encodeCatalogNumber(values.NORAD_CAT_ID);
+  const classification = String(record.CLASSIFICATION_TYPE ?? 'U').trim().charAt(0) || 'U';
+  const line1 = [
+    `1 ${catalog}${classification}`,
+    formatDesignator(record.OBJECT_ID).padEnd(8),
+    formatTleEpoch(String(record.EPOCH).trim()),
+    formatMeanMotionDot(values.MEAN_MOTION_DOT),
+    formatImpliedDecimal(values.MEAN_MOTION_DDOT, 'MEAN_MOTION_DDOT'),
+    formatImpliedDecimal(values.BSTAR, 'BSTAR'),
+    String(values.EPHEMERIS_TYPE),
+    String(values.ELEMENT_SET_NO % 10000).padStart(4)
+  ].join(' ');
+  const line2 = [
+    `2 ${catalog}`,
+    formatAngle(values.INCLINATION),
+    formatAngle(values.RA_OF_ASC_NODE),
+    values.ECCENTRICITY.toFixed(7).slice(2),
+    formatAngle(values.ARG_OF_PERICENTER),
+    formatAngle(values.MEAN_ANOMALY),
+    `${values.MEAN_MOTION.toFixed(8).padStart(11)}${String(values.REV_AT_EPOCH % 100000).padStart(5)}`
+  ].join(' ');
+
+  const title = String(record.OBJECT_NAME ?? '').trim() || `NORAD ${values.NORAD_CAT_ID}`;
+  return [title, `${line1}${computeTleChecksum(line1)}`, `${line2}${computeTleChecksum(line2)}`];
+};
+
+/**
+ * OMM records from CelesTrak's JSON (an array of objects, or one object).
+ * @param {string} text
+ * @returns {Array<Object<string, string|number>>}
+ * @throws {Error} When the text is not JSON
+ */
+export const parseOmmJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Element data is not valid JSON.');
+  }
+  const records = Array.isArray(parsed) ? parsed : [parsed];
+  return records.filter((record) => record && typeof record === 'object');
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) =>
+  text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+
+/**
+ * OMM records from the XML encoding, one per `<omm>` element. Only the flat
+ * keyword elements are read; attributes and nesting are ignored.
+ * @param {string} text
+ * @returns {Array<Object<string, string>>}
+ * @throws {Error} When the text holds no OMM element
+ */
+export const parseOmmXml = (text) => {
+  const blocks = String(text).match(/<omm\b[\s\S]*?<\/omm>/g);
+  if (!blocks) throw new Error('Element data is not OMM XML.');
+  return blocks.map((block) => {
+    const record = {};
+    for (const [, key, value] of block.matchAll(/<([A-Z][A-Z0-9_]*)>([^<]*)<\/\1>/g)) {
+      record[key] = decodeXml(value.trim());
+    }
+    return record;
+  });
+};
+
+/**
+ * OMM records from the keyword = value encoding. Each CCSDS_OMM_VERS line
+ * starts a record; units in square brackets and COMMENT lines are dropped.
+ * @param {string} text
+ * @returns {Array<Object<string, string>>}
+ * @throws {Error} When the text holds no OMM header
+ */
+export const parseOmmKvn = (text) => {
+  const records = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const match = /^\s*([A-Z][A-Z0-9_]*)\s*=\s*(.*?)\s*(?:\[[^\]]*\])?\s*$/.exec(line);
+    if (!match) continue;
+    const [, key, value] = match;
+    if (key === 'CCSDS_OMM_VERS') records.push({});
+    if (records.length) records[records.length - 1][key] = value;
+  }
+  if (!records.length) throw new Error('Element data is not OMM KVN.');
+  return records;
+};
+
+// One CSV row, honoring double-quoted fields with embedded commas and ""
+const splitCsvRow = (row) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < row.length; index += 1) {
+    const char = row[index];
+    if (quoted) {
+      if (char === '"' && row[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+};
+
+/**
+ * OMM records from a CSV GP table with a header row of OMM keywords.
+ * @param {string} text
+ * @returns {Array<Object<string, string>>}
+ * @throws {Error} When the header has no NORAD_CAT_ID column
+ */
+export const parseGpCsv = (text) => {
+  const [header, ...rows] = String(text)
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  const keys = header ? splitCsvRow(header) : [];
+  if (!keys.includes('NORAD_CAT_ID')) {
+    throw new Error('Element data is not a CSV table with a NORAD_CAT_ID column.');
+  }
+  return rows.map((row) => {
+    const fields = splitCsvRow(row);
+    return Object.fromEntries(keys.map((key, index) => [key, fields[index] ?? '']));
+  });
+};
+
+const RECORD_PARSERS = {
+  json: parseOmmJson,
+  xml: parseOmmXml,
+  kvn: parseOmmKvn,
+  csv: parseGpCsv
+};
+
+/**
+ * Every object in OMM or CSV element data, converted to TLEs.
+ * @param {string} text
+ * @param {'json'|'xml'|'kvn'|'csv'} format
+ * @returns {string[][]} Title line plus the two element lines per object
+ * @throws {Error} When the data is malformed or a record is incomplete
+ */
+export const parseOmmSets = (text, format) => {
+  const parse = RECORD_PARSERS[format];
+  if (!parse) throw new Error(`Unknown element format "${format}".`);
+  return parse(text).map(ommToTle);
+};
+
+/**
+ * Guess the format of pasted or dropped element data.
+ * @param {string} text
+ * @returns {'tle'|'json'|'xml'|'kvn'|'csv'|null} Null when it looks like
+ *   none of them
+ */
+export const detectElementFormat = (text) => {
+  const trimmed = String(text).trim();
+  if (/^[[{]/.test(trimmed)) return 'json';
+  if (trimmed.startsWith('<')) return 'xml';
+  if (/^\s*CCSDS_OMM_VERS\s*=/m.test(trimmed)) return 'kvn';
+  const [firstLine = ''] = trimmed.split(/\r?\n/);
+  if (firstLine.includes(',') && firstLine.includes('NORAD_CAT_ID')) return 'csv';
+  if (/^1 .+\r?\n2 /m.test(trimmed)) return 'tle';
+  return null;
+};
+
+/**
+ * Find one object in OMM or CSV element data and convert it to a TLE.
+ * @param {string} text
+ * @param {number} noradId
+ * @param {'json'|'xml'|'kvn'|'csv'} format
+ * @returns {string[]|null} Title line plus the two element lines, or null
+ *   when the data has no record for the object
+ * @throws {Error} When the data is malformed or the object's record is
+ *   incomplete
+ */
+export const parseOmmText = (text, noradId, format) => {
+  const parse = RECORD_PARSERS[format];
+  if (!parse) throw new Error(`Unknown element format "${format}".`);
+  const record = parse(text).find((entry) => Number(entry.NORAD_CAT_ID) === noradId);
+  return record ? ommToTle(record) : null;
+};
@@ -1,10 +1,25 @@
 import { toDegrees, toRadians } from './format.js';
+import { DEFAULT_NORAD_ID } from './satellites.js';
+import { getSunEci } from './sun.js';
+import {
+  ELEMENT_FORMATS,
+  decodeCatalogNumber,
+  detectElementFormat,
+  parseOmmSets,
+  parseOmmText
+} from './omm.js';
+import { getTleAge, parseTleEpoch, TLE_STALE_DAYS, validateTle } from './elements.js';
 
-const TLE_URL =
-  'https://celestrak.org/NORAD/elements/gp.php?CATNR=25544&FORMAT=TLE';
-const CACHE_KEY = 'iss-tle-cache-v1';
+const CACHE_KEY_PREFIX = 'tle-cache-v1-';
 const CACHE_TTL_MS = 12 * 60 * 60 * 1000;
 const EARTH_RADIUS_KM = 6371;
+const SUN_RADIUS_KM = 696000;
+// Grazing sunlight is refracted and extinguished in the lowest layers of the
+// atmosphere, so the shadow is cast by a slightly larger body than the
+// solid Earth
+const SHADOW_ATMOSPHERE_KM = 15;
+const SHADOW_RADIUS_KM = EARTH_RADIUS_KM + SHADOW_ATMOSPHERE_KM;
+const SUNLIT_THRESHOLD = 0.5;
 
 const getSatellite = () => {
   const satellite = globalThis.satellite;
@@ -14,50 +29,323 @@ const getSatellite = () => {
   return satellite;
 };
 
-export const fetchTle = async () => {
-  try {
-    const cached = localStorage.getItem(CACHE_KEY);
-    if (cached) {
-      const parsed = JSON.parse(cached);
-      if (Date.now() - parsed.timestamp < CACHE_TTL_MS && parsed.tle?.length === 3) {
-        return parsed.tle;
-      }
-    }
-  } catch {
-    // localStorage unavailable or corrupt - fetch fresh
+/**
+ * Element sources, tried in order until one has the object. `{noradId}` in
+ * a URL is replaced by the catalog number. A URL with `{format}` serves the
+ * format picked in the settings (CelesTrak's FORMAT name is filled in); any
+ * other source serves its `format`, TLE by default. A `fallback` source
+ * holds release-time elements: they are never cached, so the live sources
+ * are asked again next time, and the last good cache entry is preferred.
+ * `window.VASEY_CONFIG.tleSources` (see public/config.js) replaces this list.
+ */
+export const DEFAULT_TLE_SOURCES = [
+  {
+    name: 'CelesTrak',
+    url: 'https://celestrak.org/NORAD/elements/gp.php?CATNR={noradId}&FORMAT={format}'
+  },
+  // Same-origin mirror, for deployments that sync elements themselves
+  { name: 'Mirror', url: '/tle/{noradId}.txt' },
+  // Shipped with the app, refreshed by `npm run tle:fallback`
+  { name: 'Bundled', url: '/tle/fallback.txt', fallback: true }
+];
+
+const SOURCE_TIMEOUT_MS = 15000;
+// Source name of element sets the user imported by hand
+export const MANUAL_SOURCE = 'Manual';
+
+// satellite.js satrec.error codes, from SGP4's initialization
+const SGP4_ERRORS = {
+  1: 'the mean eccentricity or semi-major axis is out of range',
+  2: 'the mean motion is negative',
+  3: 'the perturbed eccentricity is out of range',
+  4: 'the semi-latus rectum is negative',
+  5: 'the orbit is sub-orbital at epoch',
+  6: 'the satellite has decayed'
+};
+
+const isElementFormat = (format) => ELEMENT_FORMATS.some((entry) => entry.value === format);
+
+/**
+ * Source list from the runtime config, or the defaults when it has none.
+ * Entries without a URL are dropped, and unknown formats read as TLE.
+ * @param {{tleSources?: Array<{name?: string, url: string, fallback?: boolean, format?: string}>}} [config]
+ * @returns {Array<{name: string, url: string, fallback: boolean, format: string}>}
+ */
+export const resolveTleSources = (config) => {
+  const configured = Array.isArray(config?.tleSources)
+    ? config.tleSources.filter((source) => typeof source?.url === 'string' && source.url.trim())
+    : [];
+  const sources = configured.length ? configured : DEFAULT_TLE_SOURCES;
+  return sources.map((source, index) => ({
+    name: typeof source.name === 'string' && source.name.trim()
+      ? source.name.trim()
+      : `Source ${index + 1}`,
+    url: source.url.trim(),
+    fallback: Boolean(source.fallback),
+    format: isElementFormat(source.format) ? source.format : 'tle'
+  }));
+};
+
+/**
+ * Find one object's element set in TLE text (two- or three-line format,
+ * one or many objects; blank lines and `#` comments are skipped).
+ * @param {string} text
+ * @param {number} noradId
+ * @returns {string[]|null} Title line plus the two element lines, titled
+ *   "NORAD <id>" when the text has no title line
+ */
+export const parseTleText = (text, noradId) => {
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trimEnd())
+    .filter((line) => line.trim() && !line.startsWith('#'));
+  for (let index = 0; index < lines.length - 1; index += 1) {
+    const line1 = lines[index];
+    const line2 = lines[index + 1];
+    if (!line1.startsWith('1 ') || !line2.startsWith('2 ')) continue;
+    if (decodeCatalogNumber(line1.slice(2, 7)) !== noradId) continue;
+    const previous = lines[index - 1];
+    const title = previous && !previous.startsWith('1 ') && !previous.startsWith('2 ')
+      ? previous.trim()
+      : `NORAD ${noradId}`;
+    return [title, line1, line2];
   }
+  return null;
+};
+
+/**
+ * Find one object's element set in text of any supported format.
+ * @param {string} text
+ * @param {number} noradId
+ * @param {'tle'|'json'|'xml'|'kvn'|'csv'} [format]
+ * @returns {string[]|null} Title line plus the two element lines, or null
+ *   when the text has none for the object
+ * @throws {Error} When OMM or CSV data is malformed
+ */
+export const parseElementText = (text, noradId, format = 'tle') =>
+  format === 'tle' ? parseTleText(text, noradId) : parseOmmText(text, noradId, format);
 
+/**
+ * Every object's element set in text of any supported format.
+ * @param {string} text
+ * @param {'tle'|'json'|'xml'|'kvn'|'csv'} format
+ * @returns {string[][]} Title line plus the two element lines per object
+ * @throws {Error} When OMM or CSV data is malformed
+ */
+export const parseElementSets = (text, format) => {
+  if (format !== 'tle') return parseOmmSets(text, format);
+  const noradIds = String(text)
+    .split(/\r?\n/)
+    .filter((line) => line.startsWith('1 '))
+    .map((line) => decodeCatalogNumber(line.slice(2, 7)));
+  return [...new Set(noradIds)]
+    .map((noradId) => parseTleText(text, noradId))
+    .filter(Boolean);
+};
+
+// The format a source serves, and its URL for one object
+const prepareRequest = (source, noradId, preferredFormat) => {
+  const format = source.url.includes('{format}') ? preferredFormat : source.format ?? 'tle';
+  const { celestrak } = ELEMENT_FORMATS.find((entry) => entry.value === format);
+  const url = source.url
+    .replaceAll('{noradId}', String(noradId))
+    .replaceAll('{format}', celestrak);
+  return { format, url };
+};
+
+const fetchFromSource = async (source, noradId, preferredFormat, fetchImpl) => {
+  const { format, url } = prepareRequest(source, noradId, preferredFormat);
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 15000);
+  const timeoutId = setTimeout(() => controller.abort(), SOURCE_TIMEOUT_MS);
   let response;
   try {
-    response = await fetch(TLE_URL, { signal: controller.signal });
+    response = await fetchImpl(url, { signal: controller.signal });
   } finally {
     clearTimeout(timeoutId);
   }
   if (!response.ok) {
-    throw new Error('Unable to fetch TLE data.');
+    throw new Error(`${source.name} answered ${response.status}.`);
+  }
+  let tle;
+  try {
+    tle = parseElementText(await response.text(), noradId, format);
+    if (tle) checkElementSet(tle, noradId);
+  } catch (error) {
+    throw new Error(`${source.name}: ${error.message}`);
   }
-  const text = await response.text();
-  const lines = text.trim().split('\n');
-  if (lines.length < 3) {
-    throw new Error('Invalid TLE response.');
+  if (!tle) {
+    throw new Error(`${source.name} has no elements for NORAD ${noradId}.`);
   }
-  const tle = lines.slice(0, 3);
+  return { tle, format };
+};
+
+// Only elements that passed checkElementSet are cached, but a cache
+// written by an older version may hold anything
+const readCache = (noradId) => {
   try {
-    localStorage.setItem(
-      CACHE_KEY,
-      JSON.stringify({ tle, timestamp: Date.now() })
-    );
+    const cached = localStorage.getItem(`${CACHE_KEY_PREFIX}${noradId}`);
+    const parsed = cached ? JSON.parse(cached) : null;
+    if (!parsed) return null;
+    checkElementSet(parsed.tle, noradId);
+    return parsed;
+  } catch {
+    // localStorage unavailable or corrupt - fetch fresh
+    return null;
+  }
+};
+
+const writeCache = (noradId, entry) => {
+  try {
+    localStorage.setItem(`${CACHE_KEY_PREFIX}${noradId}`, JSON.stringify(entry));
   } catch {
     // localStorage unavailable - skip caching
   }
-  return tle;
 };
 
+// Fallback elements are never cached
+const fromCache = (cached, failures = []) => ({
+  tle: cached.tle,
+  source: cached.source ?? 'CelesTrak',
+  format: cached.format ?? 'tle',
+  fallback: false,
+  fetchedAt: new Date(cached.timestamp),
+  stale: failures.length > 0,
+  failures
+});
+
+/**
+ * Fetch the current element set for an object: from the 12-hour cache when
+ * possible, else from each source in turn. Elements that fail checkElementSet
+ * count as a failed source and are never cached, so when every source fails
+ * the last good (expired) cache entry is served instead. Fallback sources
+ * are only asked when there is no such entry, and are not cached either;
+ * a fallback set older than TLE_STALE_DAYS is served as stale.
+ * @param {number} [noradId] - NORAD catalog number (defaults to the ISS)
+ * @param {{sources?: Array<{name: string, url: string, fallback?: boolean, format?: string}>, format?: string, refresh?: boolean, fetch?: typeof fetch}} [options]
+ *   `format` is requested from sources whose URL has a `{format}` slot;
+ *   `refresh` asks the sources even when the cache is fresh (the cache entry
+ *   still stands in if they all fail)
+ * @returns {Promise<{tle: string[], source: string, format: string, fallback: boolean, fetchedAt: Date, stale: boolean, failures: string[]}>}
+ *   `source` and `format` say where the elements came from and how they
+ *   were encoded, and `fallback` whether that was a fallback source; `stale` marks an expired cache entry or an outdated
+ *   fallback set served because no source answered with good elements,
+ *   and `failures` says why
+ */
+export const fetchElementSet = async (noradId = DEFAULT_NORAD_ID, options = {}) => {
+  const {
+    sources = resolveTleSources(globalThis.VASEY_CONFIG),
+    format: preferredFormat = 'tle',
+    refresh = false,
+    fetch: fetchImpl = globalThis.fetch
+  } = options;
+  if (!isElementFormat(preferredFormat)) {
+    throw new Error(`Unknown element format "${preferredFormat}".`);
+  }
+  const cached = readCache(noradId);
+  if (!refresh && cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return fromCache(cached);
+  }
+
+  const failures = [];
+  for (const source of sources) {
+    // Elements fetched earlier are newer than the ones shipped with the app
+    if (source.fallback && cached) break;
+    try {
+      const { tle, format } = await fetchFromSource(source, noradId, preferredFormat, fetchImpl);
+      const timestamp = Date.now();
+      if (!source.fallback) {
+        writeCache(noradId, { tle, timestamp, source: source.name, format });
+      }
+      const stale = Boolean(source.fallback) && getTleAge(parseTleEpoch(tle[1])) > TLE_STALE_DAYS;
+      return {
+        tle,
+        source: source.name,
+        format,
+        fallback: Boolean(source.fallback),
+        fetchedAt: new Date(timestamp),
+        stale,
+        failures: stale ? failures : []
+      };
+    } catch (error) {
+      failures.push(error.name === 'AbortError' ? `${source.name} timed out.` : error.message);
+    }
+  }
+
+  if (cached) {
+    return fromCache(cached, failures);
+  }
+  throw new Error(`Unable to fetch orbital elements for NORAD ${noradId}. ${failures.join(' ')}`);
+};
+
+/**
+ * Import element sets pasted or dropped by the user. Every set is checked
+ * like a fetched one (see checkElementSet) and then cached with the source
+ * MANUAL_SOURCE, so fetchElementSet serves it as if it had just been
+ * fetched; offline, it stays in use as the last good elements.
+ * @param {string} text - TLE, OMM JSON/XML/KVN or CSV
+ * @returns {Array<{noradId: number, tle: string[], format: string}>} In the
+ *   order of the text
+ * @throws {Error} When the format is not recognized, the text holds no
+ *   element set, or any set fails the checks (nothing is cached then)
+ */
+export const importElementSets = (text) => {
+  const format = detectElementFormat(text);
+  if (!format) {
+    throw new Error('Unrecognized element data: paste a TLE, OMM (JSON, XML or KVN) or a CSV table.');
+  }
+  const imported = parseElementSets(text, format).map((tle) => {
+    const noradId = decodeCatalogNumber(tle[1].slice(2, 7));
+    try {
+      checkElementSet(tle, noradId);
+    } catch (error) {
+      throw new Error(`${tle[0]}: ${error.message}`);
+    }
+    return { noradId, tle, format };
+  });
+  if (!imported.length) {
+    throw new Error('No element sets found: a TLE needs both element lines.');
+  }
+  const timestamp = Date.now();
+  for (const { noradId, tle } of imported) {
+    writeCache(noradId, { tle, timestamp, source: MANUAL_SOURCE, format });
+  }
+  return imported;
+};
+
+/**
+ * Fetch the current TLE for an object (see fetchElementSet).
+ * @param {number} [noradId] - NORAD catalog number (defaults to the ISS)
+ * @returns {Promise<string[]>} Title line plus the two element lines
+ */
+export const fetchTle = async (noradId = DEFAULT_NORAD_ID) =>
+  (await fetchElementSet(noradId)).tle;
+
+/**
+ * SGP4 record for an element set.
+ * @param {string[]} tle - Title line plus the two element lines
+ * @throws {Error} When SGP4 cannot initialize from the elements
+ */
 export const getSatrec = (tle) => {
   const satellite = getSatellite();
-  return satellite.twoline2satrec(tle[1], tle[2]);
+  const satrec = satellite.twoline2satrec(tle[1], tle[2]);
+  if (satrec.error) {
+    const reason = SGP4_ERRORS[satrec.error] ?? `error ${satrec.error}`;
+    throw new Error(`SGP4 rejected the elements: ${reason}.`);
+  }
+  return satrec;
+};
+
+/**
+ * Check an element set before it is used or cached (see validateTle), and
+ * that SGP4 accepts it.
+ * @param {string[]} tle
+ * @param {number} noradId - Catalog number the elements were requested for
+ * @param {Date} [now]
+ * @throws {Error} Naming the first problem found
+ */
+export const checkElementSet = (tle, noradId, now = new Date()) => {
+  validateTle(tle, noradId, now);
+  getSatrec(tle);
 };
 
 export const computePosition = (satrec, date = new Date()) => {
@@ -98,118 +386,234 @@ export const computeGroundTrack = (satrec, startDate, minutes, stepSeconds) => {
 };
 
 /**
- * Compute the sun's position in ECI coordinates.
- * Uses astronomical algorithms (simplified solar position model).
- * This replaces satellite.sunPos() which is not available in satellite.js v5.
+ * Orbital period from the element set's mean motion.
+ * @param {object} satrec
+ * @returns {number} Minutes
  */
-const computeSunEci = (date) => {
-  const satellite = getSatellite();
-  const jd = satellite.jday(
-    date.getUTCFullYear(),
-    date.getUTCMonth() + 1,
-    date.getUTCDate(),
-    date.getUTCHours(),
-    date.getUTCMinutes(),
-    date.getUTCSeconds()
-  );
+export const getOrbitalPeriod = (satrec) => (2 * Math.PI) / satrec.no;
 
-  // Julian centuries from J2000.0
-  const T = (jd - 2451545.0) / 36525.0;
-
-  // Mean longitude of the sun (degrees)
-  const L0 = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360;
-
-  // Mean anomaly of the sun (degrees)
-  const M = (357.52911 + T * (35999.05029 - T * 0.0001537)) % 360;
-  const Mrad = toRadians(M);
-
-  // Equation of center
-  const C = (1.914602 - T * (0.004817 + T * 0.000014)) * Math.sin(Mrad)
-    + (0.019993 - T * 0.000101) * Math.sin(2 * Mrad)
-    + 0.000289 * Math.sin(3 * Mrad);
+/**
+ * Whole-orbit spans of ground track around a moment: `before` orbits ending
+ * at `now` and `after` orbits starting there, numbered outward from now
+ * (orbit 1 is the closest on each side).
+ * @param {Date} now
+ * @param {number} periodMinutes
+ * @param {number} before - Orbits behind
+ * @param {number} after - Orbits ahead
+ * @returns {Array<{start: Date, minutes: number, direction: 'past'|'future', orbit: number}>}
+ */
+export const getOrbitSpans = (now, periodMinutes, before, after) => {
+  const periodMs = periodMinutes * 60 * 1000;
+  const spans = [];
+  for (let orbit = 1; orbit <= before; orbit += 1) {
+    spans.push({
+      start: new Date(now.getTime() - orbit * periodMs),
+      minutes: periodMinutes,
+      direction: 'past',
+      orbit
+    });
+  }
+  for (let orbit = 1; orbit <= after; orbit += 1) {
+    spans.push({
+      start: new Date(now.getTime() + (orbit - 1) * periodMs),
+      minutes: periodMinutes,
+      direction: 'future',
+      orbit
+    });
+  }
+  return spans;
+};
 
-  // Sun's true longitude
-  const sunLon = toRadians(L0 + C);
+/**
+ * Points on a ground track at every whole multiple of an interval of clock
+ * time, interpolated between samples (across the antimeridian too).
+ * @param {Array<{lat: number, lon: number, date: Date}>} points - In time order
+ * @param {number} intervalMinutes
+ * @returns {Array<{lat: number, lon: number, date: Date}>}
+ */
+export const computeTrackTicks = (points, intervalMinutes) => {
+  if (points.length < 2) return [];
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const ticks = [];
+  let index = 1;
+  for (
+    let timeMs = Math.ceil(points[0].date.getTime() / intervalMs) * intervalMs;
+    timeMs <= points.at(-1).date.getTime();
+    timeMs += intervalMs
+  ) {
+    while (points[index].date.getTime() < timeMs) index += 1;
+    const before = points[index - 1];
+    const after = points[index];
+    const span = after.date.getTime() - before.date.getTime();
+    const fraction = span > 0 ? (timeMs - before.date.getTime()) / span : 0;
+    const deltaLon = ((after.lon - before.lon + 540) % 360) - 180;
+    ticks.push({
+      lat: before.lat + (after.lat - before.lat) * fraction,
+      lon: ((before.lon + deltaLon * fraction + 540) % 360) - 180,
+      date: new Date(timeMs)
+    });
+  }
+  return ticks;
+};
 
-  // Obliquity of the ecliptic
-  const obliquity = toRadians(23.439291 - T * 0.0130042);
+/**
+ * Fraction of the solar disk visible from a satellite (1 sunlit, 0 umbra,
+ * in between in the penumbra). Conical shadow: the apparent discs of the Sun
+ * and Earth as seen from the satellite, and the area of their overlap.
+ */
+const computeSunlitFraction = (positionEci, sunEci) => {
+  const toSun = {
+    x: sunEci.x - positionEci.x,
+    y: sunEci.y - positionEci.y,
+    z: sunEci.z - positionEci.z
+  };
+  const sunDistance = Math.hypot(toSun.x, toSun.y, toSun.z);
+  const satDistance = Math.hypot(positionEci.x, positionEci.y, positionEci.z);
 
-  // Sun-Earth distance in km (AU to km)
-  const AU_KM = 149597870.7;
-  const e = 0.016708634 - T * (0.000042037 + T * 0.0000001267);
-  const v = Mrad + toRadians(C);
-  const R = (1.000001018 * (1 - e * e)) / (1 + e * Math.cos(v));
-  const distKm = R * AU_KM;
+  // Apparent radii of the Sun and the shadow-casting Earth, and the angle
+  // between their centers
+  const a = Math.asin(SUN_RADIUS_KM / sunDistance);
+  const b = Math.asin(Math.min(SHADOW_RADIUS_KM / satDistance, 1));
+  const cosC = -(positionEci.x * toSun.x + positionEci.y * toSun.y + positionEci.z * toSun.z)
+    / (satDistance * sunDistance);
+  const c = Math.acos(Math.min(Math.max(cosC, -1), 1));
 
-  // ECI coordinates (equatorial)
-  const x = distKm * Math.cos(sunLon);
-  const y = distKm * Math.cos(obliquity) * Math.sin(sunLon);
-  const z = distKm * Math.sin(obliquity) * Math.sin(sunLon);
+  if (c >= a + b) return 1;
+  if (c <= b - a) return 0;
+  if (c <= a - b) return 1 - (b * b) / (a * a);
 
-  return { x, y, z };
+  // Partial overlap of the two discs
+  const x = (c * c + a * a - b * b) / (2 * c);
+  const y = Math.sqrt(Math.max(a * a - x * x, 0));
+  const overlap = a * a * Math.acos(Math.min(Math.max(x / a, -1), 1))
+    + b * b * Math.acos(Math.min(Math.max((c - x) / b, -1), 1))
+    - c * y;
+  return Math.min(Math.max(1 - overlap / (Math.PI * a * a), 0), 1);
 };
 
 /**
- * Determine if a satellite is sunlit (not in Earth's shadow).
- * Uses cylindrical shadow model.
- * This replaces satellite.isSunlit() which is not available in satellite.js v5.
+ * Fraction of the solar disk lighting a satellite, from a conical
+ * umbra/penumbra shadow model.
+ * @param {{x: number, y: number, z: number}} positionEci - km
+ * @param {Date} date
+ * @returns {number} 0 (umbra) to 1 (full sunlight)
  */
-export const isSatSunlit = (positionEci, date) => {
-  const sunEci = computeSunEci(date);
-
-  // Vector from Earth to satellite
-  const satX = positionEci.x;
-  const satY = positionEci.y;
-  const satZ = positionEci.z;
-
-  // Vector from Earth to sun
-  const sunX = sunEci.x;
-  const sunY = sunEci.y;
-  const sunZ = sunEci.z;
+export const getSunlitFraction = (positionEci, date) =>
+  computeSunlitFraction(positionEci, getSunEci(date));
 
-  // Dot product of satellite and sun vectors
-  const dot = satX * sunX + satY * sunY + satZ * sunZ;
+/**
+ * Determine if a satellite is sunlit (not in Earth's shadow): at least half
+ * of the solar disk is visible, so eclipse entry and exit fall mid-penumbra.
+ * This replaces satellite.isSunlit() which is not available in satellite.js v5.
+ */
+export const isSatSunlit = (positionEci, date) =>
+  getSunlitFraction(positionEci, date) >= SUNLIT_THRESHOLD;
 
-  // If satellite is on the sunlit side of Earth, it's sunlit
-  if (dot > 0) {
-    return true;
-  }
+/**
+ * Apparent visual magnitude of a sunlit satellite from the standard
+ * intrinsic-magnitude model: the catalog magnitude at 1000 km and 90° phase
+ * angle, scaled by the slant range and a diffusely reflecting sphere's
+ * phase function, and dimmed in the penumbra.
+ * @param {{x: number, y: number, z: number}} positionEci - km
+ * @param {{lat: number, lon: number, height: number}} observer
+ * @param {Date} date
+ * @param {number} standardMagnitude
+ * @returns {{magnitude: number, range: number, phaseAngle: number, sunlitFraction: number}}
+ *   Range in km, phase angle (Sun–satellite–observer) in degrees, and the
+ *   lit fraction of the solar disk
+ */
+export const computeVisualMagnitude = (positionEci, observer, date, standardMagnitude) => {
+  const satellite = getSatellite();
+  const observerEcf = satellite.geodeticToEcf({
+    longitude: satellite.degreesToRadians(observer.lon),
+    latitude: satellite.degreesToRadians(observer.lat),
+    height: observer.height
+  });
+  const observerEci = satellite.ecfToEci(observerEcf, satellite.gstime(date));
+  const sunEci = getSunEci(date);
 
-  // Check if satellite is in Earth's shadow using cylindrical model
-  // Project satellite position onto sun direction
-  const sunMag = Math.sqrt(sunX * sunX + sunY * sunY + sunZ * sunZ);
-  const sunUnitX = sunX / sunMag;
-  const sunUnitY = sunY / sunMag;
-  const sunUnitZ = sunZ / sunMag;
+  const toObserver = {
+    x: observerEci.x - positionEci.x,
+    y: observerEci.y - positionEci.y,
+    z: observerEci.z - positionEci.z
+  };
+  const toSun = {
+    x: sunEci.x - positionEci.x,
+    y: sunEci.y - positionEci.y,
+    z: sunEci.z - positionEci.z
+  };
+  const range = Math.hypot(toObserver.x, toObserver.y, toObserver.z);
+  const cosPhase = (toObserver.x * toSun.x + toObserver.y * toSun.y + toObserver.z * toSun.z)
+    / (range * Math.hypot(toSun.x, toSun.y, toSun.z));
+  const phaseAngle = Math.acos(Math.min(Math.max(cosPhase, -1), 1));
 
-  // Component of satellite perpendicular to sun direction
-  const projScalar = satX * sunUnitX + satY * sunUnitY + satZ * sunUnitZ;
-  const perpX = satX - projScalar * sunUnitX;
-  const perpY = satY - projScalar * sunUnitY;
-  const perpZ = satZ - projScalar * sunUnitZ;
-  const perpDist = Math.sqrt(perpX * perpX + perpY * perpY + perpZ * perpZ);
+  // Normalized so a half-lit (90°) satellite contributes nothing
+  const phaseFactor = Math.sin(phaseAngle) + (Math.PI - phaseAngle) * Math.cos(phaseAngle);
+  // Dimming as the satellite slides into the penumbra
+  const sunlitFraction = computeSunlitFraction(positionEci, sunEci);
+  const magnitude = standardMagnitude
+    + 5 * Math.log10(range / 1000)
+    - 2.5 * Math.log10(Math.max(phaseFactor, 1e-6))
+    - 2.5 * Math.log10(Math.max(sunlitFraction, 1e-6));
 
-  // If perpendicular distance > Earth radius, satellite is sunlit
-  return perpDist > EARTH_RADIUS_KM;
+  return { magnitude, range, phaseAngle: toDegrees(phaseAngle), sunlitFraction };
 };
 
 /**
- * Get the sub-solar point (where the sun is directly overhead).
- * Uses simplified astronomical calculation for declination and hour angle.
+ * Dip of the visible horizon below the astronomical horizon for an observer
+ * above sea level.
+ * @param {number} heightKm - Observer height above sea level
+ * @returns {number} Degrees (0 at or below sea level)
  */
-export const getSunSubPoint = (date) => {
-  // Declination from day of year (Earth's axial tilt)
-  const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
-  const declination = -23.44 * Math.cos(toRadians((360 / 365) * (dayOfYear + 10)));
+export const getHorizonDip = (heightKm) => {
+  if (!(heightKm > 0)) return 0;
+  return (Math.acos(EARTH_RADIUS_KM / (EARTH_RADIUS_KM + heightKm)) * 180) / Math.PI;
+};
 
-  // Sun longitude from UTC time (15 degrees per hour, solar noon at 12:00 UTC = 0° lon)
-  const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
-  const sunLon = -(hours - 12) * 15;
+/**
+ * Angular radius of the visibility footprint: the Earth-central angle from
+ * the sub-satellite point to the ground where the object stands at the
+ * given elevation.
+ * @param {number} altitudeKm - Object altitude
+ * @param {number} [minElevation] - Degrees above the horizon
+ * @returns {number} Degrees
+ */
+export const getFootprintRadius = (altitudeKm, minElevation = 0) => {
+  const elevation = toRadians(minElevation);
+  const ratio = EARTH_RADIUS_KM / (EARTH_RADIUS_KM + altitudeKm);
+  return toDegrees(Math.acos(ratio * Math.cos(elevation)) - elevation);
+};
 
-  return {
-    lat: declination,
-    lon: ((sunLon + 180) % 360) - 180
-  };
+/**
+ * Outline of the visibility footprint around a sub-satellite point, as a
+ * closed ring (first point repeated at the end).
+ * @param {{lat: number, lon: number}} center - Sub-satellite point
+ * @param {number} altitudeKm
+ * @param {number} [minElevation] - Degrees above the horizon
+ * @param {number} [steps] - Points around the ring
+ * @returns {Array<{lat: number, lon: number}>} Longitudes in −180..180
+ */
+export const computeFootprint = (center, altitudeKm, minElevation = 0, steps = 120) => {
+  const radius = toRadians(getFootprintRadius(altitudeKm, minElevation));
+  const lat1 = toRadians(center.lat);
+  const lon1 = toRadians(center.lon);
+  const points = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const bearing = (2 * Math.PI * (i % steps)) / steps;
+    const lat = Math.asin(
+      Math.sin(lat1) * Math.cos(radius)
+      + Math.cos(lat1) * Math.sin(radius) * Math.cos(bearing)
+    );
+    const lon = lon1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(radius) * Math.cos(lat1),
+      Math.cos(radius) - Math.sin(lat1) * Math.sin(lat)
+    );
+    points.push({
+      lat: toDegrees(lat),
+      lon: ((toDegrees(lon) + 540) % 360) - 180
+    });
+  }
+  return points;
 };
 
 export const computeLookAngles = (observer, positionEci, gmst) => {
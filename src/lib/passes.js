@@ -1,8 +1,33 @@
-import { toDegrees, scorePass, estimateBrightness } from './format.js';
-import { computeLookAngles, isSatSunlit } from './orbit.js';
+import { toDegrees, toRadians, scorePass, estimateBrightness } from './format.js';
+import {
+  computeLookAngles,
+  computeVisualMagnitude,
+  getHorizonDip,
+  isSatSunlit
+} from './orbit.js';
+import { getMaskElevation } from './horizon.js';
+import { getSunAltitude } from './sun.js';
 
 const STEP_SECONDS = 20;
-const PASS_WINDOW_HOURS = 72;
+// Sampling of a pass's path across the sky for the sky chart
+const SKY_TRACK_STEP_SECONDS = 10;
+export const PASS_WINDOW_HOURS = 72;
+// Passes count from the moment the object clears this elevation (degrees)
+export const DEFAULT_MIN_ELEVATION = 0;
+// Rise, culmination, set and visibility changes are refined to this precision
+const REFINE_TOLERANCE_MS = 100;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+// Sidereal rotation of the Earth, rad/min
+const EARTH_ROTATION_RATE = (2 * Math.PI) / 1436.07;
+// Slack on the coarse-search skip for geodetic vs geocentric latitude,
+// radians
+const SKIP_MARGIN = (2 * Math.PI) / 180;
+// Reach either side of a rise time when re-predicting one pass
+const NEAR_PASS_MINUTES = 45;
+// Civil twilight: the sky is dark enough once the Sun is this far below the
+// observer's visible horizon (degrees)
+const DARK_SUN_DEPRESSION = 6;
+
 const getSatellite = () => {
   const satellite = globalThis.satellite;
   if (!satellite) {
@@ -10,26 +35,174 @@ const getSatellite = () => {
   }
   return satellite;
 };
-const getSunCalc = () => {
-  const sunCalc = globalThis.SunCalc;
-  if (!sunCalc) {
-    throw new Error('SunCalc is not loaded.');
+
+// From altitude the Sun sets later, by the dip of the horizon
+const isObserverDark = (date, observer) => {
+  const sunAltitude = getSunAltitude(date, observer);
+  const threshold = -DARK_SUN_DEPRESSION - getHorizonDip(observer.height);
+  return { dark: sunAltitude < threshold, altitude: sunAltitude };
+};
+
+/**
+ * Topocentric elevation/azimuth (degrees) of the satellite at a time, or
+ * null when propagation fails.
+ */
+const lookAt = (satrec, observer, timeMs) => {
+  const satellite = getSatellite();
+  const time = new Date(timeMs);
+  const { position } = satellite.propagate(satrec, time);
+  if (!position) {
+    return null;
   }
-  return sunCalc;
+  const gmst = satellite.gstime(time);
+  const lookAngles = computeLookAngles(observer, position, gmst);
+  return {
+    elevation: toDegrees(lookAngles.elevation),
+    azimuth: (toDegrees(lookAngles.azimuth) + 360) % 360,
+    position,
+    gmst
+  };
 };
 
-const isObserverDark = (date, observer) => {
-  const sunCalc = getSunCalc();
-  const sunPosition = sunCalc.getPosition(date, observer.lat, observer.lon);
-  const sunAltitude = toDegrees(sunPosition.altitude);
-  return { dark: sunAltitude < -6, altitude: sunAltitude };
+const elevationAt = (satrec, observer, timeMs) =>
+  lookAt(satrec, observer, timeMs)?.elevation ?? -90;
+
+// Sunlit satellite under a dark sky; the Sun's altitude is only needed for
+// sunlit samples
+const isLookLit = (look, timeMs, observer) => {
+  const time = new Date(timeMs);
+  return isSatSunlit(look.position, time) && isObserverDark(time, observer).dark;
+};
+
+// ...and above the local obstruction line in its direction. Open sectors
+// keep the dipped horizon of an elevated observer.
+const isLookVisible = (look, timeMs, observer, horizonMask) => {
+  const obstruction = getMaskElevation(horizonMask, look.azimuth);
+  return (obstruction <= 0 || look.elevation > obstruction)
+    && isLookLit(look, timeMs, observer);
+};
+
+const isVisibleAt = (satrec, observer, timeMs, horizonMask) => {
+  const look = lookAt(satrec, observer, timeMs);
+  return look ? isLookVisible(look, timeMs, observer, horizonMask) : false;
+};
+
+const isSunlitAt = (satrec, timeMs) => {
+  const time = new Date(timeMs);
+  const { position } = getSatellite().propagate(satrec, time);
+  return position ? isSatSunlit(position, time) : false;
+};
+
+/**
+ * Bounds for the coarse search: the widest ground-range angle from which
+ * the object can clear the horizon (at apogee, plus the horizon dip of an
+ * elevated observer, in radians), and the fastest its sub-satellite point
+ * can move relative to the observer (perigee rate plus Earth's rotation,
+ * rad/min).
+ */
+const getSearchBounds = (satrec, observer) => {
+  const apogeeRadius = satrec.a * (1 + satrec.ecco);
+  const perigeeRateFactor = (1 + satrec.ecco) ** 2 / (1 - satrec.ecco ** 2) ** 1.5;
+  return {
+    maxRangeAngle: Math.acos(1 / apogeeRadius) + toRadians(getHorizonDip(observer.height)),
+    maxAngularRate: satrec.no * perigeeRateFactor + EARTH_ROTATION_RATE
+  };
+};
+
+const getObserverEcf = (observer) =>
+  getSatellite().geodeticToEcf({
+    longitude: toRadians(observer.lon),
+    latitude: toRadians(observer.lat),
+    height: observer.height
+  });
+
+/**
+ * How long the object is guaranteed to stay below the horizon: the angular
+ * distance still to cover before the observer can enter its footprint,
+ * divided by the fastest the sub-satellite point can close it.
+ */
+const getSafeSkipMs = (look, observerEcf, bounds) => {
+  const positionEcf = getSatellite().eciToEcf(look.position, look.gmst);
+  const dot = positionEcf.x * observerEcf.x
+    + positionEcf.y * observerEcf.y
+    + positionEcf.z * observerEcf.z;
+  const norms = Math.hypot(positionEcf.x, positionEcf.y, positionEcf.z)
+    * Math.hypot(observerEcf.x, observerEcf.y, observerEcf.z);
+  const rangeAngle = Math.acos(Math.min(Math.max(dot / norms, -1), 1));
+  const gap = rangeAngle - bounds.maxRangeAngle - SKIP_MARGIN;
+  return gap > 0 ? (gap / bounds.maxAngularRate) * 60000 : 0;
+};
+
+/**
+ * Bisect the instant a predicate flips between two times. `falseMs` and
+ * `trueMs` may be in either order.
+ */
+const bisectTime = (predicate, falseMs, trueMs) => {
+  let lo = falseMs;
+  let hi = trueMs;
+  while (Math.abs(hi - lo) > REFINE_TOLERANCE_MS) {
+    const mid = (lo + hi) / 2;
+    if (predicate(mid)) {
+      hi = mid;
+    } else {
+      lo = mid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Golden-section search for the culmination inside [fromMs, toMs], where
+ * elevation is unimodal around a coarse peak.
+ */
+const refinePeak = (satrec, observer, fromMs, toMs) => {
+  let a = fromMs;
+  let b = toMs;
+  let c = b - GOLDEN_RATIO * (b - a);
+  let d = a + GOLDEN_RATIO * (b - a);
+  let fc = elevationAt(satrec, observer, c);
+  let fd = elevationAt(satrec, observer, d);
+  while (b - a > REFINE_TOLERANCE_MS) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - GOLDEN_RATIO * (b - a);
+      fc = elevationAt(satrec, observer, c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + GOLDEN_RATIO * (b - a);
+      fd = elevationAt(satrec, observer, d);
+    }
+  }
+  return (a + b) / 2;
+};
+
+/**
+ * Keep the brightest predicted magnitude of a pass. Only called for visible
+ * samples; objects without a standard magnitude get none.
+ */
+const trackMagnitude = (pass, look, timeMs, observer, standardMagnitude) => {
+  if (!Number.isFinite(standardMagnitude)) return;
+  const { magnitude } = computeVisualMagnitude(
+    look.position,
+    observer,
+    new Date(timeMs),
+    standardMagnitude
+  );
+  if (pass.magnitude === null || magnitude < pass.magnitude) {
+    pass.magnitude = magnitude;
+    pass.magnitudeTime = new Date(timeMs);
+  }
 };
 
 const buildPass = (pass, observer) => {
   const duration = (pass.end - pass.start) / 1000;
   const darkAtPeak = isObserverDark(pass.peakTime, observer).altitude;
-  const score = scorePass(pass.maxElevation, duration, darkAtPeak);
-  const brightness = estimateBrightness(pass.maxElevation, darkAtPeak);
+  const score = scorePass(pass.maxElevation, duration, darkAtPeak, pass.magnitude);
+  const brightness = estimateBrightness(pass.maxElevation, darkAtPeak, pass.magnitude);
   return {
     ...pass,
     duration,
@@ -38,98 +211,298 @@ const buildPass = (pass, observer) => {
   };
 };
 
-export const computePasses = (satrec, observer, start = new Date()) => {
-  const satellite = getSatellite();
-  const passes = [];
-  const endTime = new Date(start.getTime() + PASS_WINDOW_HOURS * 3600 * 1000);
+/**
+ * Close an in-progress pass: refine the culmination around the coarse peak,
+ * clamp visible segments to the pass, and include a visible culmination in
+ * the brightest magnitude.
+ */
+const finishPass = (satrec, observer, pass, coarsePeakMs, endMs, stepMs, standardMagnitude) => {
+  const startMs = pass.start.getTime();
+  const peakMs = refinePeak(
+    satrec,
+    observer,
+    Math.max(startMs, coarsePeakMs - stepMs),
+    Math.min(endMs, coarsePeakMs + stepMs)
+  );
+  const peak = lookAt(satrec, observer, peakMs);
+  const end = lookAt(satrec, observer, endMs);
+  const lastSegment = pass.visibleSegments.at(-1);
+  if (lastSegment && !lastSegment.end) {
+    lastSegment.end = new Date(endMs);
+  }
+  const peakVisible = pass.visibleSegments.some(
+    (segment) => segment.start.getTime() <= peakMs && segment.end.getTime() >= peakMs
+  );
+  if (peak && peakVisible) {
+    trackMagnitude(pass, peak, peakMs, observer, standardMagnitude);
+  }
+  return buildPass({
+    ...pass,
+    end: new Date(endMs),
+    endAz: end?.azimuth ?? pass.startAz,
+    maxElevation: peak?.elevation ?? pass.maxElevation,
+    peakTime: new Date(peakMs),
+    peakAz: peak?.azimuth ?? pass.startAz
+  }, observer);
+};
+
+/**
+ * Predict passes over the observer, yielding each one as soon as it sets so
+ * callers can stream results. A coarse search jumps over stretches where the
+ * object is geometrically too far away to rise, steps through the rest, then
+ * refines every rise, culmination, set and visibility change.
+ * @param {object} satrec
+ * @param {{lat: number, lon: number, height: number}} observer - Height in km;
+ *   an elevated observer's passes rise and set on the dipped visible horizon
+ * @param {Date} [start]
+ * @param {{windowHours?: number, minElevation?: number, horizonMask?: number[]|null, standardMagnitude?: number|null}} [options] -
+ *   Prediction window length, the elevation (degrees) a pass must clear,
+ *   the local horizon mask the object must be above to count as visible,
+ *   and the object's standard magnitude for brightness predictions
+ */
+export function* generatePasses(satrec, observer, start = new Date(), options = {}) {
+  const {
+    windowHours = PASS_WINDOW_HOURS,
+    minElevation = DEFAULT_MIN_ELEVATION,
+    horizonMask = null,
+    standardMagnitude = null
+  } = options;
+  const stepMs = STEP_SECONDS * 1000;
+  // A minimum elevation above 0° is measured from the astronomical horizon;
+  // otherwise passes run from horizon to horizon as the observer sees it
+  const horizonElevation = minElevation > 0 ? minElevation : -getHorizonDip(observer.height);
+  // The skip bound assumes the lowest possible horizon, so it stays safe for
+  // any mask above it
+  const bounds = getSearchBounds(satrec, observer);
+  const observerEcf = getObserverEcf(observer);
+  const windowStartMs = start.getTime();
+  const windowEndMs = windowStartMs + windowHours * 3600 * 1000;
+  const isAbove = (timeMs) => elevationAt(satrec, observer, timeMs) > horizonElevation;
+  const isVisible = (timeMs) => isVisibleAt(satrec, observer, timeMs, horizonMask);
   let currentPass = null;
-  let maxElevation = -90;
-  let peakData = null;
-
-  for (
-    let time = new Date(start);
-    time <= endTime;
-    time = new Date(time.getTime() + STEP_SECONDS * 1000)
-  ) {
-    const { position } = satellite.propagate(satrec, time);
-    if (!position) {
+  let coarsePeakMs = null;
+  let coarsePeakElevation = -90;
+  let previousMs = null;
+  let previousVisible = false;
+  let previousSunlit = false;
+
+  // Record where the object slides into (or out of) the Earth's shadow
+  const noteShadowChange = (fromMs, toMs, sunlit) => {
+    const changeMs = bisectTime((ms) => isSunlitAt(satrec, ms) === sunlit, fromMs, toMs);
+    const look = lookAt(satrec, observer, changeMs);
+    const event = {
+      time: new Date(changeMs),
+      azimuth: look?.azimuth ?? null,
+      elevation: look?.elevation ?? null
+    };
+    if (sunlit) {
+      currentPass.eclipseExit ??= event;
+    } else {
+      currentPass.eclipseEntry ??= event;
+    }
+    previousSunlit = sunlit;
+  };
+
+  for (let timeMs = windowStartMs; timeMs <= windowEndMs; timeMs += stepMs) {
+    const look = lookAt(satrec, observer, timeMs);
+    if (!look) {
       continue;
     }
-    const gmst = satellite.gstime(time);
-    const lookAngles = computeLookAngles(observer, position, gmst);
-    const elevationDeg = toDegrees(lookAngles.elevation);
-    const azimuthDeg = (toDegrees(lookAngles.azimuth) + 360) % 360;
+    const above = look.elevation > horizonElevation;
 
-    if (elevationDeg > 0 && !currentPass) {
+    if (!above && !currentPass) {
+      const skipMs = getSafeSkipMs(look, observerEcf, bounds);
+      if (skipMs > stepMs) {
+        // Resume one step short of the earliest possible rise
+        timeMs += skipMs - stepMs;
+      }
+      previousMs = timeMs;
+      continue;
+    }
+
+    if (above && !currentPass) {
+      // A pass already in progress at the window start keeps that start
+      const riseMs = previousMs === null
+        ? timeMs
+        : bisectTime(isAbove, previousMs, timeMs);
+      const rise = lookAt(satrec, observer, riseMs) ?? look;
       currentPass = {
-        start: new Date(time),
-        startAz: azimuthDeg,
-        maxElevation: elevationDeg,
-        peakTime: new Date(time),
-        peakAz: azimuthDeg,
+        start: new Date(riseMs),
+        startAz: rise.azimuth,
+        maxElevation: look.elevation,
+        peakTime: new Date(timeMs),
+        peakAz: look.azimuth,
         end: null,
         endAz: null,
         visible: false,
-        visibleSegments: []
+        obstructed: false,
+        visibleSegments: [],
+        magnitude: null,
+        magnitudeTime: null,
+        eclipseEntry: null,
+        eclipseExit: null
       };
-      maxElevation = elevationDeg;
-      peakData = { time: new Date(time), az: azimuthDeg };
+      coarsePeakMs = timeMs;
+      coarsePeakElevation = look.elevation;
+      previousSunlit = isSunlitAt(satrec, riseMs);
+      previousVisible = isVisible(riseMs);
+      if (previousVisible) {
+        currentPass.visible = true;
+        currentPass.visibleSegments.push({ start: new Date(riseMs), end: null });
+        trackMagnitude(currentPass, rise, riseMs, observer, standardMagnitude);
+      }
+      previousMs = riseMs;
     }
 
     if (currentPass) {
-      if (elevationDeg > maxElevation) {
-        maxElevation = elevationDeg;
-        peakData = { time: new Date(time), az: azimuthDeg };
-      }
-
-      const sunlit = isSatSunlit(position, time);
-      const { dark } = isObserverDark(time, observer);
-      if (sunlit && dark) {
-        currentPass.visible = true;
+      if (!above) {
+        const setMs = bisectTime((ms) => !isAbove(ms), previousMs, timeMs);
         const lastSegment = currentPass.visibleSegments.at(-1);
-        if (!lastSegment || lastSegment.end) {
-          currentPass.visibleSegments.push({ start: new Date(time), end: null });
+        if (previousVisible && lastSegment && !lastSegment.end && !isVisible(setMs)) {
+          lastSegment.end = new Date(bisectTime((ms) => !isVisible(ms), previousMs, setMs));
         }
-      } else if (currentPass.visibleSegments.length) {
-        const lastSegment = currentPass.visibleSegments.at(-1);
-        if (lastSegment && !lastSegment.end) {
-          lastSegment.end = new Date(time);
+        const sunlitAtSet = isSunlitAt(satrec, setMs);
+        if (sunlitAtSet !== previousSunlit) {
+          noteShadowChange(previousMs, setMs, sunlitAtSet);
         }
-      }
-
-      if (elevationDeg <= 0) {
-        currentPass.end = new Date(time);
-        currentPass.endAz = azimuthDeg;
-        currentPass.maxElevation = maxElevation;
-        currentPass.peakTime = peakData.time;
-        currentPass.peakAz = peakData.az;
-        passes.push(buildPass(currentPass, observer));
+        yield finishPass(
+          satrec, observer, currentPass, coarsePeakMs, setMs, stepMs, standardMagnitude
+        );
         currentPass = null;
-        maxElevation = -90;
-        peakData = null;
+        coarsePeakElevation = -90;
+      } else {
+        if (look.elevation > coarsePeakElevation) {
+          coarsePeakElevation = look.elevation;
+          coarsePeakMs = timeMs;
+        }
+        const sunlit = isSatSunlit(look.position, new Date(timeMs));
+        if (sunlit !== previousSunlit) {
+          noteShadowChange(previousMs, timeMs, sunlit);
+        }
+        const visible = isLookVisible(look, timeMs, observer, horizonMask);
+        if (visible) {
+          trackMagnitude(currentPass, look, timeMs, observer, standardMagnitude);
+        } else if (horizonMask && isLookLit(look, timeMs, observer)) {
+          // Would have been seen without the trees and rooftops in the way
+          currentPass.obstructed = true;
+        }
+        if (visible !== previousVisible) {
+          const changeMs = bisectTime(
+            (ms) => isVisible(ms) === visible,
+            previousMs,
+            timeMs
+          );
+          if (visible) {
+            currentPass.visible = true;
+            currentPass.visibleSegments.push({ start: new Date(changeMs), end: null });
+          } else {
+            currentPass.visibleSegments.at(-1).end = new Date(changeMs);
+          }
+          previousVisible = visible;
+        }
       }
     }
+
+    previousMs = timeMs;
   }
 
   if (currentPass) {
-    currentPass.end = new Date(endTime);
-    currentPass.endAz = currentPass.endAz ?? currentPass.startAz;
-    currentPass.maxElevation = maxElevation;
-    currentPass.peakTime = peakData?.time ?? currentPass.start;
-    currentPass.peakAz = peakData?.az ?? currentPass.startAz;
-    passes.push(buildPass(currentPass, observer));
+    yield finishPass(
+      satrec, observer, currentPass, coarsePeakMs, windowEndMs, stepMs, standardMagnitude
+    );
   }
+}
+
+export const computePasses = (satrec, observer, start = new Date(), options = {}) => [
+  ...generatePasses(satrec, observer, start, options)
+];
 
-  return passes;
+/**
+ * Re-predict the pass rising nearest a given time, e.g. with an older or
+ * newer element set than the one that first predicted it.
+ * @param {object} satrec
+ * @param {{lat: number, lon: number, height: number}} observer
+ * @param {Date} time - Rise time of the pass to look for
+ * @param {{minElevation?: number, horizonMask?: number[]|null}} [options]
+ * @returns {object|null} The pass rising closest to `time`, within 45
+ *   minutes either side
+ */
+export const findPassNear = (satrec, observer, time, options = {}) => {
+  const start = new Date(time.getTime() - NEAR_PASS_MINUTES * 60 * 1000);
+  const passes = computePasses(satrec, observer, start, {
+    ...options,
+    windowHours: (2 * NEAR_PASS_MINUTES) / 60
+  });
+  let best = null;
+  for (const pass of passes) {
+    if (!best || Math.abs(pass.start - time) < Math.abs(best.start - time)) best = pass;
+  }
+  return best;
+};
+
+/**
+ * Azimuth/elevation samples from rise to set, for drawing a pass on a sky
+ * chart. The last sample falls exactly on the set time.
+ * @param {object} satrec
+ * @param {{lat: number, lon: number, height: number}} observer
+ * @param {{start: Date, end: Date}} pass
+ * @param {number} [stepSeconds]
+ * @returns {Array<{time: Date, azimuth: number, elevation: number}>}
+ */
+export const computeSkyTrack = (satrec, observer, pass, stepSeconds = SKY_TRACK_STEP_SECONDS) => {
+  const startMs = pass.start.getTime();
+  const endMs = pass.end.getTime();
+  const track = [];
+  for (let timeMs = startMs; ; timeMs += stepSeconds * 1000) {
+    const sampleMs = Math.min(timeMs, endMs);
+    const look = lookAt(satrec, observer, sampleMs);
+    if (look) {
+      track.push({ time: new Date(sampleMs), azimuth: look.azimuth, elevation: look.elevation });
+    }
+    if (sampleMs >= endMs) break;
+  }
+  return track;
 };
 
+/**
+ * Merge per-object pass lists into one chronological timeline.
+ * @param {Array<Array<{start: Date}>>} timelines
+ * @returns {Array<{start: Date}>}
+ */
+export const mergePassTimelines = (timelines) =>
+  timelines.flat().sort((a, b) => a.start - b.start);
+
+/**
+ * Predict passes for every object on a watchlist and merge them into one
+ * timeline. Each pass is labelled with the object it belongs to, and
+ * magnitudes use each object's standard magnitude.
+ * @param {Array<{satellite: {noradId: number, name: string, shortName: string, standardMagnitude?: number|null}, satrec: object}>} watchlist
+ * @param {{lat: number, lon: number, height: number}} observer
+ * @param {Date} [start]
+ * @param {{windowHours?: number, minElevation?: number, horizonMask?: number[]|null}} [options]
+ */
+export const computeWatchlistPasses = (watchlist, observer, start = new Date(), options = {}) =>
+  mergePassTimelines(
+    watchlist.map(({ satellite, satrec }) =>
+      computePasses(satrec, observer, start, {
+        ...options,
+        standardMagnitude: satellite.standardMagnitude
+      }).map((pass) => ({ ...pass, satellite }))
+    )
+  );
+
 export const describeVisibility = (pass) => {
   if (!pass.visible) {
-    return 'Not visible (daylight or shadowed)';
+    return pass.obstructed
+      ? 'Not visible (blocked by your horizon)'
+      : 'Not visible (daylight or shadowed)';
   }
   if (!pass.visibleSegments.length) {
     return 'Visible briefly';
   }
+  if (pass.obstructed) {
+    return 'Visible in part of pass (partly obstructed)';
+  }
   const segment = pass.visibleSegments[0];
   if (segment && segment.end) {
     const duration = Math.round((segment.end - segment.start) / 60000);
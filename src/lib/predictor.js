@@ -0,0 +1,153 @@
+// Main-thread client for the prediction worker (src/workers/predict.worker.js).
+// Only one pass prediction runs at a time: starting a new one cancels the
+// previous request, whose promise then resolves as cancelled. Transit
+// searches are superseded the same way, the older one resolving to null.
+import { computeGroundTrack, getSatrec } from './orbit.js';
+import { computeWatchlistPasses } from './passes.js';
+import { findTransits } from './transits.js';
+
+const createWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('../workers/predict.worker.js', import.meta.url), {
+      type: 'module'
+    });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create a predictor backed by a dedicated worker, falling back to running
+ * the same library on the main thread where module workers are unavailable.
+ */
+export const createPredictor = () => {
+  let worker = createWorker();
+  let nextId = 1;
+  let activePredictId = null;
+  let activeTransitsId = null;
+  // id -> { resolve, reject, onProgress }
+  const pending = new Map();
+
+  const settle = (id, outcome) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (outcome instanceof Error) {
+      request.reject(outcome);
+    } else {
+      request.resolve(outcome);
+    }
+  };
+
+  const handleMessage = (event) => {
+    const { type, id } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+    if (type === 'progress') {
+      request.onProgress?.(event.data);
+    } else if (type === 'done') {
+      settle(id, { cancelled: false });
+    } else if (type === 'groundTrack') {
+      settle(id, event.data.points);
+    } else if (type === 'transits') {
+      settle(id, event.data.transits);
+    } else if (type === 'error') {
+      settle(id, new Error(event.data.message));
+    }
+  };
+
+  if (worker) {
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', () => {
+      // Worker failed to load: fail pending requests and run inline from now on
+      worker.terminate();
+      worker = null;
+      pending.forEach((_, id) => settle(id, new Error('Prediction worker failed.')));
+    });
+  }
+
+  const request = (message, onProgress) =>
+    new Promise((resolve, reject) => {
+      pending.set(message.id, { resolve, reject, onProgress });
+      worker.postMessage(message);
+    });
+
+  /** Cancel the running pass prediction, if any. */
+  const cancel = () => {
+    if (activePredictId === null) return;
+    const id = activePredictId;
+    activePredictId = null;
+    worker?.postMessage({ type: 'cancel', id });
+    settle(id, { cancelled: true });
+  };
+
+  /**
+   * Predict passes for a watchlist, streaming batches to `onProgress` as
+   * `{ passes, progress }` (progress 0..1).
+   * @param {{watchlist: Array<{satellite: object, tle: string[]}>, observer: object, start: Date, options?: {windowHours?: number, minElevation?: number}}} params
+   * @param {(update: {passes: object[], progress: number}) => void} onProgress
+   * @returns {Promise<{cancelled: boolean}>}
+   */
+  const predictPasses = async ({ watchlist, observer, start, options = {} }, onProgress) => {
+    cancel();
+    const id = nextId++;
+    activePredictId = id;
+    try {
+      if (!worker) {
+        const passes = computeWatchlistPasses(
+          watchlist.map((entry) => ({ satellite: entry.satellite, satrec: getSatrec(entry.tle) })),
+          observer,
+          start,
+          options
+        );
+        onProgress({ passes, progress: 1 });
+        return { cancelled: false };
+      }
+      return await request(
+        { type: 'predict', id, watchlist, observer, start, options },
+        onProgress
+      );
+    } finally {
+      if (activePredictId === id) activePredictId = null;
+    }
+  };
+
+  /**
+   * Ground track points ({ lat, lon, date }) computed in the worker.
+   * @returns {Promise<Array<{lat: number, lon: number, date: Date}>>}
+   */
+  const groundTrack = async ({ tle, start, minutes, stepSeconds }) => {
+    if (!worker) {
+      return computeGroundTrack(getSatrec(tle), start, minutes, stepSeconds);
+    }
+    const id = nextId++;
+    return request({ type: 'groundTrack', id, tle, start, minutes, stepSeconds });
+  };
+
+  /**
+   * Sun and Moon transits and close approaches for one object, computed in
+   * the worker.
+   * @param {{tle: string[], observer: object, start: Date, options?: {windowHours?: number, margin?: number}}} params
+   * @returns {Promise<object[]|null>} Events from findTransits, or null once
+   *   a newer search has replaced this one
+   */
+  const transits = async ({ tle, observer, start, options = {} }) => {
+    if (!worker) {
+      return findTransits(getSatrec(tle), observer, start, options);
+    }
+    if (activeTransitsId !== null) {
+      worker.postMessage({ type: 'cancel', id: activeTransitsId });
+      settle(activeTransitsId, null);
+    }
+    const id = nextId++;
+    activeTransitsId = id;
+    try {
+      return await request({ type: 'transits', id, tle, observer, start, options });
+    } finally {
+      if (activeTransitsId === id) activeTransitsId = null;
+    }
+  };
+
+  return { predictPasses, groundTrack, transits, cancel };
+};
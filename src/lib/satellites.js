@@ -0,0 +1,75 @@
+// Catalog of trackable objects, keyed by NORAD catalog number.
+// The ISS stays the default; any other object can be tracked by its NORAD ID
+// and gets a generic entry (named from its TLE once the elements load).
+
+export const DEFAULT_NORAD_ID = 25544;
+
+// NORAD IDs are positive integers; Celestrak accepts up to nine digits once
+// the five-digit range is exhausted.
+const MAX_NORAD_ID = 999999999;
+
+const MAX_SATELLITE_NAME_LENGTH = 40;
+
+// standardMagnitude: intrinsic brightness at 1000 km range and 90° phase
+// angle (half illuminated), as used by visual observers' catalogs
+export const SATELLITE_CATALOG = [
+  { noradId: 25544, name: 'International Space Station', shortName: 'ISS', standardMagnitude: -1.8 },
+  { noradId: 48274, name: 'Tiangong (CSS)', shortName: 'Tiangong', standardMagnitude: -0.8 },
+  { noradId: 20580, name: 'Hubble Space Telescope', shortName: 'Hubble', standardMagnitude: 2.2 }
+];
+
+/**
+ * Parse a NORAD catalog number from user input or a stored value.
+ * @param {string|number} value
+ * @returns {number|null} The ID, or null when it is not a valid catalog number
+ */
+export const normalizeNoradId = (value) => {
+  const text = String(value ?? '').trim();
+  if (!/^\d{1,9}$/.test(text)) return null;
+  const id = Number.parseInt(text, 10);
+  return id >= 1 && id <= MAX_NORAD_ID ? id : null;
+};
+
+/**
+ * Build a catalog entry for an object outside the built-in catalog.
+ * @param {number} noradId
+ * @param {string} [name] - Usually the TLE title line
+ * @returns {{noradId: number, name: string, shortName: string, standardMagnitude: null, custom: true}}
+ */
+export const createCustomSatellite = (noradId, name = '') => {
+  const cleanName = String(name).trim().slice(0, MAX_SATELLITE_NAME_LENGTH);
+  return {
+    noradId,
+    name: cleanName || `NORAD ${noradId}`,
+    shortName: cleanName || `#${noradId}`,
+    // Unknown size and reflectivity: no magnitude estimate
+    standardMagnitude: null,
+    custom: true
+  };
+};
+
+/**
+ * Look up an object by NORAD ID in the built-in catalog, then in the
+ * user's custom entries. Unknown IDs get a generic entry.
+ * @param {number} noradId
+ * @param {Array<{noradId: number, name: string}>} [customSatellites]
+ */
+export const findSatellite = (noradId, customSatellites = []) => {
+  const builtIn = SATELLITE_CATALOG.find((sat) => sat.noradId === noradId);
+  if (builtIn) return builtIn;
+  const custom = customSatellites.find((sat) => sat.noradId === noradId);
+  return createCustomSatellite(noradId, custom?.name);
+};
+
+/**
+ * Full selectable list: built-in catalog first, then custom entries not
+ * already in the catalog.
+ * @param {Array<{noradId: number, name: string}>} [customSatellites]
+ */
+export const listSatellites = (customSatellites = []) => {
+  const known = new Set(SATELLITE_CATALOG.map((sat) => sat.noradId));
+  const extras = customSatellites
+    .filter((sat) => !known.has(sat.noradId))
+    .map((sat) => createCustomSatellite(sat.noradId, sat.name));
+  return [...SATELLITE_CATALOG, ...extras];
+};
@@ -1,6 +1,10 @@
+import { DEFAULT_NORAD_ID, normalizeNoradId } from './satellites.js';
+
 // Shareable pass link helpers.
 // A share link encodes the observer location and the pass start time so a
 // recipient sees the same pick: ?lat=<deg>&lon=<deg>&pass=<ISO>&loc=<name>
+// plus &sat=<NORAD ID> when the pass belongs to an object other than the ISS
+// and &alt=<meters> for observers above sea level.
 
 // Successive ISS passes are ~90 minutes apart, so a generous ±15 minute
 // tolerance absorbs TLE drift between sharer and recipient without ever
@@ -9,6 +13,10 @@ export const PASS_MATCH_TOLERANCE_MS = 15 * 60 * 1000;
 
 const MAX_LOCATION_NAME_LENGTH = 80;
 
+// Dead Sea shore to above Everest, meters
+const MIN_ALTITUDE_M = -500;
+const MAX_ALTITUDE_M = 9000;
+
 // Placeholder names that carry no meaning for a recipient; omitted from
 // links so the recipient's device resolves a real name instead.
 const PLACEHOLDER_NAMES = new Set([
@@ -23,20 +31,33 @@ export const isPlaceholderName = (name) =>
 
 /**
  * Build the query params for a share link.
- * @param {{lat: number, lon: number}} observer
+ * @param {{lat: number, lon: number, height?: number}} observer - Height in km
  * @param {{start: Date}} pass
  * @param {string} [locationName]
+ * @param {number} [noradId] - Tracked object; omitted from links for the ISS
  * @returns {URLSearchParams}
  */
-export const buildShareParams = (observer, pass, locationName = '') => {
+export const buildShareParams = (
+  observer,
+  pass,
+  locationName = '',
+  noradId = DEFAULT_NORAD_ID
+) => {
   const params = new URLSearchParams();
   params.set('lat', observer.lat.toFixed(4));
   params.set('lon', observer.lon.toFixed(4));
   params.set('pass', pass.start.toISOString());
+  const altitudeM = Math.round((observer.height || 0) * 1000);
+  if (altitudeM !== 0) {
+    params.set('alt', String(altitudeM));
+  }
   const name = String(locationName).trim();
   if (name && !isPlaceholderName(name)) {
     params.set('loc', name.slice(0, MAX_LOCATION_NAME_LENGTH));
   }
+  if (noradId !== DEFAULT_NORAD_ID) {
+    params.set('sat', String(noradId));
+  }
   return params;
 };
 
@@ -44,11 +65,11 @@ export const buildShareParams = (observer, pass, locationName = '') => {
  * Parse share params from a query string. Invalid or out-of-range values
  * are dropped rather than throwing, so a mangled link degrades gracefully.
  * @param {string} search - window.location.search (with or without '?')
- * @returns {{observer: {lat: number, lon: number}|null, passTime: Date|null, locationName: string}}
+ * @returns {{observer: {lat: number, lon: number, height?: number}|null, passTime: Date|null, locationName: string, noradId: number|null}}
  */
 export const parseShareParams = (search) => {
   const params = new URLSearchParams(search);
-  const result = { observer: null, passTime: null, locationName: '' };
+  const result = { observer: null, passTime: null, locationName: '', noradId: null };
 
   const lat = Number.parseFloat(params.get('lat'));
   const lon = Number.parseFloat(params.get('lon'));
@@ -57,6 +78,13 @@ export const parseShareParams = (search) => {
     Number.isFinite(lon) && lon >= -180 && lon <= 180
   ) {
     result.observer = { lat, lon };
+    const altitudeM = Number.parseFloat(params.get('alt'));
+    if (
+      Number.isFinite(altitudeM) &&
+      altitudeM >= MIN_ALTITUDE_M && altitudeM <= MAX_ALTITUDE_M
+    ) {
+      result.observer.height = altitudeM / 1000;
+    }
   }
 
   const passParam = params.get('pass');
@@ -72,6 +100,8 @@ export const parseShareParams = (search) => {
     result.locationName = loc.slice(0, MAX_LOCATION_NAME_LENGTH);
   }
 
+  result.noradId = normalizeNoradId(params.get('sat'));
+
   return result;
 };
 
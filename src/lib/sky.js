@@ -0,0 +1,319 @@
+// Sky context for a pass: where the bright stars, naked-eye planets and the
+// Moon stand for an observer, and which of them a satellite passes near.
+// Star and planet positions are J2000 and precessed to the date; alt-az
+// uses Greenwich mean sidereal time from sun.js, without refraction.
+
+import { toDegrees, toRadians, wrapDegrees } from './format.js';
+import { getLunarPosition } from './moon.js';
+import { BRIGHT_STARS } from './stars.js';
+import { getGreenwichSiderealTime, toJulianDate } from './sun.js';
+
+const J2000 = 2451545.0;
+// Obliquity of the ecliptic at J2000 (degrees)
+const J2000_OBLIQUITY = 23.43928;
+const EARTH_RADIUS_KM = 6371;
+// Separations up to this (degrees) count as "just" above/below an object
+const NEAR_SEPARATION = 2;
+// Beyond this (degrees) nothing is close enough to steer by
+const MAX_NEIGHBOR_SEPARATION = 12;
+
+const wrapSigned = (degrees) => wrapDegrees(degrees + 180) - 180;
+
+// JPL approximate Keplerian elements (Standish, valid 1800–2050): J2000
+// value and rate per Julian century of a (au), e, I, L, long. perihelion
+// and long. ascending node (degrees), relative to the J2000 ecliptic.
+// Magnitude at 1 au from Sun and Earth, and its phase-angle polynomial
+// (degrees^1..3), from Meeus ch. 41.
+const PLANETS = [
+  {
+    name: 'Mercury',
+    elements: [
+      [0.38709927, 0.00000037], [0.20563593, 0.00001906], [7.00497902, -0.00594749],
+      [252.25032350, 149472.67411175], [77.45779628, 0.16047689], [48.33076593, -0.12534081]
+    ],
+    standardMagnitude: -0.42,
+    phaseCoefficients: [0.0380, -0.000273, 0.000002]
+  },
+  {
+    name: 'Venus',
+    elements: [
+      [0.72333566, 0.00000390], [0.00677672, -0.00004107], [3.39467605, -0.00078890],
+      [181.97909950, 58517.81538729], [131.60246718, 0.00268329], [76.67984255, -0.27769418]
+    ],
+    standardMagnitude: -4.40,
+    phaseCoefficients: [0.0009, 0.000239, -0.00000065]
+  },
+  {
+    name: 'Mars',
+    elements: [
+      [1.52371034, 0.00001847], [0.09339410, 0.00007882], [1.84969142, -0.00813131],
+      [-4.55343205, 19140.30268499], [-23.94362959, 0.44441088], [49.55953891, -0.29257343]
+    ],
+    standardMagnitude: -1.52,
+    phaseCoefficients: [0.016, 0, 0]
+  },
+  {
+    name: 'Jupiter',
+    elements: [
+      [5.20288700, -0.00011607], [0.04838624, -0.00013253], [1.30439695, -0.00183714],
+      [34.39644051, 3034.74612775], [14.72847983, 0.21252668], [100.47390909, 0.20469106]
+    ],
+    standardMagnitude: -9.40,
+    phaseCoefficients: [0.005, 0, 0]
+  },
+  {
+    name: 'Saturn',
+    elements: [
+      [9.53667594, -0.00125060], [0.05386179, -0.00050991], [2.48599187, 0.00193609],
+      [49.95424423, 1222.49362201], [92.59887831, -0.41897216], [113.66242448, -0.28867794]
+    ],
+    // Rings ignored
+    standardMagnitude: -8.88,
+    phaseCoefficients: [0, 0, 0]
+  }
+];
+
+const EARTH_MOON_ELEMENTS = [
+  [1.00000261, 0.00000562], [0.01671123, -0.00004392], [-0.00001531, -0.01294668],
+  [100.46457166, 35999.37244981], [102.93768193, 0.32327364], [0, 0]
+];
+
+const getCenturiesSinceJ2000 = (date) => (toJulianDate(date) - J2000) / 36525;
+
+/**
+ * Heliocentric position in the J2000 ecliptic frame, in au.
+ */
+const getHeliocentricPosition = (elements, T) => {
+  const [a, e, inclination, meanLongitude, perihelion, node] = elements.map(
+    ([value, rate]) => value + rate * T
+  );
+  const argument = toRadians(perihelion - node);
+  const meanAnomaly = toRadians(wrapSigned(meanLongitude - perihelion));
+
+  // Kepler's equation by Newton iteration
+  let eccentricAnomaly = meanAnomaly + e * Math.sin(meanAnomaly);
+  for (let iteration = 0; iteration < 10; iteration += 1) {
+    const delta = (eccentricAnomaly - e * Math.sin(eccentricAnomaly) - meanAnomaly)
+      / (1 - e * Math.cos(eccentricAnomaly));
+    eccentricAnomaly -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+
+  const xOrbit = a * (Math.cos(eccentricAnomaly) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+  const cosArgument = Math.cos(argument);
+  const sinArgument = Math.sin(argument);
+  const cosNode = Math.cos(toRadians(node));
+  const sinNode = Math.sin(toRadians(node));
+  const cosInclination = Math.cos(toRadians(inclination));
+  const sinInclination = Math.sin(toRadians(inclination));
+  return {
+    x: (cosArgument * cosNode - sinArgument * sinNode * cosInclination) * xOrbit
+      + (-sinArgument * cosNode - cosArgument * sinNode * cosInclination) * yOrbit,
+    y: (cosArgument * sinNode + sinArgument * cosNode * cosInclination) * xOrbit
+      + (-sinArgument * sinNode + cosArgument * cosNode * cosInclination) * yOrbit,
+    z: sinArgument * sinInclination * xOrbit + cosArgument * sinInclination * yOrbit
+  };
+};
+
+/**
+ * Precess J2000 equatorial coordinates to the equinox of a date (Meeus
+ * eq. 21.1, good to a few arcseconds over a century).
+ * @param {number} rightAscension - Degrees
+ * @param {number} declination - Degrees
+ * @param {Date} date
+ * @returns {{rightAscension: number, declination: number}} Degrees
+ */
+export const precessFromJ2000 = (rightAscension, declination, date) => {
+  const T = getCenturiesSinceJ2000(date);
+  const zeta = toRadians((2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) / 3600);
+  const z = toRadians((2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) / 3600);
+  const theta = toRadians((2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) / 3600);
+  const alpha = toRadians(rightAscension);
+  const delta = toRadians(declination);
+
+  const A = Math.cos(delta) * Math.sin(alpha + zeta);
+  const B = Math.cos(theta) * Math.cos(delta) * Math.cos(alpha + zeta)
+    - Math.sin(theta) * Math.sin(delta);
+  const C = Math.sin(theta) * Math.cos(delta) * Math.cos(alpha + zeta)
+    + Math.cos(theta) * Math.sin(delta);
+  return {
+    rightAscension: wrapDegrees(toDegrees(Math.atan2(A, B) + z)),
+    declination: toDegrees(Math.asin(Math.min(Math.max(C, -1), 1)))
+  };
+};
+
+/**
+ * Azimuth and elevation of a body for an observer.
+ * @param {number} rightAscension - Degrees, equinox of date
+ * @param {number} declination - Degrees, equinox of date
+ * @param {Date} date
+ * @param {{lat: number, lon: number}} observer
+ * @returns {{azimuth: number, elevation: number}} Degrees, azimuth from north
+ */
+export const equatorialToHorizontal = (rightAscension, declination, date, observer) => {
+  const hourAngle = toRadians(getGreenwichSiderealTime(date) + observer.lon - rightAscension);
+  const latitude = toRadians(observer.lat);
+  const delta = toRadians(declination);
+  const elevation = Math.asin(
+    Math.sin(latitude) * Math.sin(delta)
+    + Math.cos(latitude) * Math.cos(delta) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.cos(delta) * Math.sin(hourAngle),
+    Math.sin(delta) * Math.cos(latitude) - Math.cos(delta) * Math.sin(latitude) * Math.cos(hourAngle)
+  );
+  return { azimuth: wrapDegrees(toDegrees(azimuth)), elevation: toDegrees(elevation) };
+};
+
+/**
+ * Shift a nearby body's geocentric RA/Dec to where the observer sees it
+ * (up to a degree for the Moon), treating the Earth as a sphere.
+ */
+const toTopocentric = ({ rightAscension, declination, distanceKm }, date, observer) => {
+  const alpha = toRadians(rightAscension);
+  const delta = toRadians(declination);
+  const localSiderealTime = toRadians(getGreenwichSiderealTime(date) + observer.lon);
+  const latitude = toRadians(observer.lat);
+  const x = distanceKm * Math.cos(delta) * Math.cos(alpha)
+    - EARTH_RADIUS_KM * Math.cos(latitude) * Math.cos(localSiderealTime);
+  const y = distanceKm * Math.cos(delta) * Math.sin(alpha)
+    - EARTH_RADIUS_KM * Math.cos(latitude) * Math.sin(localSiderealTime);
+  const z = distanceKm * Math.sin(delta) - EARTH_RADIUS_KM * Math.sin(latitude);
+  return {
+    rightAscension: wrapDegrees(toDegrees(Math.atan2(y, x))),
+    declination: toDegrees(Math.asin(z / Math.hypot(x, y, z)))
+  };
+};
+
+/**
+ * Geocentric positions of the naked-eye planets (J2000 equator) with their
+ * approximate visual magnitudes. Light time is ignored (under 0.01° for
+ * the outer planets).
+ * @param {Date} date
+ * @returns {Array<{name: string, rightAscension: number, declination: number, magnitude: number}>}
+ */
+export const getPlanetPositions = (date) => {
+  const T = getCenturiesSinceJ2000(date);
+  const earth = getHeliocentricPosition(EARTH_MOON_ELEMENTS, T);
+  const obliquity = toRadians(J2000_OBLIQUITY);
+
+  return PLANETS.map(({ name, elements, standardMagnitude, phaseCoefficients }) => {
+    const planet = getHeliocentricPosition(elements, T);
+    const x = planet.x - earth.x;
+    const y = planet.y - earth.y;
+    const z = planet.z - earth.z;
+    const distance = Math.hypot(x, y, z);
+    const sunDistance = Math.hypot(planet.x, planet.y, planet.z);
+    // Sun–planet–Earth angle
+    const phaseAngle = toDegrees(Math.acos(Math.min(Math.max(
+      (planet.x * x + planet.y * y + planet.z * z) / (sunDistance * distance), -1
+    ), 1)));
+
+    // Ecliptic to equatorial
+    const yEquatorial = y * Math.cos(obliquity) - z * Math.sin(obliquity);
+    const zEquatorial = y * Math.sin(obliquity) + z * Math.cos(obliquity);
+    return {
+      name,
+      rightAscension: wrapDegrees(toDegrees(Math.atan2(yEquatorial, x))),
+      declination: toDegrees(Math.asin(zEquatorial / distance)),
+      magnitude: standardMagnitude
+        + 5 * Math.log10(sunDistance * distance)
+        + phaseCoefficients.reduce(
+          (sum, coefficient, index) => sum + coefficient * phaseAngle ** (index + 1),
+          0
+        )
+    };
+  });
+};
+
+/**
+ * Stars, planets and the Moon above the horizon for an observer.
+ * @param {Date} date
+ * @param {{lat: number, lon: number}} observer
+ * @returns {Array<{name: string, kind: 'star'|'planet'|'moon', azimuth: number, elevation: number, magnitude: number}>}
+ */
+export const getSkyObjects = (date, observer) => {
+  const toHorizontal = (body, kind) => {
+    const { rightAscension, declination } = precessFromJ2000(
+      body.rightAscension, body.declination, date
+    );
+    return {
+      name: body.name,
+      kind,
+      magnitude: body.magnitude,
+      ...equatorialToHorizontal(rightAscension, declination, date, observer)
+    };
+  };
+
+  const moon = toTopocentric(getLunarPosition(date), date, observer);
+  const objects = [
+    ...BRIGHT_STARS.map((star) => toHorizontal(star, 'star')),
+    ...getPlanetPositions(date).map((planet) => toHorizontal(planet, 'planet')),
+    {
+      name: 'Moon',
+      kind: 'moon',
+      magnitude: -12.7,
+      ...equatorialToHorizontal(moon.rightAscension, moon.declination, date, observer)
+    }
+  ];
+  return objects.filter((object) => object.elevation > 0);
+};
+
+/**
+ * Angular separation between two alt-az directions.
+ * @returns {number} Degrees
+ */
+export const getAngularSeparation = (a, b) => {
+  const elevationA = toRadians(a.elevation);
+  const elevationB = toRadians(b.elevation);
+  const cosine = Math.sin(elevationA) * Math.sin(elevationB)
+    + Math.cos(elevationA) * Math.cos(elevationB) * Math.cos(toRadians(a.azimuth - b.azimuth));
+  return toDegrees(Math.acos(Math.min(Math.max(cosine, -1), 1)));
+};
+
+/**
+ * The nearest sky object to a direction, and where the direction lies
+ * relative to it as seen by an observer facing the object.
+ * @param {{azimuth: number, elevation: number}} look
+ * @param {Array<{name: string, azimuth: number, elevation: number}>} objects
+ * @returns {{object: object, separation: number, relation: 'above'|'below'|'left of'|'right of'}|null}
+ *   Null when nothing is within 12°
+ */
+export const findSkyNeighbor = (look, objects) => {
+  let nearest = null;
+  objects.forEach((object) => {
+    const separation = getAngularSeparation(look, object);
+    if (separation <= MAX_NEIGHBOR_SEPARATION && (!nearest || separation < nearest.separation)) {
+      nearest = { object, separation };
+    }
+  });
+  if (!nearest) return null;
+
+  const up = look.elevation - nearest.object.elevation;
+  const across = wrapSigned(look.azimuth - nearest.object.azimuth)
+    * Math.cos(toRadians(nearest.object.elevation));
+  let relation;
+  if (Math.abs(up) >= Math.abs(across)) {
+    relation = up >= 0 ? 'above' : 'below';
+  } else {
+    // Azimuth grows to the right for an observer facing the object
+    relation = across >= 0 ? 'right of' : 'left of';
+  }
+  return { ...nearest, relation };
+};
+
+/**
+ * Short phrase placing a satellite against the sky, e.g. "just below Vega"
+ * or "5° left of Jupiter".
+ * @param {{separation: number, relation: string, object: {name: string}}|null} neighbor
+ * @returns {string}
+ */
+export const describeSkyNeighbor = (neighbor) => {
+  if (!neighbor) return '';
+  const distance = neighbor.separation <= NEAR_SEPARATION
+    ? 'just'
+    : `${Math.round(neighbor.separation)}°`;
+  const name = neighbor.object.kind === 'moon' ? 'the Moon' : neighbor.object.name;
+  return `${distance} ${neighbor.relation} ${name}`;
+};
@@ -0,0 +1,140 @@
+// Sky chart geometry for a single pass: the path across the sky on the
+// polar projection from horizon.js (zenith at the center, north up), split
+// into visible and unseen stretches, with a tick every minute.
+// A track is a list of { time: Date, azimuth, elevation } samples in time
+// order, as returned by computeSkyTrack in passes.js.
+
+import { projectPolar } from './horizon.js';
+
+const MINUTE_MS = 60 * 1000;
+// Half-width of the window used to find the track direction at a tick
+const TICK_DIRECTION_MS = 5000;
+
+const formatPoint = ({ x, y }) => `${x.toFixed(1)} ${y.toFixed(1)}`;
+
+const isInSegments = (segments, timeMs) =>
+  segments.some(
+    (segment) =>
+      timeMs >= segment.start.getTime()
+      && timeMs <= (segment.end?.getTime() ?? Number.POSITIVE_INFINITY)
+  );
+
+/**
+ * Chart position of the satellite at a time, interpolated between the
+ * projected track samples.
+ * @param {Array<{time: Date, azimuth: number, elevation: number}>} track
+ * @param {number} timeMs
+ * @param {number} center
+ * @param {number} radius
+ * @returns {{x: number, y: number}|null} Null outside the track's time span
+ */
+export const interpolateSkyTrack = (track, timeMs, center, radius) => {
+  if (!track.length) return null;
+  if (timeMs < track[0].time.getTime() || timeMs > track.at(-1).time.getTime()) {
+    return null;
+  }
+  const index = track.findIndex((point) => point.time.getTime() >= timeMs);
+  const after = track[index];
+  const afterPoint = projectPolar(after.azimuth, after.elevation, center, radius);
+  if (index === 0 || after.time.getTime() === timeMs) return afterPoint;
+
+  const before = track[index - 1];
+  const beforePoint = projectPolar(before.azimuth, before.elevation, center, radius);
+  const fraction = (timeMs - before.time.getTime())
+    / (after.time.getTime() - before.time.getTime());
+  return {
+    x: beforePoint.x + (afterPoint.x - beforePoint.x) * fraction,
+    y: beforePoint.y + (afterPoint.y - beforePoint.y) * fraction
+  };
+};
+
+/**
+ * SVG path data for the track, split where the pass becomes visible or
+ * stops being visible.
+ * @param {Array<{time: Date, azimuth: number, elevation: number}>} track
+ * @param {Array<{start: Date, end: Date|null}>} visibleSegments
+ * @param {number} center
+ * @param {number} radius
+ * @returns {{visible: string, hidden: string}}
+ */
+export const buildSkyTrackPaths = (track, visibleSegments, center, radius) => {
+  const paths = { visible: [], hidden: [] };
+  if (track.length < 2) return { visible: '', hidden: '' };
+
+  const startMs = track[0].time.getTime();
+  const endMs = track.at(-1).time.getTime();
+  const boundaries = visibleSegments
+    .flatMap((segment) => [segment.start, segment.end])
+    .filter(Boolean)
+    .map((date) => date.getTime())
+    .filter((timeMs) => timeMs > startMs && timeMs < endMs);
+  const times = [...new Set([...track.map((point) => point.time.getTime()), ...boundaries])]
+    .sort((a, b) => a - b);
+
+  // Runs of consecutive times sharing the visibility of their midpoints
+  let run = null;
+  let runVisible = null;
+  for (let index = 0; index < times.length - 1; index += 1) {
+    const visible = isInSegments(visibleSegments, (times[index] + times[index + 1]) / 2);
+    if (visible !== runVisible) {
+      if (run) paths[runVisible ? 'visible' : 'hidden'].push(run);
+      run = [times[index]];
+      runVisible = visible;
+    }
+    run.push(times[index + 1]);
+  }
+  paths[runVisible ? 'visible' : 'hidden'].push(run);
+
+  const toPath = (runs) =>
+    runs
+      .map((runTimes) =>
+        runTimes
+          .map((timeMs, index) => {
+            const point = interpolateSkyTrack(track, timeMs, center, radius);
+            return `${index === 0 ? 'M' : 'L'}${formatPoint(point)}`;
+          })
+          .join(' ')
+      )
+      .join(' ');
+  return { visible: toPath(paths.visible), hidden: toPath(paths.hidden) };
+};
+
+/**
+ * SVG path data for a short tick across the track at every whole minute
+ * between rise and set.
+ * @param {Array<{time: Date, azimuth: number, elevation: number}>} track
+ * @param {number} center
+ * @param {number} radius
+ * @param {number} [length] - Tick length in chart units
+ * @returns {string}
+ */
+export const buildMinuteTicks = (track, center, radius, length = 6) => {
+  if (track.length < 2) return '';
+  const startMs = track[0].time.getTime();
+  const endMs = track.at(-1).time.getTime();
+  const ticks = [];
+  for (
+    let timeMs = (Math.floor(startMs / MINUTE_MS) + 1) * MINUTE_MS;
+    timeMs < endMs;
+    timeMs += MINUTE_MS
+  ) {
+    const point = interpolateSkyTrack(track, timeMs, center, radius);
+    const before = interpolateSkyTrack(
+      track, Math.max(timeMs - TICK_DIRECTION_MS, startMs), center, radius
+    );
+    const after = interpolateSkyTrack(
+      track, Math.min(timeMs + TICK_DIRECTION_MS, endMs), center, radius
+    );
+    const dx = after.x - before.x;
+    const dy = after.y - before.y;
+    const norm = Math.hypot(dx, dy);
+    if (norm === 0) continue;
+    // Perpendicular to the direction of travel
+    const nx = (-dy / norm) * (length / 2);
+    const ny = (dx / norm) * (length / 2);
+    ticks.push(
+      `M${formatPoint({ x: point.x - nx, y: point.y - ny })} L${formatPoint({ x: point.x + nx, y: point.y + ny })}`
+    );
+  }
+  return ticks.join(' ');
+};
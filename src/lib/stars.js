@@ -0,0 +1,147 @@
+// Naked-eye guide stars for the pass sky chart: the brightest stars to
+// about magnitude 3, with the proper names observers use to find their way
+// around the sky. Positions are J2000 (Yale Bright Star / Hipparcos,
+// rounded to 0.0001°); proper motion is ignored.
+
+/**
+ * [name, right ascension (degrees), declination (degrees), visual magnitude],
+ * brightest first.
+ * @type {Array<[string, number, number, number]>}
+ */
+const STAR_ROWS = [
+  ['Sirius', 101.2871, -16.7161, -1.46],
+  ['Canopus', 95.9879, -52.6958, -0.74],
+  ['Rigil Kentaurus', 219.9021, -60.8339, -0.27],
+  ['Arcturus', 213.9154, 19.1825, -0.05],
+  ['Vega', 279.2346, 38.7836, 0.03],
+  ['Capella', 79.1725, 45.9981, 0.08],
+  ['Rigel', 78.6346, -8.2017, 0.13],
+  ['Procyon', 114.8254, 5.2250, 0.34],
+  ['Achernar', 24.4283, -57.2367, 0.46],
+  ['Betelgeuse', 88.7929, 7.4069, 0.50],
+  ['Hadar', 210.9558, -60.3731, 0.61],
+  ['Altair', 297.6958, 8.8683, 0.76],
+  ['Acrux', 186.6496, -63.0992, 0.76],
+  ['Aldebaran', 68.9800, 16.5092, 0.86],
+  ['Antares', 247.3521, -26.4319, 0.96],
+  ['Spica', 201.2983, -11.1614, 0.97],
+  ['Pollux', 116.3287, 28.0261, 1.14],
+  ['Fomalhaut', 344.4125, -29.6222, 1.16],
+  ['Deneb', 310.3579, 45.2803, 1.25],
+  ['Mimosa', 191.9304, -59.6886, 1.25],
+  ['Regulus', 152.0929, 11.9672, 1.40],
+  ['Adhara', 104.6562, -28.9722, 1.50],
+  ['Castor', 113.6500, 31.8883, 1.58],
+  ['Shaula', 263.4021, -37.1039, 1.62],
+  ['Gacrux', 187.7913, -57.1133, 1.63],
+  ['Bellatrix', 81.2829, 6.3497, 1.64],
+  ['Elnath', 81.5729, 28.6075, 1.65],
+  ['Miaplacidus', 138.3000, -69.7172, 1.67],
+  ['Alnilam', 84.0533, -1.2019, 1.69],
+  ['Alnair', 332.0583, -46.9611, 1.74],
+  ['Alnitak', 85.1896, -1.9428, 1.77],
+  ['Alioth', 193.5071, 55.9597, 1.77],
+  ['Dubhe', 165.9321, 61.7508, 1.79],
+  ['Mirfak', 51.0808, 49.8611, 1.80],
+  ['Regor', 122.3833, -47.3367, 1.83],
+  ['Wezen', 107.0979, -26.3933, 1.84],
+  ['Kaus Australis', 276.0429, -34.3847, 1.85],
+  ['Avior', 125.6283, -59.5097, 1.86],
+  ['Alkaid', 206.8850, 49.3133, 1.86],
+  ['Sargas', 264.3296, -42.9978, 1.86],
+  ['Menkalinan', 89.8821, 44.9475, 1.90],
+  ['Atria', 252.1662, -69.0278, 1.92],
+  ['Alhena', 99.4279, 16.3992, 1.93],
+  ['Peacock', 306.4121, -56.7350, 1.94],
+  ['Alsephina', 131.1758, -54.7083, 1.96],
+  ['Mirzam', 95.6750, -17.9558, 1.98],
+  ['Alphard', 141.8967, -8.6586, 1.98],
+  ['Polaris', 37.9546, 89.2642, 1.98],
+  ['Hamal', 31.7933, 23.4625, 2.00],
+  ['Algieba', 154.9933, 19.8414, 2.01],
+  ['Diphda', 10.8975, -17.9867, 2.04],
+  ['Mizar', 200.9812, 54.9253, 2.04],
+  ['Nunki', 283.8163, -26.2967, 2.05],
+  ['Mirach', 17.4329, 35.6206, 2.05],
+  ['Menkent', 211.6704, -36.3700, 2.06],
+  ['Alpheratz', 2.0971, 29.0906, 2.06],
+  ['Saiph', 86.9392, -9.6697, 2.07],
+  ['Tiaki', 340.6671, -46.8847, 2.07],
+  ['Rasalhague', 263.7337, 12.5600, 2.08],
+  ['Kochab', 222.6763, 74.1556, 2.08],
+  ['Almach', 30.9750, 42.3297, 2.10],
+  ['Algol', 47.0421, 40.9556, 2.12],
+  ['Denebola', 177.2650, 14.5719, 2.13],
+  ['Muhlifain', 190.3792, -48.9597, 2.17],
+  ['Suhail', 136.9992, -43.4325, 2.21],
+  ['Alphecca', 233.6721, 26.7147, 2.23],
+  ['Sadr', 305.5571, 40.2567, 2.23],
+  ['Eltanin', 269.1517, 51.4889, 2.23],
+  ['Mintaka', 83.0017, -0.2992, 2.23],
+  ['Schedar', 10.1267, 56.5372, 2.24],
+  ['Naos', 120.8958, -40.0033, 2.25],
+  ['Aspidiske', 139.2725, -59.2753, 2.25],
+  ['Caph', 2.2946, 59.1497, 2.28],
+  ['Dschubba', 240.0833, -22.6217, 2.29],
+  ['Larawag', 252.5408, -34.2933, 2.29],
+  ['Alpha Lupi', 220.4825, -47.3881, 2.30],
+  ['Epsilon Centauri', 204.9721, -53.4664, 2.30],
+  ['Eta Centauri', 218.8767, -42.1578, 2.31],
+  ['Merak', 165.4604, 56.3825, 2.37],
+  ['Izar', 221.2467, 27.0742, 2.37],
+  ['Girtab', 265.6221, -39.0300, 2.39],
+  ['Enif', 326.0467, 9.8750, 2.39],
+  ['Ankaa', 6.5708, -42.3061, 2.40],
+  ['Scheat', 345.9438, 28.0828, 2.42],
+  ['Sabik', 257.5946, -15.7247, 2.43],
+  ['Phecda', 178.4575, 53.6947, 2.44],
+  ['Alderamin', 319.6450, 62.5856, 2.45],
+  ['Aludra', 111.0238, -29.3031, 2.45],
+  ['Navi', 14.1771, 60.7167, 2.47],
+  ['Markeb', 140.5283, -55.0106, 2.47],
+  ['Markab', 346.1904, 15.2053, 2.48],
+  ['Aljanah', 311.5529, 33.9703, 2.48],
+  ['Menkar', 45.5700, 4.0897, 2.54],
+  ['Zeta Ophiuchi', 249.2896, -10.5672, 2.56],
+  ['Zosma', 168.5271, 20.5236, 2.56],
+  ['Arneb', 83.1825, -17.8222, 2.58],
+  ['Gienah', 183.9517, -17.5419, 2.59],
+  ['Ascella', 285.6529, -29.8803, 2.60],
+  ['Zubeneschamali', 229.2517, -9.3831, 2.61],
+  ['Acrab', 241.3592, -19.8056, 2.62],
+  ['Mahasim', 89.9304, 37.2125, 2.62],
+  ['Unukalhai', 236.0671, 6.4256, 2.63],
+  ['Sheratan', 28.6600, 20.8081, 2.64],
+  ['Phact', 84.9121, -34.0742, 2.65],
+  ['Kraz', 188.5967, -23.3967, 2.65],
+  ['Ruchbah', 21.4542, 60.2353, 2.68],
+  ['Muphrid', 208.6713, 18.3978, 2.68],
+  ['Hassaleh', 74.2483, 33.1661, 2.69],
+  ['Kaus Media', 275.2483, -29.8281, 2.70],
+  ['Lesath', 262.6908, -37.2958, 2.70],
+  ['Tarazed', 296.5650, 10.6133, 2.72],
+  ['Porrima', 190.4150, -1.4494, 2.74],
+  ['Zubenelgenubi', 222.7196, -16.0417, 2.75],
+  ['Kornephoros', 247.5550, 21.4897, 2.77],
+  ['Cebalrai', 265.8683, 4.5672, 2.77],
+  ['Rastaban', 262.6083, 52.3014, 2.79],
+  ['Kaus Borealis', 276.9925, -25.4217, 2.81],
+  ['Algenib', 3.3092, 15.1836, 2.83],
+  ['Vindemiatrix', 195.5442, 10.9592, 2.83],
+  ['Fawaris', 296.2437, 45.1308, 2.87],
+  ['Tejat', 95.7400, 22.5136, 2.87],
+  ['Alcyone', 56.8713, 24.1050, 2.87],
+  ['Cor Caroli', 194.0071, 38.3183, 2.89],
+  ['Alnasl', 271.4521, -30.4242, 2.99],
+  ['Pherkad', 230.1821, 71.8339, 3.00],
+  ['Albireo', 292.6804, 27.9597, 3.05],
+  ['Megrez', 183.8567, 57.0325, 3.31]
+];
+
+/** @type {Array<{name: string, rightAscension: number, declination: number, magnitude: number}>} */
+export const BRIGHT_STARS = STAR_ROWS.map(([name, rightAscension, declination, magnitude]) => ({
+  name,
+  rightAscension,
+  declination,
+  magnitude
+}));
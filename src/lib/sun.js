@@ -0,0 +1,145 @@
+// Solar ephemeris shared by the globe lighting, the map terminator, the
+// shadow model and the darkness checks.
+// Low-precision apparent position from Meeus, "Astronomical Algorithms"
+// (2nd ed.), chapter 25: about 0.01° in right ascension and declination.
+// Times are taken as UT; the ~1 minute TT−UT difference moves the Sun by
+// under 0.001°.
+
+import { toDegrees, toRadians, wrapDegrees } from './format.js';
+
+const AU_KM = 149597870.7;
+const J2000 = 2451545.0;
+
+const wrapLongitude = (degrees) => wrapDegrees(degrees + 180) - 180;
+
+export const toJulianDate = (date) => date.getTime() / 86400000 + 2440587.5;
+
+/**
+ * Greenwich mean sidereal time (Meeus eq. 12.4).
+ * @param {Date} date
+ * @returns {number} Degrees, 0–360
+ */
+export const getGreenwichSiderealTime = (date) => {
+  const jd = toJulianDate(date);
+  const T = (jd - J2000) / 36525;
+  return wrapDegrees(
+    280.46061837
+    + 360.98564736629 * (jd - J2000)
+    + 0.000387933 * T * T
+    - (T * T * T) / 38710000
+  );
+};
+
+/**
+ * Apparent geocentric position of the Sun.
+ * @param {Date} date
+ * @returns {{rightAscension: number, declination: number, longitude: number, obliquity: number, distanceAu: number}}
+ *   Angles in degrees (right ascension 0–360)
+ */
+export const getSolarPosition = (date) => {
+  const T = (toJulianDate(date) - J2000) / 36525;
+
+  // Geometric mean longitude and mean anomaly
+  const L0 = wrapDegrees(280.46646 + T * (36000.76983 + T * 0.0003032));
+  const M = toRadians(wrapDegrees(357.52911 + T * (35999.05029 - T * 0.0001537)));
+  const e = 0.016708634 - T * (0.000042037 + T * 0.0000001267);
+
+  // Equation of center, true longitude and anomaly
+  const C = (1.914602 - T * (0.004817 + T * 0.000014)) * Math.sin(M)
+    + (0.019993 - T * 0.000101) * Math.sin(2 * M)
+    + 0.000289 * Math.sin(3 * M);
+  const trueLongitude = L0 + C;
+  const v = M + toRadians(C);
+  const distanceAu = (1.000001018 * (1 - e * e)) / (1 + e * Math.cos(v));
+
+  // Nutation and aberration
+  const omega = toRadians(125.04 - 1934.136 * T);
+  const longitude = wrapDegrees(trueLongitude - 0.00569 - 0.00478 * Math.sin(omega));
+  const meanObliquity = 23.4392911 - T * (0.0130042 + T * (1.64e-7 - T * 5.04e-7));
+  const obliquity = meanObliquity + 0.00256 * Math.cos(omega);
+
+  const lambda = toRadians(longitude);
+  const epsilon = toRadians(obliquity);
+  const rightAscension = wrapDegrees(toDegrees(
+    Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda))
+  ));
+  const declination = toDegrees(Math.asin(Math.sin(epsilon) * Math.sin(lambda)));
+
+  return { rightAscension, declination, longitude, obliquity, distanceAu };
+};
+
+/**
+ * Sun position in Earth-centered inertial coordinates (true equator and
+ * equinox of date, which matches satellite.js TEME to well under the Sun's
+ * apparent radius).
+ * @param {Date} date
+ * @returns {{x: number, y: number, z: number}} km
+ */
+export const getSunEci = (date) => {
+  const { rightAscension, declination, distanceAu } = getSolarPosition(date);
+  const alpha = toRadians(rightAscension);
+  const delta = toRadians(declination);
+  const distanceKm = distanceAu * AU_KM;
+  return {
+    x: distanceKm * Math.cos(delta) * Math.cos(alpha),
+    y: distanceKm * Math.cos(delta) * Math.sin(alpha),
+    z: distanceKm * Math.sin(delta)
+  };
+};
+
+/**
+ * The sub-solar point, where the Sun is directly overhead.
+ * @param {Date} date
+ * @returns {{lat: number, lon: number}} Degrees, longitude −180–180
+ */
+export const getSunSubPoint = (date) => {
+  const { rightAscension, declination } = getSolarPosition(date);
+  return {
+    lat: declination,
+    lon: wrapLongitude(rightAscension - getGreenwichSiderealTime(date))
+  };
+};
+
+/**
+ * Geometric altitude of the Sun's center for an observer (no refraction).
+ * @param {Date} date
+ * @param {{lat: number, lon: number}} observer
+ * @returns {number} Degrees
+ */
+export const getSunAltitude = (date, observer) => {
+  const { rightAscension, declination } = getSolarPosition(date);
+  const hourAngle = toRadians(getGreenwichSiderealTime(date) + observer.lon - rightAscension);
+  const latitude = toRadians(observer.lat);
+  const delta = toRadians(declination);
+  return toDegrees(Math.asin(
+    Math.sin(latitude) * Math.sin(delta)
+    + Math.cos(latitude) * Math.cos(delta) * Math.cos(hourAngle)
+  ));
+};
+
+/**
+ * Night-side polygon for a map overlay: the terminator latitude at every
+ * longitude step, closed over the pole in darkness.
+ * @param {Date} date
+ * @param {{resolution?: number, longitudeRange?: number}} [options] - Points
+ *   per degree, and the longitude span (720 covers a wrapped world map)
+ * @returns {Array<[number, number]>} [lat, lon] pairs
+ */
+export const computeTerminator = (date, { resolution = 2, longitudeRange = 720 } = {}) => {
+  const { rightAscension, declination } = getSolarPosition(date);
+  const gst = getGreenwichSiderealTime(date);
+  const tanDeclination = Math.tan(toRadians(declination));
+  const points = [];
+  for (let index = 0; index <= longitudeRange * resolution; index += 1) {
+    const lon = -longitudeRange / 2 + index / resolution;
+    const hourAngle = toRadians(gst + lon - rightAscension);
+    points.push([toDegrees(Math.atan(-Math.cos(hourAngle) / tanDeclination)), lon]);
+  }
+  // The pole tipped away from the Sun is in darkness
+  const darkPole = declination < 0 ? 90 : -90;
+  return [
+    [darkPole, -longitudeRange / 2],
+    ...points,
+    [darkPole, longitudeRange / 2]
+  ];
+};
@@ -0,0 +1,330 @@
+// Sun and Moon transits: moments when a satellite crosses, or passes close
+// to, the disk of the Sun or Moon as seen by the observer. Each event
+// carries its centerline, the ground track of the spot where the
+// satellite passes dead center, and the nearest point on it to the
+// observer.
+
+import { toDegrees, toRadians } from './format.js';
+import { getMoonEci, MOON_RADIUS_KM } from './moon.js';
+import { computeLookAngles } from './orbit.js';
+import { generatePasses } from './passes.js';
+import { getSunEci } from './sun.js';
+
+// How far outside the disk (degrees) a close approach is still reported
+export const DEFAULT_TRANSIT_MARGIN = 1;
+
+const SUN_RADIUS_KM = 696000;
+const WGS84_EQUATORIAL_KM = 6378.137;
+const WGS84_POLAR_KM = 6356.752314;
+const EARTH_RADIUS_KM = 6371;
+// A satellite in low orbit sweeps up to about 1°/s across the sky
+const SCAN_STEP_MS = 2000;
+const REFINE_TOLERANCE_MS = 1;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+// Centerline drawn for this long either side of closest approach
+const CENTERLINE_HALF_SPAN_MS = 60000;
+const CENTERLINE_STEP_MS = 2000;
+
+const BODIES = [
+  { id: 'sun', name: 'Sun', getEci: getSunEci, radiusKm: SUN_RADIUS_KM },
+  { id: 'moon', name: 'Moon', getEci: getMoonEci, radiusKm: MOON_RADIUS_KM }
+];
+
+const getSatellite = () => {
+  const satellite = globalThis.satellite;
+  if (!satellite) {
+    throw new Error('satellite.js is not loaded.');
+  }
+  return satellite;
+};
+
+const toVector = (look) => {
+  const cosElevation = Math.cos(look.elevation);
+  return {
+    x: cosElevation * Math.sin(look.azimuth),
+    y: cosElevation * Math.cos(look.azimuth),
+    z: Math.sin(look.elevation)
+  };
+};
+
+const normalize = (vector) => {
+  const length = Math.hypot(vector.x, vector.y, vector.z);
+  return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+};
+
+/**
+ * Satellite and body as seen by the observer at a time, and the angle
+ * between them. Null when propagation fails.
+ */
+const lookAtPair = (satrec, observer, body, timeMs) => {
+  const satellite = getSatellite();
+  const time = new Date(timeMs);
+  const { position } = satellite.propagate(satrec, time);
+  if (!position) return null;
+  const gmst = satellite.gstime(time);
+  const bodyEci = body.getEci(time);
+  const satLook = computeLookAngles(observer, position, gmst);
+  const bodyLook = computeLookAngles(observer, bodyEci, gmst);
+
+  const a = toVector(satLook);
+  const b = toVector(bodyLook);
+  const cosine = a.x * b.x + a.y * b.y + a.z * b.z;
+  return {
+    separation: toDegrees(Math.acos(Math.min(Math.max(cosine, -1), 1))),
+    bodyRadius: toDegrees(Math.asin(body.radiusKm / bodyLook.rangeSat)),
+    satellite: satLook,
+    body: bodyLook,
+    position,
+    bodyEci,
+    gmst
+  };
+};
+
+const separationAt = (satrec, observer, body, timeMs) =>
+  lookAtPair(satrec, observer, body, timeMs)?.separation ?? Number.POSITIVE_INFINITY;
+
+/** Golden-section search for the minimum of f inside [fromMs, toMs]. */
+const minimizeTime = (f, fromMs, toMs, toleranceMs = REFINE_TOLERANCE_MS) => {
+  let a = fromMs;
+  let b = toMs;
+  let c = b - GOLDEN_RATIO * (b - a);
+  let d = a + GOLDEN_RATIO * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  while (b - a > toleranceMs) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - GOLDEN_RATIO * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + GOLDEN_RATIO * (b - a);
+      fd = f(d);
+    }
+  }
+  return (a + b) / 2;
+};
+
+const bisectTime = (predicate, falseMs, trueMs) => {
+  let lo = falseMs;
+  let hi = trueMs;
+  while (Math.abs(hi - lo) > REFINE_TOLERANCE_MS) {
+    const mid = (lo + hi) / 2;
+    if (predicate(mid)) {
+      hi = mid;
+    } else {
+      lo = mid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Where the line from the body through the satellite meets the ground: the
+ * spot that sees the satellite centered on the body at that instant.
+ * @returns {{lat: number, lon: number}|null} Null when the line misses the Earth
+ */
+const projectCenterPoint = (position, bodyEci, gmst) => {
+  const satellite = getSatellite();
+  const direction = normalize({
+    x: position.x - bodyEci.x,
+    y: position.y - bodyEci.y,
+    z: position.z - bodyEci.z
+  });
+  // Intersect with the WGS84 ellipsoid, scaled to a sphere along z
+  const scale = WGS84_EQUATORIAL_KM / WGS84_POLAR_KM;
+  const s = { x: position.x, y: position.y, z: position.z * scale };
+  const u = { x: direction.x, y: direction.y, z: direction.z * scale };
+  const uu = u.x * u.x + u.y * u.y + u.z * u.z;
+  const su = s.x * u.x + s.y * u.y + s.z * u.z;
+  const ss = s.x * s.x + s.y * s.y + s.z * s.z;
+  const discriminant = su * su - uu * (ss - WGS84_EQUATORIAL_KM ** 2);
+  if (discriminant < 0) return null;
+  const distance = (-su - Math.sqrt(discriminant)) / uu;
+  if (distance < 0) return null;
+
+  const ground = satellite.eciToGeodetic(
+    {
+      x: position.x + distance * direction.x,
+      y: position.y + distance * direction.y,
+      z: position.z + distance * direction.z
+    },
+    gmst
+  );
+  return { lat: toDegrees(ground.latitude), lon: toDegrees(ground.longitude) };
+};
+
+const centerPointAt = (satrec, observer, body, timeMs) => {
+  const pair = lookAtPair(satrec, observer, body, timeMs);
+  return pair ? projectCenterPoint(pair.position, pair.bodyEci, pair.gmst) : null;
+};
+
+/**
+ * Great-circle distance and initial bearing between two points.
+ * @returns {{distanceKm: number, bearing: number}} Bearing in degrees from north
+ */
+export const getGroundOffset = (from, to) => {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const haversine = Math.sin((lat2 - lat1) / 2) ** 2
+    + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  const distanceKm = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(Math.sqrt(haversine), 1));
+  const bearing = toDegrees(Math.atan2(
+    Math.sin(dLon) * Math.cos(lat2),
+    Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon)
+  ));
+  return { distanceKm, bearing: (bearing + 360) % 360 };
+};
+
+/**
+ * Centerline around closest approach, and the point on it nearest the
+ * observer (where to set up for a dead-center transit).
+ */
+const traceCenterline = (satrec, observer, body, closestMs) => {
+  const centerline = [];
+  for (
+    let timeMs = closestMs - CENTERLINE_HALF_SPAN_MS;
+    timeMs <= closestMs + CENTERLINE_HALF_SPAN_MS;
+    timeMs += CENTERLINE_STEP_MS
+  ) {
+    const point = centerPointAt(satrec, observer, body, timeMs);
+    if (point) centerline.push({ ...point, time: new Date(timeMs) });
+  }
+  if (!centerline.length) return { centerline, bestSpot: null };
+
+  const distanceAt = (timeMs) => {
+    const point = centerPointAt(satrec, observer, body, timeMs);
+    return point ? getGroundOffset(observer, point).distanceKm : Number.POSITIVE_INFINITY;
+  };
+  const nearest = centerline.reduce((best, point) =>
+    (getGroundOffset(observer, point).distanceKm < getGroundOffset(observer, best).distanceKm
+      ? point
+      : best)
+  );
+  const nearestMs = nearest.time.getTime();
+  const bestMs = minimizeTime(
+    distanceAt,
+    nearestMs - CENTERLINE_STEP_MS,
+    nearestMs + CENTERLINE_STEP_MS
+  );
+  const bestPoint = centerPointAt(satrec, observer, body, bestMs) ?? nearest;
+  return {
+    centerline,
+    bestSpot: {
+      lat: bestPoint.lat,
+      lon: bestPoint.lon,
+      time: new Date(bestMs),
+      ...getGroundOffset(observer, bestPoint)
+    }
+  };
+};
+
+/**
+ * Refine a coarse minimum of the separation into a transit or close
+ * approach, or null when it stays farther than the margin from the disk.
+ */
+const describeApproach = (satrec, observer, body, coarseMs, margin) => {
+  const closestMs = minimizeTime(
+    (timeMs) => separationAt(satrec, observer, body, timeMs),
+    coarseMs - SCAN_STEP_MS,
+    coarseMs + SCAN_STEP_MS
+  );
+  const closest = lookAtPair(satrec, observer, body, closestMs);
+  if (!closest || closest.body.elevation <= 0 || closest.satellite.elevation <= 0) {
+    return null;
+  }
+  if (closest.separation > closest.bodyRadius + margin) return null;
+
+  const transit = closest.separation < closest.bodyRadius;
+  let duration = 0;
+  if (transit) {
+    const inside = (timeMs) =>
+      separationAt(satrec, observer, body, timeMs) < closest.bodyRadius;
+    let entryMs = closestMs - SCAN_STEP_MS;
+    while (inside(entryMs)) entryMs -= SCAN_STEP_MS;
+    let exitMs = closestMs + SCAN_STEP_MS;
+    while (inside(exitMs)) exitMs += SCAN_STEP_MS;
+    duration = (
+      bisectTime((timeMs) => !inside(timeMs), closestMs, exitMs)
+      - bisectTime(inside, entryMs, closestMs)
+    ) / 1000;
+  }
+
+  return {
+    body: body.id,
+    bodyName: body.name,
+    time: new Date(closestMs),
+    separation: closest.separation,
+    bodyRadius: closest.bodyRadius,
+    transit,
+    duration,
+    azimuth: (toDegrees(closest.satellite.azimuth) + 360) % 360,
+    elevation: toDegrees(closest.satellite.elevation),
+    bodyElevation: toDegrees(closest.body.elevation),
+    range: closest.satellite.rangeSat,
+    ...traceCenterline(satrec, observer, body, closestMs)
+  };
+};
+
+/**
+ * Transits and close approaches of a satellite to the Sun and Moon, one
+ * pass at a time: yields each pass's events (often none) in time order, so
+ * callers can stop or yield between passes.
+ * @param {object} satrec
+ * @param {{lat: number, lon: number, height: number}} observer
+ * @param {Date} [start]
+ * @param {{windowHours?: number, margin?: number, bodies?: string[]}} [options] - As for findTransits
+ */
+export function* generateTransits(satrec, observer, start = new Date(), options = {}) {
+  const {
+    windowHours,
+    margin = DEFAULT_TRANSIT_MARGIN,
+    bodies = BODIES.map((body) => body.id)
+  } = options;
+  const targets = BODIES.filter((body) => bodies.includes(body.id));
+
+  for (const pass of generatePasses(satrec, observer, start, { windowHours })) {
+    const startMs = pass.start.getTime();
+    const endMs = pass.end.getTime();
+    const events = [];
+    targets.forEach((body) => {
+      // The Sun and Moon barely move during a pass: skip it when the body
+      // stays below the horizon throughout
+      const bodyUp = [startMs, pass.peakTime.getTime(), endMs].some(
+        (timeMs) => (lookAtPair(satrec, observer, body, timeMs)?.body.elevation ?? -1) > 0
+      );
+      if (!bodyUp) return;
+
+      let previous = Number.POSITIVE_INFINITY;
+      let current = separationAt(satrec, observer, body, startMs);
+      for (let timeMs = startMs; timeMs <= endMs; timeMs += SCAN_STEP_MS) {
+        const next = separationAt(satrec, observer, body, Math.min(timeMs + SCAN_STEP_MS, endMs));
+        if (current <= previous && current <= next) {
+          const event = describeApproach(satrec, observer, body, timeMs, margin);
+          if (event) events.push(event);
+        }
+        previous = current;
+        current = next;
+      }
+    });
+    yield events.sort((a, b) => a.time - b.time);
+  }
+}
+
+/**
+ * Transits and close approaches of a satellite to the Sun and Moon within
+ * the prediction window, in time order.
+ * @param {object} satrec
+ * @param {{lat: number, lon: number, height: number}} observer
+ * @param {Date} [start]
+ * @param {{windowHours?: number, margin?: number, bodies?: string[]}} [options] - Margin is the
+ *   distance outside the disk, in degrees, still reported
+ * @returns {Array<{body: string, bodyName: string, time: Date, separation: number, bodyRadius: number, transit: boolean, duration: number, azimuth: number, elevation: number, bodyElevation: number, range: number, centerline: Array<{lat: number, lon: number, time: Date}>, bestSpot: {lat: number, lon: number, time: Date, distanceKm: number, bearing: number}|null}>}
+ */
+export const findTransits = (satrec, observer, start = new Date(), options = {}) =>
+  [...generateTransits(satrec, observer, start, options)].flat();
@@ -4,57 +4,180 @@ import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import Globe from 'globe.gl';
 import * as satellite from 'satellite.js';
-import SunCalc from 'suncalc';
 
-// Import leaflet terminator (default export is a factory function)
-import terminator from '@joergdietrich/leaflet.terminator';
-
-// Make satellite and SunCalc available globally for lib modules
+// Make satellite.js available globally for lib modules
 globalThis.satellite = satellite;
-globalThis.SunCalc = SunCalc;
 
 import {
   formatCoord,
   formatAltitude,
   formatSpeed,
   formatTime,
+  formatClock,
   formatDateTime,
   formatDuration,
-  formatAzimuth
+  formatAzimuth,
+  azimuthToCompass,
+  formatMagnitude,
+  toElevationUnits,
+  fromElevationUnits
 } from './lib/format.js';
 import {
-  fetchTle,
+  fetchElementSet,
+  importElementSets,
+  MANUAL_SOURCE,
   getSatrec,
   computePosition,
-  computeGroundTrack,
-  getSunSubPoint
+  computeFootprint,
+  getOrbitalPeriod,
+  getOrbitSpans,
+  computeTrackTicks,
+  computeLookAngles,
+  isSatSunlit
 } from './lib/orbit.js';
-import { computePasses, describeVisibility } from './lib/passes.js';
+import { getSunSubPoint, computeTerminator } from './lib/sun.js';
+import {
+  mergePassTimelines,
+  describeVisibility,
+  computeSkyTrack,
+  findPassNear,
+  PASS_WINDOW_HOURS,
+  DEFAULT_MIN_ELEVATION
+} from './lib/passes.js';
+import { createPredictor } from './lib/predictor.js';
 import { buildShareParams, parseShareParams, findSharedPass } from './lib/share.js';
+import {
+  DEFAULT_NORAD_ID,
+  SATELLITE_CATALOG,
+  normalizeNoradId,
+  createCustomSatellite,
+  findSatellite,
+  listSatellites
+} from './lib/satellites.js';
+import {
+  HORIZON_SECTOR_LABELS,
+  getHorizonKey,
+  normalizeHorizonMask,
+  projectPolar,
+  unprojectPolar,
+  buildMaskPath
+} from './lib/horizon.js';
+import {
+  interpolateSkyTrack,
+  buildSkyTrackPaths,
+  buildMinuteTicks
+} from './lib/skychart.js';
+import { getSkyObjects, findSkyNeighbor, describeSkyNeighbor } from './lib/sky.js';
+import { DEFAULT_TRANSIT_MARGIN } from './lib/transits.js';
+import { createSimulationClock } from './lib/clock.js';
+import {
+  parseOrbitalElements,
+  parseTleEpoch,
+  getTleAge,
+  describeTleHealth
+} from './lib/elements.js';
+import { ELEMENT_FORMATS } from './lib/omm.js';
+import {
+  computeRiseDrift,
+  describeRiseShift,
+  formatShift,
+  loadElementHistory,
+  recordElementSet,
+  PASS_SHIFT_THRESHOLD_SECONDS
+} from './lib/history.js';
 
 const state = {
-  satrec: null,
+  // Tracked object plus every loaded element set ({ tle, satrec, source,
+  // format, fetchedAt }), keyed by NORAD ID
+  satellite: findSatellite(DEFAULT_NORAD_ID),
+  elementSets: new Map(),
+  // Recorded element sets per NORAD ID, oldest first (see lib/history.js)
+  elementHistory: new Map(),
   observer: { lat: 47.6062, lon: -122.3321, height: 0 },
   locationName: 'Seattle, WA',
+  // Obstruction elevations per azimuth sector for the current location
+  horizonMask: null,
   passes: [],
+  // Seconds new elements moved a pinned pass by, keyed by pass key, when
+  // past the threshold
+  passShifts: new Map(),
+  // Pass the drift table compares element sets on, by pass key
+  driftPassKey: null,
+  // Drift table re-predictions by pass key and element set epoch, kept
+  // until the next prediction run (observer, mask or settings may change)
+  driftPredictions: new Map(),
+  // Sun and Moon transits from the last search, null until one is run
+  transits: null,
+  // 0..1 while the worker streams predictions, null when idle
+  predictionProgress: null,
   // Context carried by an opened share link (?lat&lon&pass). While active,
   // the shared location wins over the locally saved one and the matched
   // pass is pinned + highlighted in the list.
   share: {
     active: false,
     passTime: null,
+    noradId: null,
     matched: null
   },
   settings: {
     units: 'imperial',
     updateRate: 1000,
     timeFormat: '24',
-    view: 'both'
+    view: 'both',
+    windowHours: PASS_WINDOW_HOURS,
+    minElevation: DEFAULT_MIN_ELEVATION,
+    // Whole orbits of ground track drawn behind and ahead of the object
+    orbitsBefore: 1,
+    orbitsAfter: 1,
+    // Degrees beyond the disk edge still reported as a close approach
+    transitMargin: DEFAULT_TRANSIT_MARGIN,
+    // Encoding requested from element sources that offer a choice
+    elementFormat: 'tle',
+    noradId: DEFAULT_NORAD_ID,
+    // Objects added by NORAD ID: [{ noradId, name }]
+    customSatellites: [],
+    // NORAD IDs whose passes are merged into the timeline
+    watchlist: [DEFAULT_NORAD_ID],
+    // Passes watched for shifts when new elements arrive:
+    // [{ noradId, start, epoch }] with ISO times, `epoch` being that of the
+    // elements that last predicted `start`
+    pinnedPasses: []
   }
 };
 
+const getActiveSatrec = () => state.elementSets.get(state.satellite.noradId)?.satrec ?? null;
+
+const predictor = createPredictor();
+
+// Drives the status panel, marker, globe, terminator, and sun light; pass
+// predictions and countdowns stay on real time
+const clock = createSimulationClock();
+
+// The tracked object is always watched, ahead of the rest of the watchlist
+const getWatchedIds = () => [
+  ...new Set([state.satellite.noradId, ...state.settings.watchlist])
+];
+
+const getWatchedSatellite = (noradId) =>
+  noradId === state.satellite.noradId
+    ? state.satellite
+    : findSatellite(noradId, state.settings.customSatellites);
+
+// Generic wording once passes from several objects share the timeline
+const getTimelineSubject = () =>
+  getWatchedIds().length > 1 ? 'satellite' : state.satellite.shortName;
+
+// Brightness label plus the predicted peak magnitude when there is one
+const describeBrightness = (pass) =>
+  (pass.magnitude === null || pass.magnitude === undefined
+    ? pass.brightness
+    : `${pass.brightness} (${formatMagnitude(pass.magnitude)})`);
+
+const getPassKey = (pass) => `${pass.satellite.noradId}-${pass.start.toISOString()}`;
+
 const elements = {
   issStatus: document.querySelector('#iss-status'),
+  statusLabel: document.querySelector('#status-label'),
   nextPass: document.querySelector('#next-pass'),
   visibilityState: document.querySelector('#visibility-state'),
   countdown: document.querySelector('#countdown'),
@@ -63,9 +186,32 @@ const elements = {
   locationName: document.querySelector('#location-name'),
   locationCoords: document.querySelector('#location-coords'),
   locationSearch: document.querySelector('#location-search'),
+  satelliteSelect: document.querySelector('#satellite-select'),
+  satelliteCustomId: document.querySelector('#satellite-custom-id'),
+  satelliteAdd: document.querySelector('#satellite-add'),
+  satelliteFeedback: document.querySelector('#satellite-feedback'),
+  importOpen: document.querySelector('#import-open'),
+  importDialog: document.querySelector('#import-dialog'),
+  importText: document.querySelector('#import-text'),
+  importFile: document.querySelector('#import-file'),
+  importFeedback: document.querySelector('#import-feedback'),
+  importSubmit: document.querySelector('#import-submit'),
+  watchlist: document.querySelector('#watchlist'),
+  tleHealth: document.querySelector('#tle-health'),
+  orbitalElements: document.querySelector('#orbital-elements'),
+  tleLines: document.querySelector('#tle-lines'),
+  driftPass: document.querySelector('#drift-pass'),
+  driftRows: document.querySelector('#drift-rows'),
+  driftSummary: document.querySelector('#drift-summary'),
   locationLat: document.querySelector('#location-lat'),
   locationLon: document.querySelector('#location-lon'),
+  locationElevation: document.querySelector('#location-elevation'),
+  locationElevationLabel: document.querySelector('#location-elevation-label'),
   locationFeedback: document.querySelector('#location-feedback'),
+  horizonChart: document.querySelector('#horizon-chart'),
+  horizonTable: document.querySelector('#horizon-table'),
+  horizonSave: document.querySelector('#horizon-save'),
+  horizonClear: document.querySelector('#horizon-clear'),
   useLocation: document.querySelector('#use-location'),
   applyLocation: document.querySelector('#apply-location'),
   toggleView: document.querySelector('#toggle-view'),
@@ -75,6 +221,18 @@ const elements = {
   settingRate: document.querySelector('#setting-rate'),
   settingTime: document.querySelector('#setting-time'),
   settingView: document.querySelector('#setting-view'),
+  settingWindow: document.querySelector('#setting-window'),
+  settingMinElevation: document.querySelector('#setting-min-elevation'),
+  settingOrbitsBefore: document.querySelector('#setting-orbits-before'),
+  settingOrbitsAfter: document.querySelector('#setting-orbits-after'),
+  settingElementFormat: document.querySelector('#setting-element-format'),
+  simTime: document.querySelector('#sim-time'),
+  simScrubber: document.querySelector('#sim-scrubber'),
+  simRates: document.querySelectorAll('[data-sim-rate]'),
+  simLive: document.querySelector('#sim-live'),
+  transitMargin: document.querySelector('#transit-margin'),
+  transitSearch: document.querySelector('#transit-search'),
+  transits: document.querySelector('#transits'),
   shareBanner: document.querySelector('#share-banner'),
   shareBannerText: document.querySelector('#share-banner-text'),
   shareBannerDismiss: document.querySelector('#share-banner-dismiss'),
@@ -84,29 +242,82 @@ const elements = {
 let map;
 let issMarker;
 let userMarker;
-let trackLine;
-let futureTrackLine;
+let trackLayer;
+let footprintLayer;
+let footprintMaskLayer;
 let terminatorLayer;
+let transitLayer;
 let globe;
 let light;
+let dayNightMaterial;
+// Simulated times (ms) the terminator and ground tracks were drawn for
 let lastTerminatorUpdate = 0;
 let lastTrackUpdate = 0;
-let cachedTrack = [];
-let cachedFutureTrack = [];
+// Real time (ms) the elements panel last recomputed the TLE age
+let lastElementsUpdate = 0;
+// Drops ground tracks from a refresh that a newer one overtook
+let trackRequestId = 0;
+// Drops an object switch that a later pick overtook while loading
+let selectRequestId = 0;
+// Drops transit results once the object, location or window they were
+// searched for has changed (clearTransits bumps it)
+let transitRequestId = 0;
+// Ground track per orbit: [{ points, ticks, direction, orbit }]
+let cachedTracks = [];
 let passPage = 0;
 const PASSES_PER_PAGE = 5;
+const SKY_CHART_CENTER = 80;
+const SKY_CHART_RADIUS = 66;
+// Sky tracks and star fields by pass, computed when a card is first drawn
+const skyTracks = new WeakMap();
+const skyContexts = new WeakMap();
+// Current-position markers on the rendered cards, moved by updateLoop
+let skyMarkers = [];
 const MAX_DISPLAY_PASSES = 25;
+// Choices offered in the settings popover
+const WINDOW_HOURS_OPTIONS = [72, 120, 168, 240, 336];
+const MIN_ELEVATION_OPTIONS = [0, 5, 10, 15, 20, 30];
+const TRANSIT_MARGIN_OPTIONS = [0.5, 1, 2, 5];
+const ORBIT_COUNT_OPTIONS = [0, 1, 2, 3];
+// Minutes between time labels along the ground track
+const TRACK_TICK_MINUTES = 15;
+// Scrubber reach behind now; ahead it spans the prediction window
+const SCRUB_BEHIND_MINUTES = 24 * 60;
+// Loop interval cap while the simulation clock runs fast or off live
+const SIMULATION_UPDATE_MS = 250;
+// Pass preview: playback speed, and how long it runs before and after
+const PREVIEW_RATE = 10;
+const PREVIEW_LEAD_MS = 20 * 1000;
+const PREVIEW_TAIL_MS = 20 * 1000;
+// Preview camera just above the observer (globe radii, ~25 km), so the
+// line of sight from the ground still shows in front of it
+const PREVIEW_EYE_ALT = 0.004;
+// Pass played back on the globe: { pass, sightLine, sunlit, announced,
+// restore }, where restore holds the camera and view to go back to
+let passPreview = null;
 
 // ISS orbital altitude as fraction of Earth radius for 3D globe
 const ISS_ALT_GLOBE = 0.06;
 
-// Create custom Leaflet icon for ISS using the updated icon
-const createIssIcon = () => {
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Leaflet icon for the tracked object: the ISS badge for the ISS, a
+// generic satellite dot for everything else
+const createSatelliteIcon = (sat) => {
+  if (sat.noradId === DEFAULT_NORAD_ID) {
+    return L.divIcon({
+      className: 'iss-marker',
+      html: '<div class="iss-icon"><img src="/iss-icon.svg" alt="ISS" width="36" height="36" /></div>',
+      iconSize: [36, 36],
+      iconAnchor: [18, 18]
+    });
+  }
   return L.divIcon({
     className: 'iss-marker',
-    html: '<div class="iss-icon"><img src="/iss-icon.svg" alt="ISS" width="36" height="36" /></div>',
-    iconSize: [36, 36],
-    iconAnchor: [18, 18]
+    html: `<div class="sat-icon" role="img" aria-label="${escapeHtml(sat.shortName)}"></div>`,
+    iconSize: [16, 16],
+    iconAnchor: [8, 8]
   });
 };
 
@@ -120,9 +331,11 @@ const createUserIcon = () => {
   });
 };
 
-const createTerminator = () => {
-  const t = terminator();
-  t.setStyle({
+// Night side from the same solar ephemeris that lights the globe
+const createTerminator = (date) =>
+  L.polygon(computeTerminator(date), {
+    interactive: false,
+    className: 'leaflet-terminator',
     fillColor: '#000',
     fillOpacity: 0.12,
     stroke: true,
@@ -130,8 +343,6 @@ const createTerminator = () => {
     weight: 0.5,
     opacity: 0.4
   });
-  return t;
-};
 
 /**
  * Split a ground track into segments at antimeridian crossings
@@ -155,6 +366,81 @@ const segmentTrack = (points) => {
   return segments;
 };
 
+/**
+ * Leaflet rings for a footprint outline: longitudes unwrapped around the
+ * sub-satellite point so the polygon doesn't tear at the antimeridian, and
+ * closed over the pole when the footprint covers it.
+ */
+const toMapRing = (ring, center) => {
+  let previous = center.lon;
+  const latLngs = ring.map((point) => {
+    let lon = point.lon;
+    while (lon - previous > 180) lon -= 360;
+    while (lon - previous < -180) lon += 360;
+    previous = lon;
+    return [point.lat, lon];
+  });
+  const drift = latLngs.at(-1)[1] - latLngs[0][1];
+  if (Math.abs(drift) > 180) {
+    const pole = center.lat >= 0 ? 90 : -90;
+    latLngs.push([pole, latLngs.at(-1)[1]], [pole, latLngs[0][1]]);
+  }
+  return latLngs;
+};
+
+// Globe surface shading: the day texture blended into the night lights
+// across the terminator for the current sun direction (world space, set in
+// updateLoop), with a twilight band down to astronomical darkness
+const DAY_NIGHT_VERTEX_SHADER = `
+  varying vec3 vNormal;
+  varying vec2 vUv;
+
+  void main() {
+    vNormal = normalize(mat3(modelMatrix) * normal);
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const DAY_NIGHT_FRAGMENT_SHADER = `
+  uniform sampler2D dayTexture;
+  uniform sampler2D nightTexture;
+  uniform vec3 sunDirection;
+  varying vec3 vNormal;
+  varying vec2 vUv;
+
+  void main() {
+    // Sine of the Sun's altitude seen from this point of the surface
+    float sunHeight = dot(normalize(vNormal), sunDirection);
+    vec3 day = texture2D(dayTexture, vUv).rgb;
+    vec3 night = texture2D(nightTexture, vUv).rgb;
+    // Daylight from civil dusk (Sun 6° down) to 3° up
+    float daylight = smoothstep(-0.1045, 0.0523, sunHeight);
+    // City lights brighten until astronomical darkness (18° down)
+    float lights = 1.0 - smoothstep(-0.309, -0.0145, sunHeight);
+    // Warm glow along the terminator, gone by nautical dusk (12° down)
+    float twilight = smoothstep(-0.2079, 0.0, sunHeight)
+      * (1.0 - smoothstep(0.0, 0.0523, sunHeight));
+    vec3 color = mix(night * (0.35 + 0.65 * lights), day, daylight);
+    color += vec3(0.9, 0.45, 0.2) * 0.18 * twilight;
+    gl_FragColor = vec4(color, 1.0);
+  }
+`;
+
+// Textures ship in public/textures so the globe works offline
+const createDayNightMaterial = () => {
+  const loader = new THREE.TextureLoader();
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      dayTexture: { value: loader.load('/textures/earth-day.jpg') },
+      nightTexture: { value: loader.load('/textures/earth-night.jpg') },
+      sunDirection: { value: new THREE.Vector3(1, 0, 0) }
+    },
+    vertexShader: DAY_NIGHT_VERTEX_SHADER,
+    fragmentShader: DAY_NIGHT_FRAGMENT_SHADER
+  });
+};
+
 /**
  * Build a 3D ISS model using Three.js primitives for the globe.
  */
@@ -213,7 +499,7 @@ const initVisualization = () => {
 
   // ISS marker
   issMarker = L.marker([0, 0], {
-    icon: createIssIcon(),
+    icon: createSatelliteIcon(state.satellite),
     zIndexOffset: 1000
   }).addTo(map);
 
@@ -223,35 +509,41 @@ const initVisualization = () => {
     zIndexOffset: 500
   }).addTo(map);
 
-  // Ground track (past)
-  trackLine = L.polyline([], {
-    color: '#333',
-    weight: 2,
+  // Ground tracks, one polyline per orbit, with time labels
+  trackLayer = L.layerGroup().addTo(map);
+
+  terminatorLayer = createTerminator(clock.getTime());
+  terminatorLayer.addTo(map);
+
+  // Visibility footprint: where the object is above the horizon, and above
+  // the minimum elevation setting when there is one
+  footprintLayer = L.polygon([], {
+    interactive: false,
+    color: '#0f766e',
+    weight: 1.5,
     opacity: 0.7,
-    smoothFactor: 1,
-    className: 'iss-track'
+    fillColor: '#2dd4bf',
+    fillOpacity: 0.08,
+    className: 'iss-footprint'
   }).addTo(map);
 
-  // Future track
-  futureTrackLine = L.polyline([], {
-    color: '#999',
-    weight: 1.5,
-    opacity: 0.4,
-    dashArray: '5, 10',
-    className: 'iss-track-future'
+  footprintMaskLayer = L.polygon([], {
+    interactive: false,
+    color: '#0f766e',
+    weight: 1,
+    opacity: 0.6,
+    dashArray: '4, 6',
+    fill: false,
+    className: 'iss-footprint-mask'
   }).addTo(map);
 
-  terminatorLayer = createTerminator();
-  terminatorLayer.addTo(map);
+  // Transit centerline picked from the transit list
+  transitLayer = L.layerGroup().addTo(map);
 
   const globeContainer = document.getElementById('globe');
+  dayNightMaterial = createDayNightMaterial();
   globe = Globe()(globeContainer)
-    .globeImageUrl(
-      'https://unpkg.com/three-globe/example/img/earth-blue-marble.jpg'
-    )
-    .bumpImageUrl(
-      'https://unpkg.com/three-globe/example/img/earth-topology.png'
-    )
+    .globeMaterial(dayNightMaterial)
     .backgroundColor('#f0f2f5')
     .showAtmosphere(true)
     .atmosphereColor('#aaaaaa')
@@ -259,9 +551,22 @@ const initVisualization = () => {
     .pointAltitude(0.025)
     .pointColor(() => '#111827')
     .pointRadius(0.5)
-    .pathColor(() => ['#333', '#999'])
+    .pathPoints('points')
+    .pathColor('color')
     .pathStroke(2)
-    .pathPointAlt(() => 0.015)
+    .pathDashLength((d) => (d.dashed ? 0.01 : 1))
+    .pathDashGap((d) => (d.dashed ? 0.008 : 0))
+    // Time labels along the ground track
+    .labelsData([])
+    .labelLat('lat')
+    .labelLng('lon')
+    .labelText('label')
+    .labelSize(0.6)
+    .labelDotRadius(0.2)
+    .labelColor(() => 'rgba(243, 244, 246, 0.85)')
+    .labelAltitude(0.016)
+    .labelResolution(2)
+    .pathPointAlt((point) => point.alt ?? 0.015)
     .pathTransitionDuration(0)
     // ISS as a custom 3D object on the globe
     .customLayerData([])
@@ -273,10 +578,10 @@ const initVisualization = () => {
     })
     // HTML label for ISS
     .htmlElementsData([])
-    .htmlElement(() => {
+    .htmlElement((d) => {
       const el = document.createElement('div');
       el.className = 'iss-3d-label';
-      el.textContent = 'ISS';
+      el.textContent = d.label;
       return el;
     })
     .htmlAltitude(ISS_ALT_GLOBE + 0.015);
@@ -310,6 +615,36 @@ const loadSettings = () => {
     }
     const parsed = JSON.parse(saved);
     state.settings = { ...state.settings, ...parsed };
+    // Drop malformed custom entries rather than failing on them later
+    state.settings.customSatellites = Array.isArray(state.settings.customSatellites)
+      ? state.settings.customSatellites.filter((sat) => normalizeNoradId(sat?.noradId))
+      : [];
+    state.settings.watchlist = Array.isArray(state.settings.watchlist)
+      ? state.settings.watchlist.map(normalizeNoradId).filter(Boolean)
+      : [DEFAULT_NORAD_ID];
+    state.settings.pinnedPasses = Array.isArray(state.settings.pinnedPasses)
+      ? state.settings.pinnedPasses.filter(
+        (pin) => normalizeNoradId(pin?.noradId) && !Number.isNaN(Date.parse(pin.start))
+      )
+      : [];
+    if (!WINDOW_HOURS_OPTIONS.includes(state.settings.windowHours)) {
+      state.settings.windowHours = PASS_WINDOW_HOURS;
+    }
+    if (!MIN_ELEVATION_OPTIONS.includes(state.settings.minElevation)) {
+      state.settings.minElevation = DEFAULT_MIN_ELEVATION;
+    }
+    if (!ORBIT_COUNT_OPTIONS.includes(state.settings.orbitsBefore)) {
+      state.settings.orbitsBefore = 1;
+    }
+    if (!ORBIT_COUNT_OPTIONS.includes(state.settings.orbitsAfter)) {
+      state.settings.orbitsAfter = 1;
+    }
+    if (!TRANSIT_MARGIN_OPTIONS.includes(state.settings.transitMargin)) {
+      state.settings.transitMargin = DEFAULT_TRANSIT_MARGIN;
+    }
+    if (!ELEMENT_FORMATS.some((format) => format.value === state.settings.elementFormat)) {
+      state.settings.elementFormat = 'tle';
+    }
   } catch {
     // localStorage unavailable or corrupt - use defaults
   }
@@ -328,6 +663,12 @@ const applySettings = () => {
   elements.settingRate.value = String(state.settings.updateRate);
   elements.settingTime.value = state.settings.timeFormat;
   elements.settingView.value = state.settings.view;
+  elements.settingWindow.value = String(state.settings.windowHours);
+  elements.settingMinElevation.value = String(state.settings.minElevation);
+  elements.settingOrbitsBefore.value = String(state.settings.orbitsBefore);
+  elements.settingOrbitsAfter.value = String(state.settings.orbitsAfter);
+  elements.settingElementFormat.value = state.settings.elementFormat;
+  elements.transitMargin.value = String(state.settings.transitMargin);
   updateViewPreference();
 };
 
@@ -343,8 +684,8 @@ const resizeGlobe = () => {
   }
 };
 
-const updateViewPreference = () => {
-  const view = state.settings.view;
+// A pass preview may show the globe without changing the saved view
+const updateViewPreference = (view = state.settings.view) => {
   const mapContainer = document.querySelector('.visualization__map-container');
   const globeContainer = document.querySelector('.visualization__globe-container');
   if (!map || !globe || !mapContainer || !globeContainer) return;
@@ -365,9 +706,41 @@ const updateViewPreference = () => {
   });
 };
 
+// Set once the user types in the elevation field, so a new location only
+// takes a typed elevation and not the previous location's
+let elevationEdited = false;
+
 const updateLocationInputs = () => {
+  const { units } = state.settings;
+  elevationEdited = false;
   elements.locationLat.value = state.observer.lat.toFixed(4);
   elements.locationLon.value = state.observer.lon.toFixed(4);
+  elements.locationElevationLabel.textContent =
+    `Elevation (${units === 'imperial' ? 'ft' : 'm'})`;
+  elements.locationElevation.value = String(toElevationUnits(state.observer.height, units));
+};
+
+/**
+ * Observer height (km) from the elevation field, or null when it is empty
+ * or outside the Dead Sea–Everest range.
+ */
+const readElevationInput = () => {
+  const value = Number.parseFloat(elements.locationElevation.value);
+  if (!Number.isFinite(value)) return null;
+  const km = fromElevationUnits(value, state.settings.units);
+  return km >= -0.5 && km <= 9 ? km : null;
+};
+
+/**
+ * Observer height (km) for coordinates typed into the Location panel: the
+ * typed elevation, else the current height while the coordinates stay put.
+ * There is no offline elevation lookup, so a new place starts at sea level.
+ */
+const getTypedHeight = (lat, lon) => {
+  if (elevationEdited) return readElevationInput() ?? 0;
+  const samePlace = lat.toFixed(4) === state.observer.lat.toFixed(4) &&
+    lon.toFixed(4) === state.observer.lon.toFixed(4);
+  return samePlace ? state.observer.height : 0;
 };
 
 const updateStatusPanel = (position) => {
@@ -377,6 +750,360 @@ const updateStatusPanel = (position) => {
   const altitude = formatAltitude(position.altitude, state.settings.units);
   const speed = formatSpeed(position.speed, state.settings.units);
   elements.issStatus.textContent = `${lat}, ${lon}\n${altitude}\n${speed}`;
+  elements.issStatus.classList.toggle('status-live--simulated', !clock.isLive());
+};
+
+// "+2h 05m" / "−40m" from real time
+const formatSimulationOffset = (ms) => {
+  const totalMinutes = Math.round(Math.abs(ms) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const sign = ms < 0 ? '−' : '+';
+  return hours > 0
+    ? `${sign}${hours}h ${String(minutes).padStart(2, '0')}m`
+    : `${sign}${minutes}m`;
+};
+
+let scrubbing = false;
+
+// Time readout, scrubber position, and rate buttons for the clock
+const updateSimulationControls = (now) => {
+  const live = clock.isLive();
+  const offset = now.getTime() - Date.now();
+  const previewNote = passPreview
+    ? ` · Pass preview${passPreview.sunlit === false ? ', in shadow' : ''}`
+    : '';
+  elements.simTime.textContent = live
+    ? `Live · ${formatTime(now, state.settings.timeFormat)}`
+    : `${formatDateTime(now, state.settings.timeFormat)} (${formatSimulationOffset(offset)})${previewNote}`;
+  elements.simScrubber.max = String(state.settings.windowHours * 60);
+  if (!scrubbing) {
+    elements.simScrubber.value = String(Math.round(offset / 60000));
+  }
+  elements.simRates.forEach((button) => {
+    button.setAttribute('aria-pressed', String(Number(button.dataset.simRate) === clock.getRate()));
+  });
+  elements.simLive.disabled = live;
+};
+
+// Apply a clock change everywhere at once instead of on the next tick
+const onClockChange = () => {
+  startLoop();
+  updateLoop();
+};
+
+/**
+ * Put the globe camera at the observer's eye, upright on the local
+ * vertical and looking at a point in the sky. Orbit controls stay off
+ * meanwhile, as they would pull the camera back out above the surface.
+ * @param {{lat: number, lon: number}} target - Ground point under the object
+ */
+const aimPreviewCamera = (target) => {
+  const camera = globe.camera();
+  const eye = globe.getCoords(state.observer.lat, state.observer.lon, PREVIEW_EYE_ALT);
+  const { x, y, z } = globe.getCoords(target.lat, target.lon, ISS_ALT_GLOBE);
+  globe.controls().enabled = false;
+  camera.position.set(eye.x, eye.y, eye.z);
+  camera.up.set(eye.x, eye.y, eye.z).normalize();
+  camera.lookAt(x, y, z);
+};
+
+/**
+ * End the pass preview: hand the camera back to the orbit controls at the
+ * point of view and in the view the preview started from.
+ */
+const endPassPreview = () => {
+  if (!passPreview) return;
+  const { restore } = passPreview;
+  passPreview = null;
+  globe.camera().up.set(0, 1, 0);
+  globe.controls().enabled = true;
+  globe.pointOfView(restore.pointOfView, 1000);
+  updateViewPreference();
+};
+
+/**
+ * Follow a previewed pass on the simulation clock: the camera at the
+ * observer following the object once it is up, the line of sight from
+ * the observer while the object is up (teal sunlit, grey in shadow),
+ * a toast as it enters or leaves the Earth's shadow, and back to live once
+ * the pass is over.
+ */
+const updatePassPreview = (position, now) => {
+  if (!passPreview) return;
+  const { pass } = passPreview;
+  // Snapping back to live ends the preview
+  if (clock.isLive() || now - pass.end > PREVIEW_TAIL_MS) {
+    const finished = !clock.isLive();
+    endPassPreview();
+    if (finished) {
+      clock.goLive();
+      startLoop();
+      showToast('Pass preview finished.');
+    }
+    return;
+  }
+  if (!position) return;
+
+  const look = computeLookAngles(state.observer, position.position, position.gmst);
+  if (look.elevation > 0) aimPreviewCamera(position);
+  passPreview.sunlit = isSatSunlit(position.position, now);
+  passPreview.sightLine = look.elevation > 0
+    ? {
+      points: [
+        { lat: state.observer.lat, lng: state.observer.lon, alt: 0.002 },
+        { lat: position.lat, lng: position.lon, alt: ISS_ALT_GLOBE }
+      ],
+      color: passPreview.sunlit ? '#14b8a6' : '#6b7280'
+    }
+    : null;
+
+  const { timeFormat } = state.settings;
+  [
+    { event: pass.eclipseEntry, message: 'Enters the Earth\'s shadow' },
+    { event: pass.eclipseExit, message: 'Emerges from the Earth\'s shadow' }
+  ].forEach(({ event, message }) => {
+    if (!event || now < event.time || passPreview.announced.has(event)) return;
+    passPreview.announced.add(event);
+    // Look angles are null where SGP4 could not place the object
+    const where = [
+      event.elevation === null ? null : `${event.elevation.toFixed(0)}° up`,
+      event.azimuth === null ? null : `in the ${azimuthToCompass(event.azimuth)}`
+    ].filter(Boolean).join(' ');
+    showToast(`${message} at ${formatTime(event.time, timeFormat)}${where ? `, ${where}` : ''}.`);
+  });
+};
+
+/**
+ * End the pass preview when the user moves the clock outside its window,
+ * leaving the clock where they put it instead of snapping back to live.
+ * @param {Date} time - The clock's new time
+ */
+const leavePassPreview = (time) => {
+  if (!passPreview) return;
+  const { pass } = passPreview;
+  if (time < pass.start - PREVIEW_LEAD_MS || time - pass.end > PREVIEW_TAIL_MS) {
+    endPassPreview();
+  }
+};
+
+/**
+ * Play a pass back on the globe: switch to its object if needed, bring the
+ * camera over the observer, and run the simulation clock through the pass
+ * at PREVIEW_RATE.
+ */
+const previewPassOnGlobe = async (pass) => {
+  if (pass.satellite.noradId !== state.satellite.noradId) {
+    await selectSatellite(pass.satellite.noradId);
+    if (pass.satellite.noradId !== state.satellite.noradId) return;
+  }
+  // The globe is shown for the preview only; the saved view is untouched
+  if (state.settings.view === 'map') updateViewPreference('both');
+
+  // A preview started from another one goes back to where the first began
+  const restore = passPreview?.restore ?? { pointOfView: globe.pointOfView() };
+  passPreview = { pass, sightLine: null, sunlit: null, announced: new Set(), restore };
+  // Face the point where the object will rise until it is up
+  const satrec = getActiveSatrec();
+  const rise = satrec ? computePosition(satrec, pass.start) : null;
+  if (rise) aimPreviewCamera(rise);
+  clock.setTime(pass.start.getTime() - PREVIEW_LEAD_MS);
+  clock.setRate(PREVIEW_RATE);
+  onClockChange();
+
+  const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  document.querySelector('#globe')?.scrollIntoView({
+    behavior: reduceMotion ? 'auto' : 'smooth',
+    block: 'center'
+  });
+};
+
+// "14 hours" under two days, "3.4 days" beyond
+const formatTleAge = (ageDays) => {
+  if (ageDays < 0) return 'Dated ahead';
+  if (ageDays < 2) return `${Math.round(ageDays * 24)} hours`;
+  return `${ageDays.toFixed(1)} days`;
+};
+
+// Elements panel: the tracked object's TLE fields and how old they are
+const renderOrbitalElements = () => {
+  const elementSet = state.elementSets.get(state.satellite.noradId);
+  if (!elementSet) return;
+  const orbit = parseOrbitalElements(elementSet.tle);
+  const age = getTleAge(orbit.epoch);
+  const health = describeTleHealth(age);
+  const { units, timeFormat } = state.settings;
+  const formatLabel =
+    ELEMENT_FORMATS.find((format) => format.value === elementSet.format)?.label ?? 'TLE';
+  const rows = [
+    ['Epoch', formatDateTime(orbit.epoch, timeFormat)],
+    ['Age', formatTleAge(age)],
+    ['Inclination', `${orbit.inclination.toFixed(4)}°`],
+    ['Eccentricity', orbit.eccentricity.toFixed(7)],
+    ['Period', `${orbit.period.toFixed(2)} min`],
+    ['Apogee', formatAltitude(orbit.apogee, units)],
+    ['Perigee', formatAltitude(orbit.perigee, units)],
+    ['Mean motion', `${orbit.meanMotion.toFixed(8)} rev/day`],
+    ['B* drag term', `${orbit.bstar.toExponential(4)} /Earth radii`],
+    [
+      'Source',
+      `${elementSet.source} (${formatLabel}), ${elementSet.source === MANUAL_SOURCE ? 'imported' : 'fetched'} ${formatDateTime(elementSet.fetchedAt, timeFormat)}`
+    ]
+  ];
+  elements.orbitalElements.innerHTML = rows
+    .map(
+      ([label, value]) =>
+        `<div><dt class="pass__label">${label}</dt><dd class="pass__value">${escapeHtml(value)}</dd></div>`
+    )
+    .join('');
+  elements.tleHealth.textContent = health.message;
+  elements.tleHealth.dataset.status = health.status;
+  elements.tleLines.textContent = elementSet.tle.join('\n');
+};
+
+const findPin = (pass) =>
+  state.settings.pinnedPasses.find(
+    (pin) =>
+      pin.noradId === pass.satellite.noradId && findSharedPass([pass], new Date(pin.start)) === pass
+  );
+
+// Epoch of the elements currently loaded for an object, as an ISO string
+const getElementEpoch = (noradId) => {
+  const elementSet = state.elementSets.get(noradId);
+  return elementSet ? parseTleEpoch(elementSet.tle[1]).toISOString() : null;
+};
+
+const togglePin = (pass) => {
+  const pin = findPin(pass);
+  state.settings.pinnedPasses = pin
+    ? state.settings.pinnedPasses.filter((entry) => entry !== pin)
+    : [
+      ...state.settings.pinnedPasses,
+      {
+        noradId: pass.satellite.noradId,
+        start: pass.start.toISOString(),
+        epoch: getElementEpoch(pass.satellite.noradId)
+      }
+    ];
+  persistSettings();
+  showToast(pin ? 'Pass unpinned.' : 'Pass pinned: you will be told if new elements move it.');
+  renderPasses();
+  renderDriftView();
+};
+
+/**
+ * After a prediction run, compare each pinned pass with its new prediction.
+ * A pass moved past the threshold by newer elements is flagged on its card
+ * and in one toast for all of them; pins then follow the new prediction. Pins are dropped once
+ * their pass is over.
+ */
+const reconcilePinnedPasses = () => {
+  const now = Date.now();
+  const pins = [];
+  const moved = [];
+  for (const pin of state.settings.pinnedPasses) {
+    const pinnedStart = new Date(pin.start);
+    const candidates = state.passes.filter((pass) => pass.satellite.noradId === pin.noradId);
+    const pass = findSharedPass(candidates, pinnedStart);
+    if (!pass) {
+      // Off the watchlist or outside the window: keep it until it is over
+      if (pinnedStart.getTime() > now - 60 * 60 * 1000) pins.push(pin);
+      continue;
+    }
+    // Bundled or imported elements neither move nor re-anchor a pin
+    if (!state.elementSets.get(pin.noradId)?.fromNetwork) {
+      pins.push(pin);
+      continue;
+    }
+    const epoch = getElementEpoch(pin.noradId);
+    const shiftSeconds = (pass.start - pinnedStart) / 1000;
+    if (epoch !== pin.epoch && Math.abs(shiftSeconds) > PASS_SHIFT_THRESHOLD_SECONDS) {
+      state.passShifts.set(getPassKey(pass), shiftSeconds);
+      moved.push(`${pass.satellite.shortName} now rises ${describeRiseShift(shiftSeconds)}, at ${formatTime(pass.start, state.settings.timeFormat)}`);
+    }
+    pins.push({ noradId: pin.noradId, start: pass.start.toISOString(), epoch });
+  }
+  if (moved.length === 1) {
+    showToast(`New elements moved your pinned pass: ${moved[0]}.`);
+  } else if (moved.length) {
+    showToast(`New elements moved ${moved.length} pinned passes: ${moved.join('; ')}.`);
+  }
+  state.settings.pinnedPasses = pins;
+  persistSettings();
+};
+
+// Upcoming passes of the tracked object the drift table can compare on
+const getDriftCandidates = () => {
+  const now = new Date();
+  return state.passes
+    .filter((pass) => pass.satellite.noradId === state.satellite.noradId && pass.end > now)
+    .slice(0, 10);
+};
+
+/**
+ * Drift table: re-predict one upcoming pass with every recorded element set
+ * of the tracked object and show how its rise time moved between them.
+ * Defaults to the first pinned pass, else the next one.
+ */
+const renderDriftView = () => {
+  const { timeFormat, minElevation } = state.settings;
+  const candidates = getDriftCandidates();
+  const pass =
+    candidates.find((candidate) => getPassKey(candidate) === state.driftPassKey) ??
+    candidates.find((candidate) => findPin(candidate)) ??
+    candidates[0];
+  elements.driftPass.innerHTML = candidates
+    .map((candidate) => {
+      const key = getPassKey(candidate);
+      const label = `${formatDateTime(candidate.start, timeFormat)}${findPin(candidate) ? ' (pinned)' : ''}`;
+      return `<option value="${key}"${candidate === pass ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    })
+    .join('');
+  elements.driftPass.disabled = !candidates.length;
+  elements.driftRows.innerHTML = '';
+  elements.driftRows.closest('table').hidden = true;
+  if (!pass) {
+    elements.driftSummary.textContent = 'Drift is shown once upcoming passes are predicted.';
+    return;
+  }
+
+  const history = state.elementHistory.get(state.satellite.noradId) ?? [];
+  if (history.length < 2) {
+    elements.driftSummary.textContent = `Only one element set for ${state.satellite.shortName} has been recorded on this device so far. Later updates are kept (up to 20), and how each one moves this pass will show here.`;
+    return;
+  }
+
+  // Each set is searched once per prediction run, not on every render
+  const passKey = getPassKey(pass);
+  const predict = (tle) => {
+    const key = `${passKey}|${tle[1].slice(18, 32)}`;
+    if (!state.driftPredictions.has(key)) {
+      state.driftPredictions.set(key, findPassNear(getSatrec(tle), state.observer, pass.start, {
+        minElevation,
+        horizonMask: state.horizonMask
+      }));
+    }
+    return state.driftPredictions.get(key);
+  };
+  const drift = computeRiseDrift(history, pass.start, predict);
+  elements.driftRows.innerHTML = drift
+    .map((entry) => {
+      const cells = [
+        formatDateTime(entry.epoch, timeFormat),
+        entry.source,
+        entry.start ? formatTime(entry.start, timeFormat) : '--',
+        entry.shiftSeconds === null ? 'No pass' : describeRiseShift(entry.shiftSeconds)
+      ];
+      return `<tr>${cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+    })
+    .join('');
+  elements.driftRows.closest('table').hidden = false;
+
+  const shifts = drift.filter((entry) => entry.shiftSeconds !== null).map((entry) => entry.shiftSeconds);
+  const spread = shifts.length ? Math.max(...shifts) - Math.min(...shifts) : 0;
+  elements.driftSummary.textContent = spread < 1
+    ? `All ${drift.length} element sets agree on this rise time.`
+    : `The rise time moved within ${formatShift(spread)} across ${drift.length} element sets. Large jumps between sets usually follow a reboost or other maneuver.`;
 };
 
 const updateCountdown = () => {
@@ -456,8 +1183,17 @@ const hideShareBanner = () => {
   }
 };
 
+// "72 hours" for the default window, whole days beyond it
+const formatWindow = (hours) =>
+  hours > PASS_WINDOW_HOURS ? `${Math.round(hours / 24)} days` : `${hours} hours`;
+
 const renderTopPicks = () => {
   elements.topPicks.innerHTML = '';
+  if (state.predictionProgress !== null) {
+    elements.topPicks.innerHTML =
+      '<div class="card"><p class="card__title">Calculating passes...</p><p class="card__meta">Top picks appear once every watched object has been predicted.</p></div>';
+    return;
+  }
   const now = new Date();
   const picks = [...state.passes]
     .filter((pass) => pass.visible && pass.end > now)
@@ -466,7 +1202,7 @@ const renderTopPicks = () => {
 
   if (!picks.length) {
     elements.topPicks.innerHTML =
-      '<div class="card"><p class="card__title">No visible passes in the next 72 hours.</p><p class="card__meta">Try adjusting your location or check back later. Visibility requires dark skies at your location and a sunlit ISS.</p></div>';
+      `<div class="card"><p class="card__title">No visible passes in the next ${formatWindow(state.settings.windowHours)}.</p><p class="card__meta">Try adjusting your location or check back later. Visibility requires dark skies at your location and a sunlit ${escapeHtml(getTimelineSubject())}.</p></div>`;
     return;
   }
 
@@ -476,6 +1212,7 @@ const renderTopPicks = () => {
     card.innerHTML = `
       <div class="card__badges">
         <span class="badge badge--rank">Pick ${index + 1}</span>
+        <span class="badge badge--object">${escapeHtml(pass.satellite.shortName)}</span>
         <span class="badge badge--score">Score ${pass.score}</span>
       </div>
       <p class="card__title">${formatDateTime(
@@ -484,7 +1221,7 @@ const renderTopPicks = () => {
       )}</p>
       <p class="card__meta">Peak ${pass.maxElevation.toFixed(
         0
-      )}° | ${formatDuration(pass.duration)} | ${pass.brightness}</p>
+      )}° | ${formatDuration(pass.duration)} | ${describeBrightness(pass)}</p>
       <div class="card__actions">
         <button class="button button--small" type="button" data-view>View pass</button>
         <button class="button button--small" type="button" data-share>Share</button>
@@ -503,7 +1240,12 @@ const renderTopPicks = () => {
 };
 
 const buildShareUrl = (pass) => {
-  const params = buildShareParams(state.observer, pass, state.locationName);
+  const params = buildShareParams(
+    state.observer,
+    pass,
+    state.locationName,
+    pass.satellite.noradId
+  );
   return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
 };
 
@@ -512,8 +1254,8 @@ const sharePass = async (pass) => {
   if (navigator.share) {
     try {
       await navigator.share({
-        title: 'ISS pass details',
-        text: `ISS pass over ${state.locationName} — ${formatDateTime(pass.start, state.settings.timeFormat)}`,
+        title: `${pass.satellite.shortName} pass details`,
+        text: `${pass.satellite.shortName} pass over ${state.locationName} — ${formatDateTime(pass.start, state.settings.timeFormat)}`,
         url: shareUrl
       });
       return;
@@ -542,8 +1284,8 @@ const createICS = (pass) => {
     'BEGIN:VEVENT',
     `DTSTART:${start}`,
     `DTEND:${end}`,
-    `SUMMARY:ISS pass over ${state.locationName}`,
-    `DESCRIPTION:Peak elevation ${pass.maxElevation.toFixed(0)}° — ${pass.brightness}. Look ${formatAzimuth(pass.startAz)} to start.`,
+    `SUMMARY:${pass.satellite.shortName} pass over ${state.locationName}`,
+    `DESCRIPTION:Peak elevation ${pass.maxElevation.toFixed(0)}° — ${describeBrightness(pass)}. Look ${formatAzimuth(pass.startAz)} to start.`,
     'END:VEVENT',
     'END:VCALENDAR'
   ].join('\n');
@@ -601,7 +1343,7 @@ const jumpToPass = (pass) => {
 
   requestAnimationFrame(() => {
     const target = elements.passes.querySelector(
-      `[data-pass-start="${pass.start.toISOString()}"]`
+      `[data-pass-key="${getPassKey(pass)}"]`
     );
     if (!target) return;
     const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -614,30 +1356,146 @@ const jumpToPass = (pass) => {
   return true;
 };
 
+// Where a visible pass slips into (or out of) the Earth's shadow, e.g.
+// "Fades out at 21:43:12 in the NE"
+const describeShadowEvents = (pass) => {
+  if (!pass.visible) return '';
+  const { timeFormat } = state.settings;
+  const notes = [];
+  if (pass.eclipseExit) {
+    notes.push(`Emerges from shadow at ${formatTime(pass.eclipseExit.time, timeFormat)} in the ${azimuthToCompass(pass.eclipseExit.azimuth)}`);
+  }
+  if (pass.eclipseEntry) {
+    notes.push(`Fades out at ${formatTime(pass.eclipseEntry.time, timeFormat)} in the ${azimuthToCompass(pass.eclipseEntry.azimuth)}`);
+  }
+  return notes.join(' · ');
+};
+
+const getSkyTrack = (pass) => {
+  if (!skyTracks.has(pass)) {
+    const satrec = state.elementSets.get(pass.satellite.noradId)?.satrec;
+    skyTracks.set(pass, satrec ? computeSkyTrack(satrec, state.observer, pass) : []);
+  }
+  return skyTracks.get(pass);
+};
+
+// Stars, planets and the Moon at the pass's peak, and the one it passes
+// nearest then
+const getSkyContext = (pass) => {
+  if (!skyContexts.has(pass)) {
+    const objects = getSkyObjects(pass.peakTime, state.observer);
+    const neighbor = findSkyNeighbor(
+      { azimuth: pass.peakAz, elevation: pass.maxElevation },
+      objects
+    );
+    skyContexts.set(pass, { objects, neighbor });
+  }
+  return skyContexts.get(pass);
+};
+
+const renderSkyObjects = ({ objects, neighbor }, center, radius) =>
+  objects
+    .map((object) => {
+      const { x, y } = projectPolar(object.azimuth, object.elevation, center, radius);
+      const cx = x.toFixed(1);
+      const cy = y.toFixed(1);
+      const r = object.kind === 'moon' ? 4 : Math.max(0.7, 2.6 - 0.6 * object.magnitude).toFixed(1);
+      const dot = `<circle class="sky-chart__${object.kind}" cx="${cx}" cy="${cy}" r="${r}"><title>${object.name}</title></circle>`;
+      // Name the planets, the Moon and the star the pass is placed against
+      const labelled = object.kind !== 'star' || object === neighbor?.object;
+      return labelled
+        ? `${dot}<text class="sky-chart__name" x="${cx}" y="${(y - 4.5).toFixed(1)}">${object.name}</text>`
+        : dot;
+    })
+    .join('');
+
+/**
+ * Polar sky chart of a pass: horizon circle, 30° and 60° rings, cardinal
+ * points, the saved horizon mask, the bright stars, planets and Moon at
+ * peak, and the path with visible stretches drawn solid and a tick every
+ * minute.
+ */
+const renderSkyChart = (pass, track) => {
+  const center = SKY_CHART_CENTER;
+  const radius = SKY_CHART_RADIUS;
+  const rings = [0, 30, 60]
+    .map((elevation) => {
+      const r = radius * (1 - elevation / 90);
+      return `<circle class="sky-chart__ring" cx="${center}" cy="${center}" r="${r}" />`;
+    })
+    .join('');
+  const labels = ['N', 'E', 'S', 'W']
+    .map((label, index) => {
+      const { x, y } = projectPolar(index * 90, -1, center, radius + 7);
+      return `<text class="sky-chart__label" x="${x.toFixed(1)}" y="${y.toFixed(1)}">${label}</text>`;
+    })
+    .join('');
+  const sky = getSkyContext(pass);
+  const paths = buildSkyTrackPaths(track, pass.visibleSegments, center, radius);
+  const rise = interpolateSkyTrack(track, track[0].time.getTime(), center, radius);
+  const title = `Sky path from ${azimuthToCompass(pass.startAz)} to ${azimuthToCompass(pass.endAz)}, peaking at ${pass.maxElevation.toFixed(0)}°`;
+  return `
+    <svg class="sky-chart" viewBox="0 0 ${center * 2} ${center * 2}" role="img" aria-label="${title}">
+      <title>${title}</title>
+      <path class="sky-chart__mask" d="${buildMaskPath(state.horizonMask, center, radius)}" />
+      ${rings}${labels}
+      ${renderSkyObjects(sky, center, radius)}
+      <path class="sky-chart__track sky-chart__track--hidden" d="${paths.hidden}" />
+      <path class="sky-chart__track sky-chart__track--visible" d="${paths.visible}" />
+      <path class="sky-chart__ticks" d="${buildMinuteTicks(track, center, radius)}" />
+      <circle class="sky-chart__rise" cx="${rise.x.toFixed(1)}" cy="${rise.y.toFixed(1)}" r="2.5" />
+      <circle class="sky-chart__now" r="4" hidden />
+    </svg>`;
+};
+
+// Place each live pass's marker at the satellite's current sky position
+const updateSkyMarkers = (now = new Date()) => {
+  skyMarkers.forEach(({ track, marker }) => {
+    const point = interpolateSkyTrack(track, now.getTime(), SKY_CHART_CENTER, SKY_CHART_RADIUS);
+    marker.toggleAttribute('hidden', !point);
+    if (point) {
+      marker.setAttribute('cx', point.x.toFixed(1));
+      marker.setAttribute('cy', point.y.toFixed(1));
+    }
+  });
+};
+
 const renderPassCard = (pass) => {
   const container = document.createElement('div');
   const isShared = state.share.matched === pass;
+  const isPinned = Boolean(findPin(pass));
+  const shiftSeconds = state.passShifts.get(getPassKey(pass));
   container.className = `pass${pass.visible ? ' pass--visible' : ''}${isShared ? ' pass--shared' : ''}`;
-  container.dataset.passStart = pass.start.toISOString();
+  container.dataset.passKey = getPassKey(pass);
   const directionLabel = `${formatAzimuth(pass.startAz)} → ${formatAzimuth(
     pass.endAz
   )}`;
+  const shadowNote = describeShadowEvents(pass);
+  const skyNote = pass.visible ? describeSkyNeighbor(getSkyContext(pass).neighbor) : '';
+  const track = getSkyTrack(pass);
   container.innerHTML = `
     <div class="pass__header">
       <div>
         <div class="pass__badges">
           <div class="badge${pass.visible ? ' badge--visible' : ''}">${pass.visible ? 'Visible' : 'Overhead'}</div>
+          <div class="badge badge--object">${escapeHtml(pass.satellite.shortName)}</div>
           ${isShared ? '<div class="badge badge--shared">Shared pick</div>' : ''}
+          ${isPinned ? '<div class="badge badge--pinned">Pinned</div>' : ''}
         </div>
         <p class="card__title">${formatDateTime(
           pass.start,
           state.settings.timeFormat
         )}</p>
         <p class="card__meta">${describeVisibility(pass)}</p>
+        ${shadowNote ? `<p class="card__meta pass__shadow">${shadowNote}</p>` : ''}
+        ${skyNote ? `<p class="card__meta pass__sky-note">Passes ${skyNote} at peak</p>` : ''}
+        ${shiftSeconds === undefined ? '' : `<p class="card__meta pass__shift">Moved ${describeRiseShift(shiftSeconds)} with the latest elements</p>`}
       </div>
       <div class="pass__actions">
+        <button class="button button--small" data-preview>Preview on globe</button>
         <button class="button button--small" data-share>Share</button>
         <button class="button button--small" data-remind>Reminder</button>
+        <button class="button button--small" data-pin aria-pressed="${isPinned}">${isPinned ? 'Unpin' : 'Pin'}</button>
       </div>
     </div>
     <div>
@@ -671,23 +1529,37 @@ const renderPassCard = (pass) => {
     </div>
     <div>
       <div class="pass__label">Brightness</div>
-      <div class="pass__value">${pass.brightness}</div>
+      <div class="pass__value">${describeBrightness(pass)}</div>
     </div>
+    ${track.length > 1 ? `<div class="pass__sky">${renderSkyChart(pass, track)}</div>` : ''}
   `;
+  const marker = container.querySelector('.sky-chart__now');
+  if (marker) skyMarkers.push({ track, marker });
+  const previewButton = container.querySelector('[data-preview]');
   const shareButton = container.querySelector('[data-share]');
   const remindButton = container.querySelector('[data-remind]');
+  const pinButton = container.querySelector('[data-pin]');
+
+  previewButton.addEventListener('click', () => {
+    previewPassOnGlobe(pass);
+  });
 
   shareButton.addEventListener('click', () => {
     sharePass(pass);
   });
 
+  pinButton.addEventListener('click', () => {
+    togglePin(pass);
+  });
+
   remindButton.addEventListener('click', () => {
     const ics = createICS(pass);
     const blob = new Blob([ics], { type: 'text/calendar' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `iss-pass-${pass.start.toISOString().slice(0, 10)}.ics`;
+    const slug = pass.satellite.shortName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    link.download = `${slug}-pass-${pass.start.toISOString().slice(0, 10)}.ics`;
     link.click();
     URL.revokeObjectURL(url);
     showToast('Calendar reminder downloaded.');
@@ -696,9 +1568,30 @@ const renderPassCard = (pass) => {
   return container;
 };
 
+const renderPredictionProgress = () => {
+  const percent = Math.round(state.predictionProgress * 100);
+  const progress = document.createElement('div');
+  progress.className = 'passes__progress';
+  progress.setAttribute('role', 'progressbar');
+  progress.setAttribute('aria-label', 'Pass prediction progress');
+  progress.setAttribute('aria-valuemin', '0');
+  progress.setAttribute('aria-valuemax', '100');
+  progress.setAttribute('aria-valuenow', String(percent));
+  progress.innerHTML = `
+    <span class="passes__progress-label">Calculating passes… ${percent}%</span>
+    <div class="passes__progress-track"><div class="passes__progress-bar" style="width: ${percent}%"></div></div>
+  `;
+  return progress;
+};
+
 const renderPasses = () => {
   elements.passes.innerHTML = '';
+  skyMarkers = [];
+  if (state.predictionProgress !== null) {
+    elements.passes.appendChild(renderPredictionProgress());
+  }
   if (!state.passes.length) {
+    if (state.predictionProgress !== null) return;
     elements.passes.innerHTML =
       '<div class="card"><p class="card__title">No passes available yet.</p><p class="card__meta">Update your location or wait for orbital data to load.</p></div>';
     return;
@@ -716,6 +1609,7 @@ const renderPasses = () => {
   pagePasses.forEach((pass) => {
     elements.passes.appendChild(renderPassCard(pass));
   });
+  updateSkyMarkers();
 
   // Add pagination controls if more than one page
   if (totalPages > 1) {
@@ -752,8 +1646,11 @@ const updateNextPass = () => {
   const nextVisible = state.passes.find(
     (pass) => pass.visible && pass.start > now
   );
+  // Name the object once several share the timeline
+  const prefix = (pass) =>
+    getWatchedIds().length > 1 ? `${pass.satellite.shortName} · ` : '';
   if (nextVisible) {
-    elements.nextPass.textContent = `${formatDateTime(
+    elements.nextPass.textContent = `${prefix(nextVisible)}${formatDateTime(
       nextVisible.start,
       state.settings.timeFormat
     )} | ${nextVisible.maxElevation.toFixed(0)}° peak`;
@@ -761,7 +1658,7 @@ const updateNextPass = () => {
     // Show next pass even if not visible
     const next = state.passes.find((pass) => pass.start > now);
     if (next) {
-      elements.nextPass.textContent = `${formatDateTime(
+      elements.nextPass.textContent = `${prefix(next)}${formatDateTime(
         next.start,
         state.settings.timeFormat
       )} (not visible)`;
@@ -771,36 +1668,109 @@ const updateNextPass = () => {
   }
 };
 
-const updateMapAndGlobe = (position) => {
-  if (!position) return;
+// Nearest orbit strongest, each further one about half as strong
+const getTrackOpacity = (direction, orbit) =>
+  (direction === 'past' ? 0.7 : 0.5) * 0.55 ** (orbit - 1);
 
-  // Update ISS marker
-  issMarker.setLatLng([position.lat, position.lon]);
-
-  // Update ground tracks every 60 seconds
-  if (Date.now() - lastTrackUpdate > 60 * 1000) {
-    // Past track (90 minutes — one full orbit)
-    cachedTrack = computeGroundTrack(state.satrec, new Date(), 90, 30);
+// Globe track colors, light enough to read over the night lights
+const getTrackColor = (direction, orbit) => {
+  const shade = direction === 'past' ? '229, 231, 235' : '156, 163, 175';
+  return `rgba(${shade}, ${getTrackOpacity(direction, orbit).toFixed(2)})`;
+};
 
+// Redraw the cached orbits and their time labels on the map and globe
+const renderGroundTracks = () => {
+  trackLayer.clearLayers();
+  const labels = [];
+  cachedTracks.forEach(({ points, ticks, direction, orbit }) => {
     // Segment tracks at antimeridian crossings for correct 2D display
-    const pastSegments = segmentTrack(cachedTrack);
-    trackLine.setLatLngs(pastSegments);
+    L.polyline(segmentTrack(points), {
+      color: direction === 'past' ? '#333' : '#999',
+      weight: direction === 'past' ? 2 : 1.5,
+      opacity: getTrackOpacity(direction, orbit),
+      smoothFactor: 1,
+      interactive: false,
+      dashArray: direction === 'past' ? null : '5, 10',
+      className: direction === 'past' ? 'iss-track' : 'iss-track-future'
+    }).addTo(trackLayer);
+    ticks.forEach((tick) => {
+      const label = formatClock(tick.date, state.settings.timeFormat);
+      L.circleMarker([tick.lat, tick.lon], {
+        radius: 2,
+        weight: 0,
+        fillColor: '#333',
+        fillOpacity: getTrackOpacity(direction, orbit),
+        interactive: false
+      })
+        .bindTooltip(label, {
+          permanent: true,
+          direction: 'right',
+          offset: [4, 0],
+          className: 'track-tick-label'
+        })
+        .addTo(trackLayer);
+      labels.push({ lat: tick.lat, lon: tick.lon, label });
+    });
+  });
+  globe.labelsData(labels);
+};
 
-    // Future track (90 minutes ahead — one full orbit)
-    const futureStart = new Date();
-    cachedFutureTrack = computeGroundTrack(state.satrec, futureStart, 90, 30);
-    const futureSegments = segmentTrack(cachedFutureTrack);
-    futureTrackLine.setLatLngs(futureSegments);
+/**
+ * Recompute the ground tracks in the prediction worker: whole orbits
+ * behind and ahead of the object at the simulation time, as many as the
+ * settings ask for. Results for an object that is no longer tracked, or
+ * overtaken by a newer refresh, are dropped; on failure the previous tracks
+ * stay on screen.
+ */
+const refreshGroundTracks = async () => {
+  const { noradId } = state.satellite;
+  const elementSet = state.elementSets.get(noradId);
+  if (!elementSet) return;
+  trackRequestId += 1;
+  const requestId = trackRequestId;
+  const spans = getOrbitSpans(
+    clock.getTime(),
+    getOrbitalPeriod(elementSet.satrec),
+    state.settings.orbitsBefore,
+    state.settings.orbitsAfter
+  );
+  try {
+    const tracks = await Promise.all(
+      spans.map(({ start, minutes }) =>
+        predictor.groundTrack({ tle: elementSet.tle, start, minutes, stepSeconds: 30 })
+      )
+    );
+    if (noradId !== state.satellite.noradId || requestId !== trackRequestId) return;
+    cachedTracks = spans.map(({ direction, orbit }, index) => ({
+      points: tracks[index],
+      ticks: computeTrackTicks(tracks[index], TRACK_TICK_MINUTES),
+      direction,
+      orbit
+    }));
+    renderGroundTracks();
+  } catch {
+    // Keep the previous tracks until the next refresh
+  }
+};
 
-    lastTrackUpdate = Date.now();
+const updateMapAndGlobe = (position, now) => {
+  if (!position) return;
+
+  // Update ISS marker
+  issMarker.setLatLng([position.lat, position.lon]);
+
+  // Update ground tracks every 60 seconds of simulated time, either way
+  if (Math.abs(now - lastTrackUpdate) > 60 * 1000) {
+    lastTrackUpdate = now.getTime();
+    refreshGroundTracks();
   }
 
-  // Update terminator every 5 minutes
-  if (Date.now() - lastTerminatorUpdate > 5 * 60 * 1000) {
+  // Update terminator every 5 minutes of simulated time
+  if (Math.abs(now - lastTerminatorUpdate) > 5 * 60 * 1000) {
     terminatorLayer.remove();
-    terminatorLayer = createTerminator();
+    terminatorLayer = createTerminator(now);
     terminatorLayer.addTo(map);
-    lastTerminatorUpdate = Date.now();
+    lastTerminatorUpdate = now.getTime();
   }
 
   // Update 3D globe — ISS as custom 3D object
@@ -814,7 +1784,8 @@ const updateMapAndGlobe = (position) => {
   globe.htmlElementsData([{
     lat: position.lat,
     lng: position.lon,
-    alt: ISS_ALT_GLOBE + 0.015
+    alt: ISS_ALT_GLOBE + 0.015,
+    label: state.satellite.shortName
   }]);
 
   // Observer point
@@ -825,54 +1796,259 @@ const updateMapAndGlobe = (position) => {
     color: '#14b8a6'
   }]);
 
-  // Both past and future tracks on globe
-  const paths = [];
-  if (cachedTrack.length > 1) {
-    paths.push(cachedTrack.map((point) => ({
-      lat: point.lat,
-      lng: point.lon
-    })));
-  }
-  if (cachedFutureTrack.length > 1) {
-    paths.push(cachedFutureTrack.map((point) => ({
-      lat: point.lat,
-      lng: point.lon
-    })));
+  // Visibility footprint, plus the minimum-elevation ring when one is set
+  const footprint = computeFootprint(position, position.altitude);
+  const footprintMask = state.settings.minElevation > 0
+    ? computeFootprint(position, position.altitude, state.settings.minElevation)
+    : [];
+  const footprintRing = toMapRing(footprint, position);
+  const footprintMaskRing = footprintMask.length ? toMapRing(footprintMask, position) : [];
+  footprintLayer.setLatLngs(footprintRing);
+  footprintMaskLayer.setLatLngs(footprintMaskRing);
+
+  // Past and future orbits on globe, fading with distance from now
+  const paths = cachedTracks
+    .filter(({ points }) => points.length > 1)
+    .map(({ points, direction, orbit }) => ({
+      points: points.map((point) => ({ lat: point.lat, lng: point.lon })),
+      color: getTrackColor(direction, orbit),
+      dashed: direction === 'future'
+    }));
+  // Unwrapped rings without the map's pole closure
+  const toGlobeRing = (ring, length) =>
+    ring.slice(0, length).map(([lat, lng]) => ({ lat, lng }));
+  paths.push({ points: toGlobeRing(footprintRing, footprint.length), color: '#2dd4bf' });
+  if (passPreview?.sightLine) paths.push(passPreview.sightLine);
+  if (footprintMask.length) {
+    paths.push({
+      points: toGlobeRing(footprintMaskRing, footprintMask.length),
+      color: '#2dd4bf',
+      dashed: true
+    });
   }
   globe.pathsData(paths);
 };
 
 const updateLoop = () => {
-  if (!state.satrec) return;
-  const position = computePosition(state.satrec, new Date());
+  const satrec = getActiveSatrec();
+  if (!satrec) return;
+  const now = clock.getTime();
+  const position = computePosition(satrec, now);
   updateStatusPanel(position);
-  updateMapAndGlobe(position);
+  updatePassPreview(position, now);
+  updateSimulationControls(now);
+  updateMapAndGlobe(position, now);
   updateVisibilityNow();
   updateCountdown();
+  updateSkyMarkers(now);
 
-  // Update sun position on globe for day/night lighting
-  const sun = getSunSubPoint(new Date());
-  const phi = THREE.MathUtils.degToRad(90 - sun.lat);
-  const theta = THREE.MathUtils.degToRad(sun.lon + 180);
-  light.position.set(
-    Math.sin(phi) * Math.cos(theta),
-    Math.cos(phi),
-    Math.sin(phi) * Math.sin(theta)
-  );
+  // The TLE age only needs a refresh once a minute
+  if (Date.now() - lastElementsUpdate > 60 * 1000) {
+    lastElementsUpdate = Date.now();
+    renderOrbitalElements();
+  }
+
+  // Light the globe from the sub-solar point, in the globe's own axes: the
+  // directional light for the 3D model, the shader for the surface
+  const sun = getSunSubPoint(now);
+  const { x, y, z } = globe.getCoords(sun.lat, sun.lon, 1);
+  light.position.set(x, y, z);
+  dayNightMaterial.uniforms.sunDirection.value.set(x, y, z).normalize();
 };
 
-const recalcPasses = () => {
-  if (!state.satrec) return;
-  state.passes = computePasses(state.satrec, state.observer);
+/**
+ * Re-predict passes for the watchlist in the worker. Batches are merged and
+ * rendered as they stream in; a newer call cancels an older one. Resolves
+ * true once predictions for this call are complete.
+ */
+const recalcPasses = async () => {
+  if (!getActiveSatrec()) return false;
+  const watchlist = getWatchedIds()
+    .filter((noradId) => state.elementSets.has(noradId))
+    .map((noradId) => ({
+      satellite: getWatchedSatellite(noradId),
+      tle: state.elementSets.get(noradId).tle
+    }));
+
+  state.passes = [];
+  state.predictionProgress = 0;
+  state.driftPredictions.clear();
   passPage = 0;
+  // Transits belong to the old object, location or window
+  clearTransits();
+  elements.nextPass.textContent = 'Calculating passes...';
+  renderTopPicks();
+  renderPasses();
+
+  let outcome;
+  try {
+    outcome = await predictor.predictPasses(
+      {
+        watchlist,
+        observer: { ...state.observer },
+        start: new Date(),
+        options: {
+          windowHours: state.settings.windowHours,
+          minElevation: state.settings.minElevation,
+          horizonMask: state.horizonMask
+        }
+      },
+      ({ passes, progress }) => {
+        state.passes = mergePassTimelines([state.passes, passes]);
+        state.predictionProgress = progress;
+        renderPasses();
+      }
+    );
+  } catch (error) {
+    state.predictionProgress = null;
+    const errorCard = `<div class="card"><p class="card__title">Unable to calculate passes.</p><p class="card__meta">${escapeHtml(error.message)}</p></div>`;
+    elements.nextPass.textContent = 'Unable to calculate passes.';
+    elements.topPicks.innerHTML = errorCard;
+    elements.passes.innerHTML = errorCard;
+    return false;
+  }
+  if (outcome.cancelled) return false;
+
+  state.predictionProgress = null;
   if (state.share.active && state.share.passTime) {
-    state.share.matched = findSharedPass(state.passes, state.share.passTime);
+    // A share link refers to a pass of the tracked object only
+    const candidates = state.passes.filter(
+      (pass) => pass.satellite.noradId === state.satellite.noradId
+    );
+    state.share.matched = findSharedPass(candidates, state.share.passTime);
   }
+  reconcilePinnedPasses();
   updateNextPass();
   renderTopPicks();
   renderPasses();
+  renderDriftView();
   updateVisibilityNow();
   updateCountdown();
+  return true;
+};
+
+// "Sun transit" or "Close approach to the Moon"
+const describeTransitTitle = (event) =>
+  (event.transit ? `${event.bodyName} transit` : `Close approach to the ${event.bodyName}`);
+
+const describeTransitDetail = (event) => {
+  const where = `${event.elevation.toFixed(0)}° up in the ${azimuthToCompass(event.azimuth)}`;
+  if (event.transit) {
+    return `Crosses the disk for ${event.duration.toFixed(1)} s, ${where}`;
+  }
+  const miss = event.separation - event.bodyRadius;
+  return `Passes ${miss.toFixed(2)}° from the ${event.bodyName}'s edge, ${where}`;
+};
+
+const describeTransitSpot = (event) => {
+  const spot = event.bestSpot;
+  if (!spot) return 'Centerline does not reach the ground near you';
+  const time = formatTime(spot.time, state.settings.timeFormat);
+  if (spot.distanceKm < 1) return `Centerline passes over your location at ${time}`;
+  return `Centerline passes ${formatAltitude(spot.distanceKm, state.settings.units)} ${azimuthToCompass(spot.bearing)} of you at ${time}`;
+};
+
+const clearTransits = () => {
+  transitRequestId += 1;
+  state.transits = null;
+  transitLayer?.clearLayers();
+  if (elements.transits) elements.transits.innerHTML = '';
+};
+
+const renderTransits = () => {
+  elements.transits.innerHTML = '';
+  if (!state.transits) return;
+  if (!state.transits.length) {
+    elements.transits.innerHTML =
+      `<div class="card"><p class="card__title">No transits or close approaches in the next ${formatWindow(state.settings.windowHours)}.</p><p class="card__meta">Try a wider margin, or check a nearby location: the centerline is only a few kilometers wide.</p></div>`;
+    return;
+  }
+
+  state.transits.forEach((event) => {
+    const card = document.createElement('article');
+    card.className = 'card';
+    card.innerHTML = `
+      <div class="card__badges">
+        <span class="badge badge--object">${escapeHtml(state.satellite.shortName)}</span>
+        <span class="badge">${escapeHtml(describeTransitTitle(event))}</span>
+      </div>
+      <p class="card__title">${formatDateTime(event.time, state.settings.timeFormat)}</p>
+      <p class="card__meta">${escapeHtml(describeTransitDetail(event))}</p>
+      <p class="card__meta">${escapeHtml(describeTransitSpot(event))}</p>
+      <div class="card__actions">
+        <button class="button button--small" type="button" data-map>Show on map</button>
+      </div>
+    `;
+    const mapButton = card.querySelector('[data-map]');
+    mapButton.disabled = !event.centerline.length;
+    mapButton.addEventListener('click', () => {
+      showTransitOnMap(event);
+    });
+    elements.transits.appendChild(card);
+  });
+};
+
+// Draw the centerline and best spot, framed with the observer
+const showTransitOnMap = (event) => {
+  transitLayer.clearLayers();
+  segmentTrack(event.centerline).forEach((segment) => {
+    L.polyline(segment, {
+      color: '#b45309',
+      weight: 3,
+      opacity: 0.85,
+      className: 'transit-centerline'
+    }).addTo(transitLayer);
+  });
+  const bounds = L.latLngBounds([[state.observer.lat, state.observer.lon]]);
+  if (event.bestSpot) {
+    L.circleMarker([event.bestSpot.lat, event.bestSpot.lon], {
+      radius: 6,
+      color: '#b45309',
+      weight: 2,
+      fillColor: '#fff',
+      fillOpacity: 1
+    })
+      .bindTooltip(describeTransitSpot(event))
+      .addTo(transitLayer);
+    bounds.extend([event.bestSpot.lat, event.bestSpot.lon]);
+  } else {
+    event.centerline.forEach((point) => bounds.extend([point.lat, point.lon]));
+  }
+  map.fitBounds(bounds.pad(0.5), { maxZoom: 11 });
+};
+
+/**
+ * Search the prediction window for Sun and Moon transits of the tracked
+ * object in the worker and list them.
+ */
+const searchTransits = async () => {
+  const elementSet = state.elementSets.get(state.satellite.noradId);
+  if (!elementSet) return;
+  clearTransits();
+  const requestId = transitRequestId;
+  elements.transitSearch.disabled = true;
+  elements.transits.innerHTML =
+    '<div class="card"><p class="card__title">Searching for transits...</p></div>';
+  try {
+    const transits = await predictor.transits({
+      tle: elementSet.tle,
+      observer: { ...state.observer },
+      start: new Date(),
+      options: {
+        windowHours: state.settings.windowHours,
+        margin: state.settings.transitMargin
+      }
+    });
+    if (requestId !== transitRequestId) return;
+    state.transits = transits;
+    renderTransits();
+  } catch (error) {
+    if (requestId !== transitRequestId) return;
+    elements.transits.innerHTML =
+      `<div class="card"><p class="card__title">Unable to search for transits.</p><p class="card__meta">${escapeHtml(error.message)}</p></div>`;
+  } finally {
+    elements.transitSearch.disabled = false;
+  }
 };
 
 /**
@@ -910,12 +2086,28 @@ const focusSharedPass = () => {
  */
 const clearShareContext = () => {
   if (!state.share.active) return;
-  state.share = { active: false, passTime: null, matched: null };
+  state.share = { active: false, passTime: null, noradId: null, matched: null };
   hideShareBanner();
   window.history.replaceState(null, '', window.location.pathname);
 };
 
-const applyLocation = async (lat, lon, name = '') => {
+const persistLocation = () => {
+  try {
+    localStorage.setItem(
+      'vasey-location',
+      JSON.stringify({
+        lat: state.observer.lat,
+        lon: state.observer.lon,
+        height: state.observer.height,
+        name: state.locationName
+      })
+    );
+  } catch {
+    // localStorage unavailable
+  }
+};
+
+const applyLocation = async (lat, lon, name = '', height = 0) => {
   // Validate coordinates
   if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
     elements.locationFeedback.textContent = 'Coordinates out of valid range.';
@@ -926,16 +2118,9 @@ const applyLocation = async (lat, lon, name = '') => {
 
   state.observer.lat = lat;
   state.observer.lon = lon;
+  state.observer.height = height;
   state.locationName = name || 'Custom location';
-
-  try {
-    localStorage.setItem(
-      'vasey-location',
-      JSON.stringify({ lat, lon, name: state.locationName })
-    );
-  } catch {
-    // localStorage unavailable
-  }
+  persistLocation();
 
   // Update user marker
   userMarker.setLatLng([lat, lon]);
@@ -950,6 +2135,8 @@ const applyLocation = async (lat, lon, name = '') => {
     globe.pointOfView({ lat, lng: lon, altitude: 2.5 }, 1500);
   }
 
+  state.horizonMask = loadHorizonMask(state.observer);
+  renderHorizonEditor(state.horizonMask);
   updateLocationInputs();
   updateLocationDisplay();
   recalcPasses();
@@ -1021,6 +2208,285 @@ const updateLocationDisplay = () => {
   }
 };
 
+// Horizon masks are kept per location (rounded coordinates), so switching
+// back to a saved spot brings its trees and rooftops back with it
+const HORIZONS_STORAGE_KEY = 'vasey-horizons';
+const HORIZON_CHART_CENTER = 80;
+const HORIZON_CHART_RADIUS = 70;
+
+const readStoredHorizons = () => {
+  try {
+    return JSON.parse(localStorage.getItem(HORIZONS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const loadHorizonMask = (observer) =>
+  normalizeHorizonMask(readStoredHorizons()[getHorizonKey(observer)]);
+
+const saveHorizonMask = (observer, mask) => {
+  const horizons = readStoredHorizons();
+  const key = getHorizonKey(observer);
+  if (mask) {
+    horizons[key] = mask;
+  } else {
+    delete horizons[key];
+  }
+  try {
+    localStorage.setItem(HORIZONS_STORAGE_KEY, JSON.stringify(horizons));
+  } catch {
+    // localStorage unavailable
+  }
+};
+
+// Unsaved table values, one per sector
+const readHorizonTable = () =>
+  [...elements.horizonTable.querySelectorAll('input')].map(
+    (input) => Number.parseFloat(input.value) || 0
+  );
+
+const renderHorizonChart = (mask) => {
+  const center = HORIZON_CHART_CENTER;
+  const radius = HORIZON_CHART_RADIUS;
+  const rings = [0, 30, 60]
+    .map((elevation) => {
+      const r = radius * (1 - elevation / 90);
+      return `<circle class="horizon-chart__ring" cx="${center}" cy="${center}" r="${r}" />`;
+    })
+    .join('');
+  const labels = ['N', 'E', 'S', 'W']
+    .map((label, index) => {
+      const { x, y } = projectPolar(index * 90, -1, center, radius + 5);
+      return `<text class="horizon-chart__label" x="${x.toFixed(1)}" y="${y.toFixed(1)}">${label}</text>`;
+    })
+    .join('');
+  elements.horizonChart.innerHTML =
+    `<path class="horizon-chart__mask" d="${buildMaskPath(mask, center, radius)}" />${rings}${labels}`;
+};
+
+const renderHorizonEditor = (mask) => {
+  if (!elements.horizonTable) return;
+  elements.horizonTable.innerHTML = HORIZON_SECTOR_LABELS.map(
+    (label, index) => `
+      <label class="field">
+        <span>${label}</span>
+        <input type="number" min="0" max="90" step="1" data-sector="${index}" value="${mask?.[index] ?? 0}" />
+      </label>`
+  ).join('');
+  renderHorizonChart(mask);
+};
+
+const renderSatelliteOptions = () => {
+  if (!elements.satelliteSelect) return;
+  const options = listSatellites(state.settings.customSatellites);
+  // A share link may point at an object this device has never tracked
+  if (!options.some((sat) => sat.noradId === state.satellite.noradId)) {
+    options.push(state.satellite);
+  }
+  elements.satelliteSelect.innerHTML = '';
+  options.forEach((sat) => {
+    const option = document.createElement('option');
+    option.value = String(sat.noradId);
+    option.textContent = `${sat.name} (${sat.noradId})`;
+    elements.satelliteSelect.appendChild(option);
+  });
+  elements.satelliteSelect.value = String(state.satellite.noradId);
+};
+
+const updateSatelliteLabels = () => {
+  const { shortName } = state.satellite;
+  if (elements.statusLabel) {
+    elements.statusLabel.textContent = `${shortName.toUpperCase()} STATUS`;
+  }
+  elements.centerIss.textContent = `Center on ${shortName}`;
+  if (issMarker) {
+    issMarker.setIcon(createSatelliteIcon(state.satellite));
+  }
+};
+
+const renderWatchlist = () => {
+  if (!elements.watchlist) return;
+  elements.watchlist.innerHTML = '';
+  const watched = new Set(getWatchedIds());
+  listSatellites(state.settings.customSatellites).forEach((sat) => {
+    const isTracked = sat.noradId === state.satellite.noradId;
+    const item = document.createElement('label');
+    item.className = 'watchlist__item';
+    item.title = isTracked ? 'The tracked object is always watched' : sat.name;
+    item.innerHTML = `
+      <input type="checkbox" value="${sat.noradId}"${watched.has(sat.noradId) ? ' checked' : ''}${isTracked ? ' disabled' : ''} />
+      <span>${escapeHtml(sat.shortName)}</span>
+    `;
+    item.querySelector('input').addEventListener('change', (event) => {
+      toggleWatched(sat.noradId, event.target.checked);
+    });
+    elements.watchlist.appendChild(item);
+  });
+};
+
+/**
+ * Load elements for watched objects that have none yet. Objects that fail
+ * to load are skipped so one bad ID never blocks the rest of the timeline.
+ * @returns {Promise<{loaded: number[], failed: number[]}>}
+ */
+const loadWatchlist = async () => {
+  const missing = getWatchedIds().filter((noradId) => !state.elementSets.has(noradId));
+  const results = await Promise.allSettled(missing.map((noradId) => loadSatellite(noradId)));
+  const loaded = missing.filter((_, index) => results[index].status === 'fulfilled');
+  const failed = missing.filter((_, index) => results[index].status === 'rejected');
+  return { loaded, failed };
+};
+
+const reportWatchlistFailures = (failed) => {
+  if (!failed.length) return;
+  elements.satelliteFeedback.textContent =
+    `Unable to load orbital elements for NORAD ${failed.join(', ')}; skipped from the timeline.`;
+};
+
+const toggleWatched = async (noradId, watched) => {
+  const others = state.settings.watchlist.filter((id) => id !== noradId);
+  state.settings.watchlist = watched ? [...others, noradId] : others;
+  persistSettings();
+  const { failed } = await loadWatchlist();
+  reportWatchlistFailures(failed);
+  recalcPasses();
+};
+
+/**
+ * Refetch the elements of every watched object past the cache, e.g. in a
+ * newly picked format, then refresh everything predicted from them. Objects
+ * that fail keep the elements they had.
+ */
+const reloadElementSets = async () => {
+  const noradIds = getWatchedIds();
+  elements.satelliteFeedback.textContent = 'Reloading orbital elements...';
+  const results = await Promise.allSettled(
+    noradIds.map((noradId) => loadSatellite(noradId, { refresh: true }))
+  );
+  const failed = noradIds.filter((_, index) => results[index].status === 'rejected');
+  elements.satelliteFeedback.textContent = failed.length
+    ? `Unable to reload orbital elements for NORAD ${failed.join(', ')}; keeping the elements already loaded.`
+    : `Tracking ${state.satellite.name}.`;
+  lastTrackUpdate = 0;
+  lastElementsUpdate = 0;
+  recalcPasses();
+  updateLoop();
+};
+
+/** Remember an object added by NORAD ID, named from its TLE title line. */
+const rememberCustomSatellite = (noradId, name) => {
+  if (SATELLITE_CATALOG.some((sat) => sat.noradId === noradId)) return;
+  const others = state.settings.customSatellites.filter((sat) => sat.noradId !== noradId);
+  state.settings.customSatellites = [...others, { noradId, name: name.trim() }];
+};
+
+/**
+ * Fetch and store an object's elements. Sources answering with broken
+ * elements are skipped, and their problems reported under the location
+ * search when the last good or bundled elements have to stand in, along
+ * with their epoch. `refresh` skips the 12-hour cache.
+ */
+const loadSatellite = async (noradId, { refresh = false } = {}) => {
+  const { tle, source, format, fallback, fetchedAt, stale, failures } = await fetchElementSet(noradId, {
+    format: state.settings.elementFormat,
+    refresh
+  });
+  // Only sets published by a live source belong in the drift history and
+  // the pinned-pass checks: bundled and imported ones may be far older
+  // than anything fetched
+  const fromNetwork = !fallback && source !== MANUAL_SOURCE;
+  state.elementSets.set(noradId, { tle, satrec: getSatrec(tle), source, format, fetchedAt, fromNetwork });
+  const historyUpdate = fromNetwork
+    ? recordElementSet(noradId, { tle, source, fetchedAt })
+    : loadElementHistory(noradId);
+  historyUpdate.then((history) => {
+    state.elementHistory.set(noradId, history);
+    if (noradId === state.satellite.noradId) renderDriftView();
+  });
+  if (stale) {
+    const epoch = formatDateTime(parseTleEpoch(tle[1]), state.settings.timeFormat);
+    showToast(`No element source had current elements for NORAD ${noradId}; predicting from ${source} elements dated ${epoch}.`);
+    elements.locationFeedback.textContent =
+      `Using ${source} elements for NORAD ${noradId} dated ${epoch}. ${failures.join(' ')}`;
+  }
+  return tle;
+};
+
+/**
+ * Switch the tracked object: load its elements, then refresh the status
+ * panel, map marker, ground tracks and pass predictions. The current
+ * object stays selected when the new elements cannot be loaded.
+ */
+const selectSatellite = async (noradId) => {
+  selectRequestId += 1;
+  const requestId = selectRequestId;
+  elements.satelliteFeedback.textContent = `Loading orbital elements for NORAD ${noradId}...`;
+  let tle;
+  try {
+    tle = await loadSatellite(noradId);
+  } catch (error) {
+    if (requestId !== selectRequestId) return;
+    elements.satelliteFeedback.textContent = error.message;
+    renderSatelliteOptions();
+    return;
+  }
+  if (requestId !== selectRequestId) return;
+
+  // Shared passes belong to the shared object
+  clearShareContext();
+  rememberCustomSatellite(noradId, tle[0]);
+  state.settings.noradId = noradId;
+  persistSettings();
+  state.satellite = findSatellite(noradId, state.settings.customSatellites);
+  lastTrackUpdate = 0;
+  lastElementsUpdate = 0;
+
+  renderSatelliteOptions();
+  renderWatchlist();
+  updateSatelliteLabels();
+  recalcPasses();
+  updateLoop();
+  elements.satelliteFeedback.textContent = `Tracking ${state.satellite.name}.`;
+};
+
+/**
+ * Import the elements pasted or dropped into the dialog (see
+ * importElementSets) and track the first object. Watched objects the import
+ * covers are reloaded too, so every prediction uses the imported sets.
+ */
+const importElements = async () => {
+  let imported;
+  try {
+    imported = importElementSets(elements.importText.value);
+  } catch (error) {
+    elements.importFeedback.textContent = error.message;
+    return;
+  }
+  elements.importDialog.close();
+  elements.importText.value = '';
+  elements.importFile.value = '';
+  elements.importFeedback.textContent = '';
+
+  const [first, ...others] = imported;
+  const watched = others.filter(({ noradId }) => state.elementSets.has(noradId));
+  await Promise.allSettled(watched.map(({ noradId }) => loadSatellite(noradId)));
+  await selectSatellite(first.noradId);
+  // Nothing may have loaded before, e.g. with every source blocked
+  if (!loopId) startLoop();
+  showToast(
+    imported.length === 1
+      ? `Imported elements for ${first.tle[0]}.`
+      : `Imported ${imported.length} element sets; tracking ${first.tle[0]}.`
+  );
+};
+
+const readImportFile = async (file) => {
+  if (!file) return;
+  elements.importText.value = await file.text();
+  elements.importFeedback.textContent = `Loaded ${file.name}.`;
+};
+
 const bindEvents = () => {
   // Settings popover in the top bar (disclosure pattern)
   const settingsToggle = document.querySelector('#settings-toggle');
@@ -1075,19 +2541,22 @@ const bindEvents = () => {
     elements.locationFeedback.textContent = 'Requesting location...';
     navigator.geolocation.getCurrentPosition(
       async (position) => {
-        const { latitude, longitude } = position.coords;
+        const { latitude, longitude, altitude } = position.coords;
+        // GPS altitude is height above the ellipsoid, the height the look
+        // angles take; it differs from sea-level elevation by the geoid
+        // undulation (under ~110 m). Without it the place starts at sea level
+        const height = Number.isFinite(altitude) ? altitude / 1000 : undefined;
         // Apply immediately with temporary name, then resolve actual city
-        await applyLocation(latitude, longitude, 'Locating...');
+        await applyLocation(latitude, longitude, 'Locating...', height);
+        if (height === undefined) {
+          elements.locationFeedback.textContent =
+            'Location set. This device did not report an elevation — enter it manually if needed.';
+        }
         try {
           const cityName = await reverseGeocode(latitude, longitude);
           if (cityName) {
             state.locationName = cityName;
-            try {
-              localStorage.setItem(
-                'vasey-location',
-                JSON.stringify({ lat: latitude, lon: longitude, name: cityName })
-              );
-            } catch { /* localStorage unavailable */ }
+            persistLocation();
             updateLocationDisplay();
             elements.locationFeedback.textContent = `Location set to ${cityName}.`;
           }
@@ -1108,6 +2577,66 @@ const bindEvents = () => {
     );
   });
 
+  elements.satelliteSelect.addEventListener('change', (event) => {
+    selectSatellite(Number(event.target.value));
+  });
+
+  elements.satelliteAdd.addEventListener('click', () => {
+    const noradId = normalizeNoradId(elements.satelliteCustomId.value);
+    if (!noradId) {
+      elements.satelliteFeedback.textContent = 'Enter a numeric NORAD catalog ID.';
+      return;
+    }
+    elements.satelliteCustomId.value = '';
+    selectSatellite(noradId);
+  });
+
+  elements.satelliteCustomId.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      elements.satelliteAdd.click();
+    }
+  });
+
+  elements.importOpen.addEventListener('click', () => {
+    elements.importFeedback.textContent = '';
+    elements.importDialog.showModal();
+    elements.importText.focus();
+  });
+
+  elements.importSubmit.addEventListener('click', () => {
+    importElements();
+  });
+
+  elements.importFile.addEventListener('change', (event) => {
+    readImportFile(event.target.files[0]);
+  });
+
+  // Files or text dropped anywhere on the dialog replace the pasted text
+  elements.importDialog.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    elements.importDialog.classList.add('import-dialog--dragging');
+  });
+
+  elements.importDialog.addEventListener('dragleave', (event) => {
+    if (elements.importDialog.contains(event.relatedTarget)) return;
+    elements.importDialog.classList.remove('import-dialog--dragging');
+  });
+
+  elements.importDialog.addEventListener('drop', (event) => {
+    event.preventDefault();
+    elements.importDialog.classList.remove('import-dialog--dragging');
+    const [file] = event.dataTransfer.files;
+    if (file) {
+      readImportFile(file);
+    } else {
+      elements.importText.value = event.dataTransfer.getData('text/plain');
+    }
+  });
+
+  elements.locationElevation.addEventListener('input', () => {
+    elevationEdited = true;
+  });
+
   // Support Enter key on search field
   elements.locationSearch.addEventListener('keydown', (event) => {
     if (event.key === 'Enter') {
@@ -1137,7 +2666,7 @@ const bindEvents = () => {
         if (lon < -180 || lon > 180) {
           throw new Error('Longitude must be between -180 and 180.');
         }
-        await applyLocation(lat, lon, 'Custom coordinates');
+        await applyLocation(lat, lon, 'Custom coordinates', getTypedHeight(lat, lon));
       }
     } catch (error) {
       elements.locationFeedback.textContent = error.message;
@@ -1157,7 +2686,9 @@ const bindEvents = () => {
   });
 
   elements.centerIss.addEventListener('click', () => {
-    const position = computePosition(state.satrec, new Date());
+    const satrec = getActiveSatrec();
+    if (!satrec) return;
+    const position = computePosition(satrec, clock.getTime());
     if (position) {
       map.flyTo([position.lat, position.lon], 3, {
         duration: 1.5,
@@ -1203,12 +2734,53 @@ const bindEvents = () => {
     });
   }
 
+  elements.horizonTable.addEventListener('input', () => {
+    renderHorizonChart(readHorizonTable());
+  });
+
+  elements.horizonChart.addEventListener('click', (event) => {
+    // Map the click into viewBox units, then onto the sector under it
+    const bounds = elements.horizonChart.getBoundingClientRect();
+    const scale = (HORIZON_CHART_CENTER * 2) / bounds.width;
+    const { azimuth, elevation } = unprojectPolar(
+      (event.clientX - bounds.left) * scale,
+      (event.clientY - bounds.top) * scale,
+      HORIZON_CHART_CENTER,
+      HORIZON_CHART_RADIUS
+    );
+    const inputs = elements.horizonTable.querySelectorAll('input');
+    const sector = Math.round(azimuth / (360 / inputs.length)) % inputs.length;
+    inputs[sector].value = String(Math.round(elevation));
+    renderHorizonChart(readHorizonTable());
+  });
+
+  elements.horizonSave.addEventListener('click', () => {
+    state.horizonMask = normalizeHorizonMask(readHorizonTable());
+    saveHorizonMask(state.observer, state.horizonMask);
+    renderHorizonEditor(state.horizonMask);
+    recalcPasses();
+    elements.locationFeedback.textContent = state.horizonMask
+      ? `Horizon saved for ${state.locationName}.`
+      : `No obstructions saved for ${state.locationName}.`;
+  });
+
+  elements.horizonClear.addEventListener('click', () => {
+    state.horizonMask = null;
+    saveHorizonMask(state.observer, null);
+    renderHorizonEditor(null);
+    recalcPasses();
+    elements.locationFeedback.textContent = `Horizon cleared for ${state.locationName}.`;
+  });
+
   elements.settingUnits.addEventListener('change', (event) => {
     state.settings.units = event.target.value;
     persistSettings();
+    updateLocationInputs();
     updateLoop();
     renderTopPicks();
     renderPasses();
+    renderTransits();
+    renderOrbitalElements();
   });
 
   elements.settingRate.addEventListener('change', (event) => {
@@ -1223,6 +2795,42 @@ const bindEvents = () => {
     updateNextPass();
     renderTopPicks();
     renderPasses();
+    renderTransits();
+    renderOrbitalElements();
+    renderDriftView();
+    renderGroundTracks();
+  });
+
+  elements.settingWindow.addEventListener('change', (event) => {
+    state.settings.windowHours = Number(event.target.value);
+    persistSettings();
+    recalcPasses();
+  });
+
+  elements.settingMinElevation.addEventListener('change', (event) => {
+    state.settings.minElevation = Number(event.target.value);
+    persistSettings();
+    recalcPasses();
+  });
+
+  elements.settingOrbitsBefore.addEventListener('change', (event) => {
+    state.settings.orbitsBefore = Number(event.target.value);
+    persistSettings();
+    lastTrackUpdate = clock.getTime().getTime();
+    refreshGroundTracks();
+  });
+
+  elements.settingOrbitsAfter.addEventListener('change', (event) => {
+    state.settings.orbitsAfter = Number(event.target.value);
+    persistSettings();
+    lastTrackUpdate = clock.getTime().getTime();
+    refreshGroundTracks();
+  });
+
+  elements.settingElementFormat.addEventListener('change', (event) => {
+    state.settings.elementFormat = event.target.value;
+    persistSettings();
+    reloadElementSets();
   });
 
   elements.settingView.addEventListener('change', (event) => {
@@ -1230,6 +2838,53 @@ const bindEvents = () => {
     persistSettings();
     updateViewPreference();
   });
+
+  elements.transitMargin.addEventListener('change', (event) => {
+    state.settings.transitMargin = Number(event.target.value);
+    persistSettings();
+    clearTransits();
+  });
+
+  elements.transitSearch.addEventListener('click', () => {
+    searchTransits();
+  });
+
+  elements.driftPass.addEventListener('change', (event) => {
+    state.driftPassKey = event.target.value;
+    renderDriftView();
+  });
+
+  elements.simScrubber.min = String(-SCRUB_BEHIND_MINUTES);
+  elements.simScrubber.addEventListener('pointerdown', () => {
+    scrubbing = true;
+  });
+  // A click that leaves the value alone fires no change event
+  ['pointerup', 'pointercancel'].forEach((type) => {
+    elements.simScrubber.addEventListener(type, () => {
+      scrubbing = false;
+    });
+  });
+  elements.simScrubber.addEventListener('input', (event) => {
+    clock.setTime(Date.now() + Number(event.target.value) * 60000);
+    leavePassPreview(clock.getTime());
+    updateLoop();
+  });
+  elements.simScrubber.addEventListener('change', () => {
+    scrubbing = false;
+    onClockChange();
+  });
+
+  elements.simRates.forEach((button) => {
+    button.addEventListener('click', () => {
+      clock.setRate(Number(button.dataset.simRate));
+      onClockChange();
+    });
+  });
+
+  elements.simLive.addEventListener('click', () => {
+    clock.goLive();
+    onClockChange();
+  });
 };
 
 let loopId;
@@ -1237,7 +2892,10 @@ const startLoop = () => {
   if (loopId) {
     clearInterval(loopId);
   }
-  loopId = setInterval(updateLoop, state.settings.updateRate);
+  const interval = clock.isLive()
+    ? state.settings.updateRate
+    : Math.min(state.settings.updateRate, SIMULATION_UPDATE_MS);
+  loopId = setInterval(updateLoop, interval);
 };
 
 /**
@@ -1245,13 +2903,15 @@ const startLoop = () => {
  * found — in that case the link wins over the locally saved location.
  */
 const hydrateFromUrl = () => {
-  const { observer, passTime, locationName } = parseShareParams(window.location.search);
+  const { observer, passTime, locationName, noradId } = parseShareParams(window.location.search);
   if (!observer) return false;
   state.observer.lat = observer.lat;
   state.observer.lon = observer.lon;
+  state.observer.height = observer.height ?? 0;
   state.locationName = locationName || 'Shared location';
   state.share.active = true;
   state.share.passTime = passTime;
+  state.share.noradId = noradId;
   return true;
 };
 
@@ -1271,8 +2931,17 @@ const init = async () => {
     elements.issStatus.textContent = 'Initializing...';
     loadSettings();
     const fromShareLink = hydrateFromUrl();
+    // A share link's object wins over the saved one, without replacing it
+    const savedId = normalizeNoradId(state.settings.noradId) ?? DEFAULT_NORAD_ID;
+    state.satellite = findSatellite(
+      state.share.noradId ?? savedId,
+      state.settings.customSatellites
+    );
     initVisualization();
     applySettings();
+    renderSatelliteOptions();
+    renderWatchlist();
+    updateSatelliteLabels();
     updateLocationInputs();
 
     // Defer initial globe sizing to ensure layout is settled
@@ -1289,6 +2958,7 @@ const init = async () => {
           const parsed = JSON.parse(savedLocation);
           state.observer.lat = parsed.lat;
           state.observer.lon = parsed.lon;
+          state.observer.height = Number.isFinite(parsed.height) ? parsed.height : 0;
           state.locationName = parsed.name || 'Custom location';
           map.setView([state.observer.lat, state.observer.lon], 3);
           userMarker.setLatLng([state.observer.lat, state.observer.lon]);
@@ -1311,17 +2981,29 @@ const init = async () => {
         });
     }
     updateLocationDisplay();
+    state.horizonMask = loadHorizonMask(state.observer);
+    renderHorizonEditor(state.horizonMask);
 
     // Fetch TLE data with retry
     let retries = 3;
     while (retries > 0) {
       try {
-        const tle = await fetchTle();
-        state.satrec = getSatrec(tle);
-        recalcPasses();
-        focusSharedPass();
+        const tle = await loadSatellite(state.satellite.noradId);
+        if (state.satellite.custom) {
+          state.satellite = createCustomSatellite(state.satellite.noradId, tle[0]);
+          renderSatelliteOptions();
+          updateSatelliteLabels();
+        }
         startLoop();
         updateLoop();
+        if (await recalcPasses()) {
+          focusSharedPass();
+        }
+        // Merge the rest of the watchlist in once the tracked object is up
+        loadWatchlist().then(({ loaded, failed }) => {
+          reportWatchlistFailures(failed);
+          if (loaded.length) recalcPasses();
+        });
         break;
       } catch (error) {
         retries--;
@@ -1329,7 +3011,7 @@ const init = async () => {
           elements.issStatus.textContent = 'Retrying orbital data fetch...';
           await new Promise((resolve) => setTimeout(resolve, 2000));
         } else {
-          elements.issStatus.textContent = 'Unable to load ISS orbital data. Refresh to try again.';
+          elements.issStatus.textContent = `Unable to load ${state.satellite.shortName} orbital data. Refresh to try again.`;
           elements.locationFeedback.textContent = error.message;
         }
       }
@@ -0,0 +1,118 @@
+// Prediction worker: runs the orbit/pass library off the main thread so the
+// map, globe and countdown keep animating while passes recompute.
+//
+// Messages in:
+//   { type: 'predict', id, watchlist: [{ satellite, tle }], observer, start, options }
+//   { type: 'groundTrack', id, tle, start, minutes, stepSeconds }
+//   { type: 'transits', id, tle, observer, start, options }
+//   { type: 'cancel', id }  (of a predict or transits request)
+// Messages out:
+//   { type: 'progress', id, passes, progress }  (streamed, progress 0..1)
+//   { type: 'done', id }
+//   { type: 'groundTrack', id, points }
+//   { type: 'transits', id, transits }
+//   { type: 'error', id, message }
+import * as satellite from 'satellite.js';
+import { getSatrec, computeGroundTrack } from '../lib/orbit.js';
+import { generatePasses, PASS_WINDOW_HOURS } from '../lib/passes.js';
+import { generateTransits } from '../lib/transits.js';
+
+// The lib modules read this global, as on the main thread
+globalThis.satellite = satellite;
+
+// Post partial results at most this often, yielding so cancels get through
+const STREAM_INTERVAL_MS = 50;
+
+const running = new Set();
+const cancelled = new Set();
+
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const predict = async ({ id, watchlist, observer, start, options = {} }) => {
+  const startDate = new Date(start);
+  const windowMs = (options.windowHours ?? PASS_WINDOW_HOURS) * 3600 * 1000;
+
+  for (let index = 0; index < watchlist.length; index += 1) {
+    const { satellite: sat, tle } = watchlist[index];
+    const satrec = getSatrec(tle);
+    let batch = [];
+    let lastPost = performance.now();
+
+    const post = (fraction) => {
+      self.postMessage({
+        type: 'progress',
+        id,
+        passes: batch,
+        progress: (index + fraction) / watchlist.length
+      });
+      batch = [];
+      lastPost = performance.now();
+    };
+
+    const passOptions = { ...options, standardMagnitude: sat.standardMagnitude };
+    for (const pass of generatePasses(satrec, observer, startDate, passOptions)) {
+      batch.push({ ...pass, satellite: sat });
+      if (performance.now() - lastPost > STREAM_INTERVAL_MS) {
+        post(Math.min((pass.end - startDate) / windowMs, 1));
+        await yieldToEventLoop();
+        if (cancelled.has(id)) return;
+      }
+    }
+    post(1);
+    await yieldToEventLoop();
+    if (cancelled.has(id)) return;
+  }
+
+  self.postMessage({ type: 'done', id });
+};
+
+// Searched pass by pass, yielding between passes so that cancels and
+// ground tracks queued meanwhile are not held up by a long window
+const transits = async ({ id, tle, observer, start, options }) => {
+  const events = [];
+  let lastYield = performance.now();
+  for (const passEvents of generateTransits(getSatrec(tle), observer, new Date(start), options)) {
+    events.push(...passEvents);
+    if (performance.now() - lastYield > STREAM_INTERVAL_MS) {
+      await yieldToEventLoop();
+      if (cancelled.has(id)) return;
+      lastYield = performance.now();
+    }
+  }
+  self.postMessage({ type: 'transits', id, transits: events });
+};
+
+// Requests that run across several turns of the event loop, and can be
+// cancelled in between
+const runCancellable = async (message, run) => {
+  running.add(message.id);
+  try {
+    await run(message);
+  } finally {
+    running.delete(message.id);
+    cancelled.delete(message.id);
+  }
+};
+
+self.addEventListener('message', async (event) => {
+  const message = event.data;
+  try {
+    if (message.type === 'cancel') {
+      if (running.has(message.id)) cancelled.add(message.id);
+    } else if (message.type === 'predict') {
+      await runCancellable(message, predict);
+    } else if (message.type === 'groundTrack') {
+      const points = computeGroundTrack(
+        getSatrec(message.tle),
+        new Date(message.start),
+        message.minutes,
+        message.stepSeconds
+      );
+      self.postMessage({ type: 'groundTrack', id: message.id, points });
+    } else if (message.type === 'transits') {
+      await runCancellable(message, transits);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id: message.id, message: error.message });
+  }
+});
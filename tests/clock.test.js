@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createSimulationClock } from '../src/lib/clock.js';
+
+// A wall clock the test moves by hand
+const createRealTime = (start) => {
+  let time = start;
+  return {
+    read: () => time,
+    advance: (ms) => {
+      time += ms;
+    }
+  };
+};
+
+const START = Date.UTC(2019, 5, 5, 12);
+
+describe('simulation clock', () => {
+  it('follows real time while live', () => {
+    const real = createRealTime(START);
+    const clock = createSimulationClock(real.read);
+    real.advance(5000);
+    assert.equal(clock.isLive(), true);
+    assert.equal(clock.getTime().getTime(), START + 5000);
+  });
+
+  it('runs from a scrubbed moment at the playback rate', () => {
+    const real = createRealTime(START);
+    const clock = createSimulationClock(real.read);
+    clock.setTime(START + 3600000);
+    assert.equal(clock.isLive(), false);
+    real.advance(1000);
+    assert.equal(clock.getTime().getTime(), START + 3601000);
+
+    clock.setRate(60);
+    real.advance(1000);
+    assert.equal(clock.getTime().getTime(), START + 3661000);
+    assert.equal(clock.getRate(), 60);
+  });
+
+  it('leaves live mode when sped up and snaps back on goLive', () => {
+    const real = createRealTime(START);
+    const clock = createSimulationClock(real.read);
+    clock.setRate(600);
+    real.advance(1000);
+    assert.equal(clock.isLive(), false);
+    assert.equal(clock.getTime().getTime(), START + 600000);
+
+    clock.goLive();
+    real.advance(1000);
+    assert.equal(clock.isLive(), true);
+    assert.equal(clock.getRate(), 1);
+    assert.equal(clock.getTime().getTime(), START + 2000);
+  });
+
+  it('rejects rates it does not offer', () => {
+    const clock = createSimulationClock(() => START);
+    assert.throws(() => clock.setRate(5), /Unsupported playback rate/);
+  });
+});
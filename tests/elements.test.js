@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  parseOrbitalElements,
+  parseTleEpoch,
+  getTleAge,
+  describeTleHealth,
+  validateTle,
+  TLE_STALE_DAYS
+} from '../src/lib/elements.js';
+import { computeTleChecksum } from '../src/lib/omm.js';
+import { ISS_TLE } from './fixtures.js';
+
+const assertNear = (actual, expected, tolerance) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+};
+
+describe('orbital elements', () => {
+  it('reads the fixed-column fields of both lines', () => {
+    const elements = parseOrbitalElements(ISS_TLE);
+    assert.equal(elements.noradId, 25544);
+    assert.equal(elements.epoch.toISOString(), '2019-06-05T12:12:58.000Z');
+    assert.equal(elements.inclination, 51.6433);
+    assert.equal(elements.raan, 59.2583);
+    assert.equal(elements.eccentricity, 0.0008217);
+    assert.equal(elements.argumentOfPerigee, 16.4489);
+    assert.equal(elements.meanAnomaly, 347.6017);
+    assert.equal(elements.meanMotion, 15.51174618);
+    assertNear(elements.bstar, 5.9442e-5, 1e-12);
+    assert.equal(elements.revolution, 17344);
+  });
+
+  it('derives the period and orbit height from the mean motion', () => {
+    const elements = parseOrbitalElements(ISS_TLE.slice(1));
+    assertNear(elements.period, 92.833, 0.001);
+    assertNear(elements.semiMajorAxis, 6791.4, 0.1);
+    assertNear(elements.apogee, 418.9, 0.1);
+    assertNear(elements.perigee, 407.7, 0.1);
+  });
+
+  it('reads twentieth-century epochs and negative exponents', () => {
+    const line1 = '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753';
+    assert.equal(parseTleEpoch(line1).toISOString().slice(0, 10), '2000-06-27');
+    assert.equal(parseTleEpoch('1 00005U 58002B   98001.00000000').toISOString(), '1998-01-01T00:00:00.000Z');
+  });
+});
+
+describe('TLE validation', () => {
+  const now = new Date('2019-06-06T00:00:00Z');
+  // Replace columns of a line and fix up its checksum
+  const withColumns = (line, start, text) => {
+    const edited = `${line.slice(0, start)}${text}${line.slice(start + text.length, 68)}`;
+    return `${edited}${computeTleChecksum(edited)}`;
+  };
+
+  it('accepts an intact element set for the requested object', () => {
+    assert.doesNotThrow(() => validateTle(ISS_TLE, 25544, now));
+  });
+
+  it('rejects corrupt, truncated and non-TLE text', () => {
+    const [title, line1, line2] = ISS_TLE;
+    assert.throws(
+      () => validateTle([title, line1.replace('.00003075', '.00003076'), line2], 25544, now),
+      /Line 1 checksum is 2, expected 3; the data is corrupt/
+    );
+    assert.throws(
+      () => validateTle([title, line1, line2.replace('51.6433', '51.6434')], 25544, now),
+      /Line 2 checksum is 2, expected 3/
+    );
+    assert.throws(() => validateTle([title, line1, line2.slice(0, 60)], 25544, now), /60 characters long/);
+    assert.throws(() => validateTle(['<html>', '<head>', '</head>'], 25544, now), /Line 1 .* missing/);
+    assert.throws(() => validateTle([line1, line2], 25544, now), /title line plus two/);
+  });
+
+  it('rejects elements for another object or a corrupt epoch', () => {
+    const [title, line1, line2] = ISS_TLE;
+    assert.throws(() => validateTle(ISS_TLE, 48274, now), /for NORAD 25544, not 48274/);
+    assert.throws(
+      () => validateTle([title, withColumns(line1, 2, '25545'), line2], 25544, now),
+      /disagree on the catalog number \(25545 and 25544\)/
+    );
+    assert.throws(
+      () => validateTle([title, withColumns(line1, 18, '19400'), line2], 25544, now),
+      /epoch "19400.50900463" is unreadable/
+    );
+    assert.throws(() => validateTle(ISS_TLE, 25544, new Date('2019-06-01T00:00:00Z')), /in the future/);
+  });
+});
+
+describe('TLE health', () => {
+  it('ages elements from their epoch', () => {
+    const epoch = parseTleEpoch(ISS_TLE[1]);
+    assertNear(getTleAge(epoch, new Date('2019-06-07T12:12:58Z')), 2, 1e-9);
+  });
+
+  it('flags elements older than the stale limit', () => {
+    assert.equal(describeTleHealth(0.4).status, 'fresh');
+    assert.equal(describeTleHealth(TLE_STALE_DAYS).status, 'aging');
+    const stale = describeTleHealth(TLE_STALE_DAYS + 0.5);
+    assert.equal(stale.status, 'stale');
+    assert.match(stale.message, /more than 3 days old/);
+  });
+});
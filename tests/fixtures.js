@@ -0,0 +1,11 @@
+// Shared test fixtures: ISS elements from 2019-06-05, a Seattle observer,
+// and the start of the window the pass and transit tests search from.
+export const ISS_TLE = [
+  'ISS (ZARYA)',
+  '1 25544U 98067A   19156.50900463  .00003075  00000-0  59442-4 0  9992',
+  '2 25544  51.6433  59.2583 0008217  16.4489 347.6017 15.51174618173442'
+];
+
+export const SEATTLE = { lat: 47.6062, lon: -122.3321, height: 0 };
+
+export const WINDOW_START = new Date('2019-06-05T12:00:00Z');
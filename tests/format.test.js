@@ -3,22 +3,53 @@ import { describe, it } from 'node:test';
 import {
   scorePass,
   estimateBrightness,
-  formatAzimuth
+  formatAzimuth,
+  formatMagnitude,
+  toElevationUnits,
+  fromElevationUnits,
+  wrapDegrees
 } from '../src/lib/format.js';
 
 describe('format helpers', () => {
+  it('wraps angles into [0, 360)', () => {
+    assert.equal(wrapDegrees(-90), 270);
+    assert.equal(wrapDegrees(720), 0);
+    assert.equal(wrapDegrees(359.5), 359.5);
+  });
+
   it('scores higher elevation and darker skies', () => {
     const lowScore = scorePass(20, 200, -2);
     const highScore = scorePass(80, 400, -18);
     assert.ok(highScore > lowScore);
   });
 
+  it('scores brighter predicted magnitudes higher than elevation alone', () => {
+    const lowButBright = scorePass(20, 300, -10, -3.5);
+    const highButFaint = scorePass(80, 300, -10, 2.5);
+    assert.ok(lowButBright > highButFaint);
+    assert.equal(scorePass(45, 300, -10, null), scorePass(45, 300, -10));
+  });
+
   it('labels brightness bands', () => {
     assert.equal(estimateBrightness(80, -18), 'Very bright');
     assert.equal(estimateBrightness(40, -2), 'Dim');
+    assert.equal(estimateBrightness(10, -2, -2.5), 'Very bright');
+    assert.equal(estimateBrightness(80, -18, 2.5), 'Dim');
+  });
+
+  it('formats magnitudes with an explicit sign', () => {
+    assert.equal(formatMagnitude(-2.34), 'mag −2.3');
+    assert.equal(formatMagnitude(1.05), 'mag +1.1');
   });
 
   it('formats azimuth', () => {
     assert.ok(formatAzimuth(90).includes('E'));
   });
+
+  it('converts observer elevation to and from input units', () => {
+    assert.equal(toElevationUnits(1.609, 'metric'), 1609);
+    assert.equal(toElevationUnits(1.609, 'imperial'), 5279);
+    assert.ok(Math.abs(fromElevationUnits(5280, 'imperial') - 1.6093) < 1e-4);
+    assert.equal(fromElevationUnits(1609, 'metric'), 1.609);
+  });
 });
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  computeRiseDrift,
+  describeRiseShift,
+  formatShift,
+  loadElementHistory,
+  mergeElementHistory,
+  recordElementSet
+} from '../src/lib/history.js';
+
+// Line 1 with only the epoch filled in, which is all the history reads
+const elementSet = (epochField, source = 'CelesTrak') => ({
+  tle: ['ISS (ZARYA)', `1 25544U 98067A   ${epochField}`, '2 25544'],
+  source,
+  fetchedAt: new Date('2019-06-06T00:00:00Z')
+});
+
+describe('element history', () => {
+  it('keeps one entry per epoch, oldest first', () => {
+    let history = mergeElementHistory([], elementSet('19156.50000000'));
+    history = mergeElementHistory(history, elementSet('19155.50000000', 'Mirror'));
+    const unchanged = mergeElementHistory(history, elementSet('19156.50000000', 'Bundled'));
+    assert.equal(unchanged, history);
+    assert.deepEqual(
+      history.map((entry) => [entry.epoch, entry.source]),
+      [
+        ['2019-06-04T12:00:00.000Z', 'Mirror'],
+        ['2019-06-05T12:00:00.000Z', 'CelesTrak']
+      ]
+    );
+    assert.equal(history[0].fetchedAt, '2019-06-06T00:00:00.000Z');
+  });
+
+  it('drops the oldest epochs past the limit', () => {
+    let history = [];
+    for (const day of [150, 153, 151, 152]) {
+      history = mergeElementHistory(history, elementSet(`19${day}.00000000`), 3);
+    }
+    assert.deepEqual(
+      history.map((entry) => entry.epoch.slice(0, 10)),
+      ['2019-05-31', '2019-06-01', '2019-06-02']
+    );
+  });
+
+  it('gets by without IndexedDB', async () => {
+    assert.deepEqual(await loadElementHistory(25544), []);
+    const history = await recordElementSet(25544, elementSet('19156.50000000'));
+    assert.equal(history.length, 1);
+  });
+
+  describe('in IndexedDB', () => {
+    before(() => {
+      globalThis.indexedDB = new IDBFactory();
+    });
+
+    after(() => {
+      delete globalThis.indexedDB;
+    });
+
+    it('keeps every set when loads of one object overlap', async () => {
+      await Promise.all([
+        recordElementSet(25544, elementSet('19155.50000000')),
+        recordElementSet(25544, elementSet('19156.50000000')),
+        recordElementSet(20580, elementSet('19156.50000000'))
+      ]);
+      const history = await loadElementHistory(25544);
+      assert.deepEqual(
+        history.map((entry) => entry.epoch.slice(0, 10)),
+        ['2019-06-04', '2019-06-05']
+      );
+      assert.equal((await loadElementHistory(20580)).length, 1);
+      const unchanged = await recordElementSet(25544, elementSet('19156.50000000', 'Mirror'));
+      assert.equal(unchanged.length, 2);
+      assert.equal(unchanged[1].source, 'CelesTrak');
+    });
+  });
+});
+
+describe('rise drift', () => {
+  it('re-predicts the pass with every set, newest first', () => {
+    const riseTime = new Date('2019-06-06T04:00:00Z');
+    const history = [
+      mergeElementHistory([], elementSet('19150.00000000'))[0],
+      mergeElementHistory([], elementSet('19153.00000000'))[0],
+      mergeElementHistory([], elementSet('19156.00000000'))[0]
+    ];
+    const shifts = { 150: 95, 153: null, 156: 0 };
+    const predict = (tle) => {
+      const shift = shifts[tle[1].slice(20, 23)];
+      return shift === null ? null : { start: new Date(riseTime.getTime() + shift * 1000) };
+    };
+    const drift = computeRiseDrift(history, riseTime, predict);
+    assert.deepEqual(
+      drift.map((entry) => [entry.epoch.toISOString().slice(0, 10), entry.shiftSeconds]),
+      [
+        ['2019-06-05', 0],
+        ['2019-06-02', null],
+        ['2019-05-30', 95]
+      ]
+    );
+    assert.equal(drift[1].start, null);
+  });
+
+  it('describes the shift', () => {
+    assert.equal(describeRiseShift(0.4), 'Same time');
+    assert.equal(describeRiseShift(42.2), '42 s later');
+    assert.equal(describeRiseShift(-65), '1 min 5 s earlier');
+    assert.equal(formatShift(-65), '1 min 5 s');
+  });
+});
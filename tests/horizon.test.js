@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  getMaskElevation,
+  normalizeHorizonMask,
+  getHorizonKey,
+  projectPolar,
+  unprojectPolar
+} from '../src/lib/horizon.js';
+
+describe('getMaskElevation', () => {
+  const mask = [20, 0, 0, 0, 0, 0, 30, 10];
+
+  it('returns the elevation of the sector centered nearest the azimuth', () => {
+    assert.equal(getMaskElevation(mask, 0), 20);
+    assert.equal(getMaskElevation(mask, 270), 30);
+    assert.equal(getMaskElevation(mask, 290), 30);
+    assert.equal(getMaskElevation(mask, 300), 10);
+  });
+
+  it('wraps around north', () => {
+    assert.equal(getMaskElevation(mask, 350), 20);
+    assert.equal(getMaskElevation(mask, -10), 20);
+    assert.equal(getMaskElevation(mask, 360), 20);
+  });
+
+  it('treats a missing mask as a flat horizon', () => {
+    assert.equal(getMaskElevation(null, 123), 0);
+    assert.equal(getMaskElevation([], 123), 0);
+  });
+});
+
+describe('normalizeHorizonMask', () => {
+  it('clamps entries to 0–90 degrees', () => {
+    assert.deepEqual(normalizeHorizonMask(['15', -5, 120, 0]), [15, 0, 90, 0]);
+  });
+
+  it('rejects malformed masks and masks without obstructions', () => {
+    assert.equal(normalizeHorizonMask(null), null);
+    assert.equal(normalizeHorizonMask('20,20'), null);
+    assert.equal(normalizeHorizonMask([10, 'trees']), null);
+    assert.equal(normalizeHorizonMask([0, 0, 0, 0]), null);
+  });
+});
+
+describe('getHorizonKey', () => {
+  it('matches nearby positions of the same location', () => {
+    assert.equal(
+      getHorizonKey({ lat: 47.60621, lon: -122.33209 }),
+      getHorizonKey({ lat: 47.60618, lon: -122.33214 })
+    );
+    assert.notEqual(
+      getHorizonKey({ lat: 47.6062, lon: -122.3321 }),
+      getHorizonKey({ lat: 47.6162, lon: -122.3321 })
+    );
+  });
+});
+
+describe('polar projection', () => {
+  it('places north up, east right and the zenith at the center', () => {
+    assert.deepEqual(projectPolar(0, 0, 80, 70), { x: 80, y: 10 });
+    const east = projectPolar(90, 0, 80, 70);
+    assert.ok(Math.abs(east.x - 150) < 1e-9 && Math.abs(east.y - 80) < 1e-9);
+    assert.deepEqual(projectPolar(123, 90, 80, 70), { x: 80, y: 80 });
+  });
+
+  it('round-trips through unprojectPolar', () => {
+    const { x, y } = projectPolar(225, 30, 80, 70);
+    const back = unprojectPolar(x, y, 80, 70);
+    assert.ok(Math.abs(back.azimuth - 225) < 1e-9);
+    assert.ok(Math.abs(back.elevation - 30) < 1e-9);
+  });
+});
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getLunarPosition, getMoonEci } from '../src/lib/moon.js';
+
+const close = (actual, expected, tolerance, label) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${label}: ${actual} vs ${expected}`
+  );
+
+describe('lunar ephemeris', () => {
+  // Meeus example 47.a is for 1992 April 12, 0h TT; UT was 59 s earlier
+  const date = new Date(Date.UTC(1992, 3, 12) - 59000);
+
+  it('matches Meeus example 47.a', () => {
+    const moon = getLunarPosition(date);
+    close(moon.longitude, 133.167265, 0.005, 'apparent longitude');
+    close(moon.latitude, -3.229126, 0.005, 'latitude');
+    close(moon.rightAscension, 134.688470, 0.005, 'right ascension');
+    close(moon.declination, 13.768368, 0.005, 'declination');
+    close(moon.distanceKm, 368409.7, 50, 'distance');
+  });
+
+  it('places the Moon in ECI at its distance', () => {
+    const { x, y, z } = getMoonEci(date);
+    close(Math.hypot(x, y, z), getLunarPosition(date).distanceKm, 1e-6, 'distance');
+  });
+});
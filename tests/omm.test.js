@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  decodeCatalogNumber,
+  detectElementFormat,
+  encodeCatalogNumber,
+  ommToTle,
+  parseGpCsv,
+  parseOmmJson,
+  parseOmmKvn,
+  parseOmmText,
+  parseOmmXml
+} from '../src/lib/omm.js';
+import { ISS_TLE } from './fixtures.js';
+
+// The same element set as CelesTrak serves it in each OMM encoding
+const ISS_OMM = {
+  OBJECT_NAME: 'ISS (ZARYA)',
+  OBJECT_ID: '1998-067A',
+  EPOCH: '2019-06-05T12:12:58.000032',
+  MEAN_MOTION: 15.51174618,
+  ECCENTRICITY: 0.0008217,
+  INCLINATION: 51.6433,
+  RA_OF_ASC_NODE: 59.2583,
+  ARG_OF_PERICENTER: 16.4489,
+  MEAN_ANOMALY: 347.6017,
+  EPHEMERIS_TYPE: 0,
+  CLASSIFICATION_TYPE: 'U',
+  NORAD_CAT_ID: 25544,
+  ELEMENT_SET_NO: 999,
+  REV_AT_EPOCH: 17344,
+  BSTAR: 5.9442e-5,
+  MEAN_MOTION_DOT: 3.075e-5,
+  MEAN_MOTION_DDOT: 0
+};
+
+const HST_OMM = {
+  ...ISS_OMM,
+  OBJECT_NAME: 'HST',
+  OBJECT_ID: '1990-037B',
+  NORAD_CAT_ID: 20580
+};
+
+const ISS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<ndm xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<omm id="CCSDS_OMM_VERS" version="2.0">
+<header><CREATION_DATE/><ORIGINATOR/></header>
+<body><segment>
+<metadata><OBJECT_NAME>ISS (ZARYA)</OBJECT_NAME><OBJECT_ID>1998-067A</OBJECT_ID><CENTER_NAME>EARTH</CENTER_NAME><REF_FRAME>TEME</REF_FRAME><TIME_SYSTEM>UTC</TIME_SYSTEM><MEAN_ELEMENT_THEORY>SGP4</MEAN_ELEMENT_THEORY></metadata>
+<data><meanElements><EPOCH>2019-06-05T12:12:58.000032</EPOCH><MEAN_MOTION>15.51174618</MEAN_MOTION><ECCENTRICITY>.0008217</ECCENTRICITY><INCLINATION>51.6433</INCLINATION><RA_OF_ASC_NODE>59.2583</RA_OF_ASC_NODE><ARG_OF_PERICENTER>16.4489</ARG_OF_PERICENTER><MEAN_ANOMALY>347.6017</MEAN_ANOMALY></meanElements>
+<tleParameters><EPHEMERIS_TYPE>0</EPHEMERIS_TYPE><CLASSIFICATION_TYPE>U</CLASSIFICATION_TYPE><NORAD_CAT_ID>25544</NORAD_CAT_ID><ELEMENT_SET_NO>999</ELEMENT_SET_NO><REV_AT_EPOCH>17344</REV_AT_EPOCH><BSTAR>.59442E-4</BSTAR><MEAN_MOTION_DOT>.3075E-4</MEAN_MOTION_DOT><MEAN_MOTION_DDOT>0</MEAN_MOTION_DDOT></tleParameters></data>
+</segment></body>
+</omm>
+</ndm>`;
+
+const ISS_KVN = `CCSDS_OMM_VERS = 2.0
+COMMENT GENERATED VIA SPACE-TRACK.ORG API
+CREATION_DATE = 2019-06-05T16:00:00
+ORIGINATOR = 18 SPCS
+OBJECT_NAME = ISS (ZARYA)
+OBJECT_ID = 1998-067A
+CENTER_NAME = EARTH
+REF_FRAME = TEME
+TIME_SYSTEM = UTC
+MEAN_ELEMENT_THEORY = SGP4
+EPOCH = 2019-06-05T12:12:58.000032
+MEAN_MOTION = 15.51174618 [rev/day]
+ECCENTRICITY = .0008217
+INCLINATION = 51.6433 [deg]
+RA_OF_ASC_NODE = 59.2583 [deg]
+ARG_OF_PERICENTER = 16.4489 [deg]
+MEAN_ANOMALY = 347.6017 [deg]
+EPHEMERIS_TYPE = 0
+CLASSIFICATION_TYPE = U
+NORAD_CAT_ID = 25544
+ELEMENT_SET_NO = 999
+REV_AT_EPOCH = 17344
+BSTAR = .59442E-4 [1/ER]
+MEAN_MOTION_DOT = .3075E-4 [rev/day**2]
+MEAN_MOTION_DDOT = 0 [rev/day**3]
+`;
+
+const CSV_HEADER =
+  'OBJECT_NAME,OBJECT_ID,EPOCH,MEAN_MOTION,ECCENTRICITY,INCLINATION,RA_OF_ASC_NODE,ARG_OF_PERICENTER,MEAN_ANOMALY,EPHEMERIS_TYPE,CLASSIFICATION_TYPE,NORAD_CAT_ID,ELEMENT_SET_NO,REV_AT_EPOCH,BSTAR,MEAN_MOTION_DOT,MEAN_MOTION_DDOT';
+const CSV = [
+  CSV_HEADER,
+  'HST,1990-037B,2019-06-05T12:12:58.000032,15.51174618,.0008217,51.6433,59.2583,16.4489,347.6017,0,U,20580,999,17344,.59442E-4,.3075E-4,0',
+  '"ISS (ZARYA), ""ALPHA""",1998-067A,2019-06-05T12:12:58.000032,15.51174618,.0008217,51.6433,59.2583,16.4489,347.6017,0,U,25544,999,17344,.59442E-4,.3075E-4,0'
+].join('\r\n');
+
+describe('OMM to TLE', () => {
+  it('writes the fixed columns and checksums of both lines', () => {
+    assert.deepEqual(ommToTle(ISS_OMM), ISS_TLE);
+  });
+
+  it('encodes catalog numbers past 99999 as Alpha-5', () => {
+    assert.equal(encodeCatalogNumber(25544), '25544');
+    assert.equal(encodeCatalogNumber(100000), 'A0000');
+    assert.equal(encodeCatalogNumber(182345), 'J2345');
+    assert.equal(encodeCatalogNumber(339999), 'Z9999');
+    assert.throws(() => encodeCatalogNumber(340000), /does not fit/);
+    assert.equal(decodeCatalogNumber('J2345'), 182345);
+    assert.equal(decodeCatalogNumber('05544'), 5544);
+    assert.ok(Number.isNaN(decodeCatalogNumber('I2345')));
+
+    const [, line1, line2] = ommToTle({ ...ISS_OMM, NORAD_CAT_ID: 182345 });
+    assert.equal(line1.slice(2, 7), 'J2345');
+    assert.equal(line2.slice(2, 7), 'J2345');
+  });
+
+  it('writes exponents too small for the field as zero', () => {
+    const [, line1] = ommToTle({ ...ISS_OMM, MEAN_MOTION_DDOT: 1.2e-11, BSTAR: -9.99999e-10 });
+    assert.equal(line1.length, 69);
+    assert.equal(line1.slice(44, 61), ' 00000-0 -10000-8');
+    assert.throws(() => ommToTle({ ...ISS_OMM, BSTAR: 2e12 }), /BSTAR of 2000000000000 does not fit/);
+  });
+
+  it('names untitled objects and rejects incomplete records', () => {
+    assert.equal(ommToTle({ ...ISS_OMM, OBJECT_NAME: '' })[0], 'NORAD 25544');
+    assert.throws(() => ommToTle({ ...ISS_OMM, MEAN_MOTION: undefined }), /missing MEAN_MOTION/);
+    assert.throws(() => ommToTle({ ...ISS_OMM, INCLINATION: 'n/a' }), /unreadable INCLINATION "n\/a"/);
+    assert.throws(() => ommToTle({ ...ISS_OMM, EPOCH: 'yesterday' }), /Unreadable epoch/);
+    assert.throws(() => ommToTle({ ...ISS_OMM, ECCENTRICITY: 1.2 }), /eccentricity of 1.2/);
+  });
+});
+
+describe('OMM encodings', () => {
+  it('reads JSON arrays and single objects', () => {
+    assert.equal(parseOmmJson(JSON.stringify([HST_OMM, ISS_OMM])).length, 2);
+    assert.deepEqual(parseOmmText(JSON.stringify([HST_OMM, ISS_OMM]), 25544, 'json'), ISS_TLE);
+    assert.deepEqual(parseOmmText(JSON.stringify(ISS_OMM), 25544, 'json'), ISS_TLE);
+    assert.equal(parseOmmText(JSON.stringify([HST_OMM]), 25544, 'json'), null);
+  });
+
+  it('reads XML', () => {
+    const [record] = parseOmmXml(ISS_XML);
+    assert.equal(record.OBJECT_NAME, 'ISS (ZARYA)');
+    assert.equal(record.BSTAR, '.59442E-4');
+    assert.deepEqual(parseOmmText(ISS_XML, 25544, 'xml'), ISS_TLE);
+    assert.equal(
+      parseOmmXml(ISS_XML.replace('ISS (ZARYA)', 'A &amp; B'))[0].OBJECT_NAME,
+      'A & B'
+    );
+  });
+
+  it('reads KVN, dropping units and comments', () => {
+    const records = parseOmmKvn(`${ISS_KVN}\n${ISS_KVN.replace('25544', '20580')}`);
+    assert.equal(records.length, 2);
+    assert.equal(records[0].MEAN_MOTION, '15.51174618');
+    assert.equal(records[0].COMMENT, undefined);
+    assert.deepEqual(parseOmmText(ISS_KVN, 25544, 'kvn'), ISS_TLE);
+  });
+
+  it('reads CSV with quoted fields', () => {
+    const records = parseGpCsv(CSV);
+    assert.equal(records.length, 2);
+    assert.equal(records[1].OBJECT_NAME, 'ISS (ZARYA), "ALPHA"');
+    assert.deepEqual(parseOmmText(CSV, 25544, 'csv').slice(1), ISS_TLE.slice(1));
+  });
+
+  it('detects the format of pasted data', () => {
+    assert.equal(detectElementFormat(ISS_TLE.join('\n')), 'tle');
+    assert.equal(detectElementFormat(ISS_TLE.slice(1).join('\r\n')), 'tle');
+    assert.equal(detectElementFormat(`  ${JSON.stringify([ISS_OMM])}`), 'json');
+    assert.equal(detectElementFormat(ISS_XML), 'xml');
+    assert.equal(detectElementFormat(`COMMENT exported\n${ISS_KVN}`), 'kvn');
+    assert.equal(detectElementFormat(CSV), 'csv');
+    assert.equal(detectElementFormat('ISS is up tonight'), null);
+  });
+
+  it('rejects malformed data', () => {
+    assert.throws(() => parseOmmText('[{"NORAD_CAT_ID": 25544,', 25544, 'json'), /not valid JSON/);
+    assert.throws(() => parseOmmText('<!doctype html><html></html>', 25544, 'xml'), /not OMM XML/);
+    assert.throws(() => parseOmmText(ISS_TLE.join('\n'), 25544, 'kvn'), /not OMM KVN/);
+    assert.throws(() => parseOmmText('name,epoch\nISS,2019', 25544, 'csv'), /NORAD_CAT_ID column/);
+    assert.throws(
+      () => parseOmmText(CSV.replace(',15.51174618,.0008217,51.6433,59.2583,16.4489,347.6017,0,U,25544', ',,.0008217,51.6433,59.2583,16.4489,347.6017,0,U,25544'), 25544, 'csv'),
+      /missing MEAN_MOTION/
+    );
+    assert.throws(() => parseOmmText('{}', 25544, 'yaml'), /Unknown element format "yaml"/);
+  });
+});
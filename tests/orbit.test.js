@@ -0,0 +1,411 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import * as satellite from 'satellite.js';
+import { ommToTle } from '../src/lib/omm.js';
+import { SATELLITE_CATALOG } from '../src/lib/satellites.js';
+import {
+  checkElementSet,
+  computeFootprint,
+  computeTrackTicks,
+  DEFAULT_TLE_SOURCES,
+  fetchElementSet,
+  importElementSets,
+  parseElementText,
+  parseTleText,
+  resolveTleSources,
+  getFootprintRadius,
+  getOrbitSpans,
+  getSunlitFraction,
+  isSatSunlit
+} from '../src/lib/orbit.js';
+import { ISS_TLE, WINDOW_START } from './fixtures.js';
+
+// March equinox 2019: the Sun lies along the +x (vernal equinox) axis
+const equinox = new Date('2019-03-20T21:58:00Z');
+
+describe('conical shadow model', () => {
+  before(() => {
+    globalThis.satellite = satellite;
+  });
+
+  it('lights the day side fully and darkens the umbra', () => {
+    assert.equal(getSunlitFraction({ x: 7000, y: 0, z: 0 }, equinox), 1);
+    assert.equal(getSunlitFraction({ x: -7000, y: 0, z: 0 }, equinox), 0);
+    assert.equal(isSatSunlit({ x: 0, y: 7000, z: 0 }, equinox), true);
+    assert.equal(isSatSunlit({ x: -7000, y: 0, z: 0 }, equinox), false);
+  });
+
+  it('dims gradually across the penumbra', () => {
+    // Sliding out of the shadow behind the night side
+    const fractions = [6340, 6370, 6386, 6400, 6430].map((y) =>
+      getSunlitFraction({ x: -7000, y, z: 0 }, equinox)
+    );
+    for (let index = 1; index < fractions.length; index += 1) {
+      assert.ok(fractions[index] >= fractions[index - 1]);
+    }
+    assert.ok(fractions[0] < 0.05);
+    assert.ok(fractions[2] > 0.3 && fractions[2] < 0.7);
+    assert.ok(fractions.at(-1) > 0.95);
+  });
+});
+
+describe('visibility footprint', () => {
+  // Great-circle angle between two points, degrees
+  const centralAngle = (a, b) => {
+    const rad = Math.PI / 180;
+    const cosine = Math.sin(a.lat * rad) * Math.sin(b.lat * rad)
+      + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.cos((b.lon - a.lon) * rad);
+    return Math.acos(Math.min(1, cosine)) / rad;
+  };
+
+  it('reaches about 20° from a station at 420 km, less for a raised mask', () => {
+    assert.ok(Math.abs(getFootprintRadius(420) - 20.256) < 0.001);
+    const masked = getFootprintRadius(420, 10);
+    assert.ok(Math.abs(masked - 12.497) < 0.001);
+    // The object stands 10° up from the edge of the masked footprint
+    const rad = Math.PI / 180;
+    const ratio = 6371 / (6371 + 420);
+    const elevation = Math.atan2(Math.cos(masked * rad) - ratio, Math.sin(masked * rad)) / rad;
+    assert.ok(Math.abs(elevation - 10) < 1e-9);
+  });
+
+  it('draws a closed ring at the footprint radius across the antimeridian', () => {
+    const center = { lat: 40, lon: 175 };
+    const ring = computeFootprint(center, 420, 0, 72);
+    assert.equal(ring.length, 73);
+    assert.deepEqual(ring.at(-1), ring[0]);
+    ring.forEach((point) => {
+      assert.ok(Math.abs(centralAngle(center, point) - getFootprintRadius(420)) < 1e-6);
+      assert.ok(point.lon >= -180 && point.lon < 180);
+    });
+    assert.ok(ring.some((point) => point.lon < 0));
+  });
+});
+
+describe('ground track orbits', () => {
+  const now = WINDOW_START;
+
+  it('spans whole orbits behind and ahead of now', () => {
+    const spans = getOrbitSpans(now, 92.5, 2, 1);
+    assert.deepEqual(
+      spans.map(({ direction, orbit }) => `${direction}${orbit}`),
+      ['past1', 'past2', 'future1']
+    );
+    // The nearest past orbit ends now, the next one ends where it starts
+    assert.equal(spans[0].start.getTime() + 92.5 * 60000, now.getTime());
+    assert.equal(spans[1].start.getTime() + 92.5 * 60000, spans[0].start.getTime());
+    assert.equal(spans[2].start.getTime(), now.getTime());
+    assert.deepEqual(getOrbitSpans(now, 92.5, 0, 0), []);
+  });
+
+  it('ticks whole intervals of clock time, across the antimeridian', () => {
+    const at = (minutes, lat, lon) => ({
+      lat,
+      lon,
+      date: new Date(Date.UTC(2019, 5, 5, 12, minutes, 30))
+    });
+    const track = [at(0, 0, 170), at(10, 10, -170), at(20, 20, -150)];
+    const ticks = computeTrackTicks(track, 5);
+    assert.deepEqual(
+      ticks.map((tick) => tick.date.toISOString().slice(11, 16)),
+      ['12:05', '12:10', '12:15', '12:20']
+    );
+    // 12:10 is 19/20 of the way from 170°E to 170°W
+    assert.ok(Math.abs(ticks[1].lat - 9.5) < 1e-9);
+    assert.ok(Math.abs(ticks[1].lon - -171) < 1e-9);
+    assert.deepEqual(computeTrackTicks(track.slice(0, 1), 5), []);
+  });
+});
+
+describe('element sources', () => {
+  const [, LINE1, LINE2] = ISS_TLE;
+  const CATALOG = [
+    '# comment',
+    'HST',
+    '1 20580U 90037B   19156.12345678  .00000500  00000-0  18000-4 0  9990',
+    '2 20580  28.4690 100.0000 0002500 300.0000  60.0000 15.09000000 10009',
+    '',
+    'ISS (ZARYA)',
+    LINE1,
+    LINE2
+  ].join('\r\n');
+
+  it('finds one object in single or multi-object TLE text', () => {
+    assert.deepEqual(parseTleText(CATALOG, 25544), ISS_TLE);
+    assert.deepEqual(parseTleText(`${LINE1}\n${LINE2}\n`, 25544), ['NORAD 25544', LINE1, LINE2]);
+    assert.equal(parseTleText(CATALOG, 48274), null);
+    assert.equal(parseTleText('<!doctype html><html></html>', 25544), null);
+  });
+
+  it('lets the runtime config replace the source list', () => {
+    assert.equal(resolveTleSources(undefined).length, DEFAULT_TLE_SOURCES.length);
+    assert.equal(resolveTleSources({ tleSources: [] })[0].name, 'CelesTrak');
+    assert.deepEqual(
+      resolveTleSources({
+        tleSources: [{ url: ' http://localhost:8080/{noradId}.txt ' }, { name: 'No URL' }]
+      }),
+      [{ name: 'Source 1', url: 'http://localhost:8080/{noradId}.txt', fallback: false, format: 'tle' }]
+    );
+  });
+
+  it('fails over to the next source and records the one used', async () => {
+    const requested = [];
+    const responses = {
+      'https://primary.test/25544': { ok: false, status: 503, text: '' },
+      // A single-page-app fallback answering for a missing mirror file
+      'https://mirror.test/25544.txt': { ok: true, status: 200, text: '<!doctype html>' },
+      'https://bundle.test/all.txt': { ok: true, status: 200, text: CATALOG }
+    };
+    const fakeFetch = async (url) => {
+      requested.push(url);
+      const { ok, status, text } = responses[url];
+      return { ok, status, text: async () => text };
+    };
+    const result = await fetchElementSet(25544, {
+      sources: [
+        { name: 'Primary', url: 'https://primary.test/{noradId}' },
+        { name: 'Mirror', url: 'https://mirror.test/{noradId}.txt' },
+        { name: 'Bundle', url: 'https://bundle.test/all.txt' }
+      ],
+      fetch: fakeFetch
+    });
+    assert.deepEqual(requested, Object.keys(responses));
+    assert.equal(result.source, 'Bundle');
+    assert.equal(result.stale, false);
+    assert.deepEqual(result.tle, ISS_TLE);
+  });
+
+  it('never caches fallback elements and prefers the last good set to them', async () => {
+    const store = new Map();
+    globalThis.localStorage = {
+      getItem: (key) => store.get(key) ?? null,
+      setItem: (key, value) => store.set(key, value)
+    };
+    const requested = [];
+    let bundle = CATALOG;
+    const fakeFetch = async (url) => {
+      requested.push(url);
+      return url.includes('bundle')
+        ? { ok: true, status: 200, text: async () => bundle }
+        : { ok: false, status: 503, text: async () => '' };
+    };
+    const sources = [
+      { name: 'Primary', url: 'https://primary.test/{noradId}' },
+      { name: 'Bundled', url: 'https://bundle.test/all.txt', fallback: true }
+    ];
+    try {
+      const result = await fetchElementSet(25544, { sources, fetch: fakeFetch });
+      assert.equal(result.source, 'Bundled');
+      assert.equal(store.size, 0);
+      // The 2019 set is far past TLE_STALE_DAYS
+      assert.equal(result.stale, true);
+      assert.deepEqual(result.failures, ['Primary answered 503.']);
+
+      bundle = ommToTle({
+        OBJECT_NAME: 'ISS (ZARYA)',
+        EPOCH: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        MEAN_MOTION: 15.5,
+        ECCENTRICITY: 0.0005,
+        INCLINATION: 51.64,
+        RA_OF_ASC_NODE: 59.2,
+        ARG_OF_PERICENTER: 16.4,
+        MEAN_ANOMALY: 347.6,
+        NORAD_CAT_ID: 25544,
+        BSTAR: 5.9e-5,
+        MEAN_MOTION_DOT: 3e-5
+      }).join('\n');
+      const current = await fetchElementSet(25544, { sources, fetch: fakeFetch });
+      assert.equal(current.stale, false);
+      assert.deepEqual(current.failures, []);
+
+      store.set('tle-cache-v1-25544', JSON.stringify({
+        tle: ISS_TLE,
+        timestamp: Date.now() - 24 * 60 * 60 * 1000,
+        source: 'Primary'
+      }));
+      requested.length = 0;
+      const kept = await fetchElementSet(25544, { sources, fetch: fakeFetch });
+      assert.deepEqual(requested, ['https://primary.test/25544']);
+      assert.equal(kept.source, 'Primary');
+      assert.equal(kept.stale, true);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+
+  it('ships fallback elements for every catalog object', {
+    todo: 'regenerate public/tle/fallback.txt with `npm run tle:fallback`'
+  }, async () => {
+    const text = await readFile(new URL('../public/tle/fallback.txt', import.meta.url), 'utf8');
+    const missing = SATELLITE_CATALOG.filter(({ noradId }) => {
+      const tle = parseTleText(text, noradId);
+      if (tle) checkElementSet(tle, noradId);
+      return !tle;
+    });
+    assert.deepEqual(missing.map(({ name }) => name), []);
+  });
+
+  it('requests the chosen format where a source offers a choice', async () => {
+    const requested = [];
+    const fakeFetch = async (url) => {
+      requested.push(url);
+      const text = url.includes('FORMAT=JSON') ? '[{"NORAD_CAT_ID": 25544' : CATALOG;
+      return { ok: true, status: 200, text: async () => text };
+    };
+    const result = await fetchElementSet(25544, {
+      sources: [
+        { name: 'Primary', url: 'https://primary.test/gp?CATNR={noradId}&FORMAT={format}' },
+        { name: 'Bundle', url: 'https://bundle.test/all.txt', format: 'tle' }
+      ],
+      format: 'json',
+      fetch: fakeFetch
+    });
+    assert.deepEqual(requested, [
+      'https://primary.test/gp?CATNR=25544&FORMAT=JSON',
+      'https://bundle.test/all.txt'
+    ]);
+    // The truncated JSON counts as a failure, so the TLE bundle answers
+    assert.equal(result.source, 'Bundle');
+    assert.equal(result.format, 'tle');
+    assert.equal(parseElementText(CATALOG, 20580)[0], 'HST');
+  });
+
+  it('asks the sources past a fresh cache entry on refresh', async () => {
+    const store = new Map([
+      ['tle-cache-v1-25544', JSON.stringify({
+        tle: ISS_TLE,
+        timestamp: Date.now(),
+        source: 'Primary',
+        format: 'tle'
+      })]
+    ]);
+    globalThis.localStorage = {
+      getItem: (key) => store.get(key) ?? null,
+      setItem: (key, value) => store.set(key, value)
+    };
+    const requested = [];
+    const fakeFetch = async (url) => {
+      requested.push(url);
+      return { ok: true, status: 200, text: async () => CATALOG };
+    };
+    const sources = [{ name: 'Primary', url: 'https://primary.test/gp?CATNR={noradId}&FORMAT={format}' }];
+    try {
+      await fetchElementSet(25544, { sources, format: 'csv', fetch: fakeFetch });
+      assert.deepEqual(requested, []);
+      const result = await fetchElementSet(25544, { sources, format: 'tle', refresh: true, fetch: fakeFetch });
+      assert.deepEqual(requested, ['https://primary.test/gp?CATNR=25544&FORMAT=TLE']);
+      assert.equal(result.stale, false);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+
+  it('skips sources with broken elements and falls back to the last good set', async () => {
+    const corrupt = `ISS (ZARYA)\n${LINE1}\n${LINE2.slice(0, 60)}\n`;
+    const store = new Map([
+      ['tle-cache-v1-25544', JSON.stringify({
+        tle: ISS_TLE,
+        timestamp: Date.now() - 24 * 60 * 60 * 1000,
+        source: 'Mirror'
+      })]
+    ]);
+    globalThis.localStorage = {
+      getItem: (key) => store.get(key) ?? null,
+      setItem: (key, value) => store.set(key, value)
+    };
+    try {
+      const result = await fetchElementSet(25544, {
+        sources: [{ name: 'Primary', url: 'https://primary.test/{noradId}' }],
+        fetch: async () => ({ ok: true, status: 200, text: async () => corrupt })
+      });
+      assert.equal(result.stale, true);
+      assert.equal(result.source, 'Mirror');
+      assert.deepEqual(result.failures, [
+        'Primary: Line 2 is 60 characters long, expected 69; the data may be truncated.'
+      ]);
+      // The broken response never replaced the good cache entry
+      assert.equal(JSON.parse(store.get('tle-cache-v1-25544')).tle[2], LINE2);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+
+  it('rejects elements SGP4 cannot initialize from', () => {
+    const decayed = `${LINE2.slice(0, 52)}20.00000000${LINE2.slice(63, 68)}5`;
+    assert.doesNotThrow(() => checkElementSet(['ISS', LINE1, LINE2], 25544));
+    assert.throws(() => checkElementSet(['ISS', LINE1, decayed], 25544), /SGP4 rejected the elements: the satellite has decayed/);
+  });
+
+  it('reports every failure when no source has the object', async () => {
+    const fakeFetch = async () => ({ ok: false, status: 404, text: async () => '' });
+    await assert.rejects(
+      fetchElementSet(25544, {
+        sources: [{ name: 'Primary', url: 'https://primary.test/{noradId}' }],
+        fetch: fakeFetch
+      }),
+      /NORAD 25544\. Primary answered 404\./
+    );
+  });
+
+  describe('manual import', () => {
+    const ISS_JSON = JSON.stringify([{
+      OBJECT_NAME: 'ISS (ZARYA)',
+      OBJECT_ID: '1998-067A',
+      EPOCH: '2019-06-05T12:12:58.000032',
+      MEAN_MOTION: 15.51174618,
+      ECCENTRICITY: 0.0008217,
+      INCLINATION: 51.6433,
+      RA_OF_ASC_NODE: 59.2583,
+      ARG_OF_PERICENTER: 16.4489,
+      MEAN_ANOMALY: 347.6017,
+      NORAD_CAT_ID: 25544,
+      ELEMENT_SET_NO: 999,
+      REV_AT_EPOCH: 17344,
+      BSTAR: 5.9442e-5,
+      MEAN_MOTION_DOT: 3.075e-5
+    }]);
+    let store;
+
+    before(() => {
+      store = new Map();
+      globalThis.localStorage = {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, value)
+      };
+    });
+
+    after(() => {
+      delete globalThis.localStorage;
+    });
+
+    it('caches pasted TLEs as manual elements that fetching then serves', async () => {
+      const imported = importElementSets(CATALOG);
+      assert.deepEqual(imported.map(({ noradId, format }) => [noradId, format]), [
+        [20580, 'tle'],
+        [25544, 'tle']
+      ]);
+      const result = await fetchElementSet(25544, {
+        sources: [],
+        fetch: async () => assert.fail('should not fetch')
+      });
+      assert.equal(result.source, 'Manual');
+      assert.deepEqual(result.tle, ISS_TLE);
+    });
+
+    it('recognizes OMM text', () => {
+      const [entry] = importElementSets(ISS_JSON);
+      assert.equal(entry.format, 'json');
+      assert.deepEqual(entry.tle, ISS_TLE);
+    });
+
+    it('rejects unrecognized or broken elements without caching them', () => {
+      store.clear();
+      assert.throws(() => importElementSets('<<no elements here>>'), /not OMM XML/);
+      assert.throws(() => importElementSets('ISS is up tonight'), /Unrecognized element data/);
+      const corrupt = `ISS (ZARYA)\n${LINE1}\n${LINE2.replace('51.6433', '51.6434')}`;
+      assert.throws(() => importElementSets(corrupt), /ISS \(ZARYA\): Line 2 checksum/);
+      assert.equal(store.size, 0);
+    });
+  });
+});
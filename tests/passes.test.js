@@ -0,0 +1,289 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import * as satellite from 'satellite.js';
+import {
+  computePasses,
+  computeSkyTrack,
+  describeVisibility,
+  findPassNear,
+  mergePassTimelines
+} from '../src/lib/passes.js';
+import { getMaskElevation } from '../src/lib/horizon.js';
+import { computeVisualMagnitude, getHorizonDip, getSunlitFraction } from '../src/lib/orbit.js';
+import { ISS_TLE as TLE, SEATTLE as observer, WINDOW_START as windowStart } from './fixtures.js';
+
+// Reference times are found by brute-force scanning the elevation at 50 ms
+// resolution.
+const SCAN_STEP_MS = 50;
+
+const elevationAt = (satrec, timeMs) => {
+  const time = new Date(timeMs);
+  const { position } = satellite.propagate(satrec, time);
+  const positionEcf = satellite.eciToEcf(position, satellite.gstime(time));
+  const look = satellite.ecfToLookAngles(
+    {
+      latitude: satellite.degreesToRadians(observer.lat),
+      longitude: satellite.degreesToRadians(observer.lon),
+      height: observer.height
+    },
+    positionEcf
+  );
+  return satellite.radiansToDegrees(look.elevation);
+};
+
+// First scan time at which the elevation sign flips to `rising`
+const scanCrossing = (satrec, aroundMs, rising) => {
+  for (let ms = aroundMs - 30000; ms <= aroundMs + 30000; ms += SCAN_STEP_MS) {
+    if ((elevationAt(satrec, ms) > 0) === rising) return ms;
+  }
+  return null;
+};
+
+const scanPeak = (satrec, aroundMs) => {
+  let best = { timeMs: aroundMs, elevation: -90 };
+  for (let ms = aroundMs - 30000; ms <= aroundMs + 30000; ms += SCAN_STEP_MS) {
+    const elevation = elevationAt(satrec, ms);
+    if (elevation > best.elevation) best = { timeMs: ms, elevation };
+  }
+  return best;
+};
+
+describe('computePasses refinement', () => {
+  let satrec;
+  let passes;
+
+  before(() => {
+    globalThis.satellite = satellite;
+    satrec = satellite.twoline2satrec(TLE[1], TLE[2]);
+    passes = computePasses(satrec, observer, windowStart);
+  });
+
+  it('finds the reference passes', () => {
+    assert.equal(passes.length, 19);
+    assert.equal(passes[2].start.toISOString().slice(0, 16), '2019-06-05T23:14');
+  });
+
+  it('refines rise and set to within a second of the reference', () => {
+    for (const pass of passes.slice(0, 6)) {
+      const rise = scanCrossing(satrec, pass.start.getTime(), true);
+      const set = scanCrossing(satrec, pass.end.getTime(), false);
+      assert.ok(Math.abs(pass.start.getTime() - rise) < 1000, `rise ${pass.start.toISOString()}`);
+      assert.ok(Math.abs(pass.end.getTime() - set) < 1000, `set ${pass.end.toISOString()}`);
+    }
+  });
+
+  it('refines culmination time and maximum elevation', () => {
+    for (const pass of passes.slice(0, 6)) {
+      const peak = scanPeak(satrec, pass.peakTime.getTime());
+      assert.ok(Math.abs(pass.peakTime.getTime() - peak.timeMs) < 1000, `peak ${pass.peakTime.toISOString()}`);
+      assert.ok(Math.abs(pass.maxElevation - peak.elevation) < 0.001);
+    }
+  });
+
+  it('times eclipse entry mid-penumbra', () => {
+    const sunlitFraction = (timeMs) => {
+      const time = new Date(timeMs);
+      return getSunlitFraction(satellite.propagate(satrec, time).position, time);
+    };
+    const eclipsed = passes.filter((pass) => pass.eclipseEntry);
+    assert.ok(eclipsed.length > 0);
+    for (const pass of eclipsed) {
+      const entryMs = pass.eclipseEntry.time.getTime();
+      assert.ok(pass.eclipseEntry.time >= pass.start && pass.eclipseEntry.time <= pass.end);
+      assert.ok(sunlitFraction(entryMs - 200) > 0.5 && sunlitFraction(entryMs + 200) < 0.5);
+      assert.ok(Math.abs(pass.eclipseEntry.elevation - elevationAt(satrec, entryMs)) < 0.01);
+      if (pass.visible) {
+        // A visible pass fades out where the shadow swallows it
+        assert.equal(+pass.visibleSegments.at(-1).end, entryMs);
+      }
+    }
+  });
+
+  it('keeps visible segments inside the pass', () => {
+    const visible = passes.filter((pass) => pass.visible);
+    assert.ok(visible.length > 0);
+    for (const pass of visible) {
+      for (const segment of pass.visibleSegments) {
+        assert.ok(segment.start >= pass.start && segment.end <= pass.end);
+        assert.ok(segment.end > segment.start);
+      }
+    }
+  });
+});
+
+describe('computePasses options', () => {
+  let satrec;
+
+  before(() => {
+    globalThis.satellite = satellite;
+    satrec = satellite.twoline2satrec(TLE[1], TLE[2]);
+  });
+
+  it('only counts the time spent above the minimum elevation', () => {
+    const passes = computePasses(satrec, observer, windowStart, { minElevation: 10 });
+    const unmasked = computePasses(satrec, observer, windowStart);
+    assert.ok(passes.length > 0 && passes.length < unmasked.length);
+    for (const pass of passes) {
+      assert.ok(pass.maxElevation > 10);
+      assert.ok(Math.abs(elevationAt(satrec, pass.start.getTime()) - 10) < 0.05);
+      assert.ok(Math.abs(elevationAt(satrec, pass.end.getTime()) - 10) < 0.05);
+    }
+  });
+
+  it('predicts across a custom window length', () => {
+    const windowHours = 240;
+    const passes = computePasses(satrec, observer, windowStart, { windowHours });
+    const windowEnd = windowStart.getTime() + windowHours * 3600 * 1000;
+    assert.ok(passes.length > 19);
+    assert.ok(passes.at(-1).end.getTime() <= windowEnd);
+    assert.ok(passes.at(-1).start.getTime() > windowStart.getTime() + 216 * 3600 * 1000);
+  });
+
+  it('rises and sets on the dipped horizon of an elevated observer', () => {
+    const mountain = { ...observer, height: 3 };
+    const dip = getHorizonDip(mountain.height);
+    const seaLevel = computePasses(satrec, observer, windowStart);
+    const passes = computePasses(satrec, mountain, windowStart);
+    assert.ok(Math.abs(dip - 1.76) < 0.01);
+    assert.ok(passes.length >= seaLevel.length);
+    for (const pass of seaLevel) {
+      const elevated = passes.find((other) => other.start < pass.start && other.end > pass.end);
+      assert.ok(elevated, `no elevated pass around ${pass.start.toISOString()}`);
+      const riseMs = elevated.start.getTime();
+      const look = satellite.ecfToLookAngles(
+        {
+          latitude: satellite.degreesToRadians(mountain.lat),
+          longitude: satellite.degreesToRadians(mountain.lon),
+          height: mountain.height
+        },
+        satellite.eciToEcf(
+          satellite.propagate(satrec, new Date(riseMs)).position,
+          satellite.gstime(new Date(riseMs))
+        )
+      );
+      assert.ok(Math.abs(satellite.radiansToDegrees(look.elevation) + dip) < 0.05);
+    }
+  });
+
+  it('predicts the brightest magnitude of visible passes', () => {
+    const passes = computePasses(satrec, observer, windowStart, { standardMagnitude: -1.8 });
+    const fainter = computePasses(satrec, observer, windowStart, { standardMagnitude: 2.2 });
+    for (const [index, pass] of passes.entries()) {
+      if (!pass.visible) {
+        assert.equal(pass.magnitude, null);
+        continue;
+      }
+      assert.ok(pass.magnitude > -4 && pass.magnitude < 3, `magnitude ${pass.magnitude}`);
+      assert.ok(pass.magnitudeTime >= pass.start && pass.magnitudeTime <= pass.end);
+      const { position } = satellite.propagate(satrec, pass.magnitudeTime);
+      const check = computeVisualMagnitude(position, observer, pass.magnitudeTime, -1.8);
+      assert.ok(Math.abs(check.magnitude - pass.magnitude) < 1e-9);
+      assert.ok(check.range > 400 && check.phaseAngle > 0 && check.phaseAngle < 180);
+      assert.ok(Math.abs(fainter[index].magnitude - pass.magnitude - 4) < 1e-9);
+    }
+    assert.ok(passes.some((pass) => pass.magnitude !== null));
+    const unknown = computePasses(satrec, observer, windowStart);
+    assert.ok(unknown.every((pass) => pass.magnitude === null));
+  });
+
+  it('only counts visibility above the horizon mask', () => {
+    // Trees to the west and a house to the north
+    const horizonMask = [20, 20, 0, 0, 0, 0, 30, 30];
+    const unmasked = computePasses(satrec, observer, windowStart);
+    const masked = computePasses(satrec, observer, windowStart, { horizonMask });
+    assert.equal(masked.length, unmasked.length);
+    const maskedVisible = masked.filter((pass) => pass.visible);
+    assert.ok(maskedVisible.length > 0);
+    for (const pass of maskedVisible) {
+      const reference = unmasked.find((other) => +other.start === +pass.start);
+      assert.ok(pass.visibleSegments[0].start > reference.visibleSegments[0].start);
+      for (const segment of pass.visibleSegments) {
+        const midMs = (segment.start.getTime() + segment.end.getTime()) / 2;
+        const { position } = satellite.propagate(satrec, new Date(midMs));
+        const look = satellite.ecfToLookAngles(
+          {
+            latitude: satellite.degreesToRadians(observer.lat),
+            longitude: satellite.degreesToRadians(observer.lon),
+            height: observer.height
+          },
+          satellite.eciToEcf(position, satellite.gstime(new Date(midMs)))
+        );
+        const azimuth = satellite.radiansToDegrees(look.azimuth);
+        assert.ok(elevationAt(satrec, midMs) > getMaskElevation(horizonMask, azimuth));
+      }
+      assert.equal(describeVisibility(pass), 'Visible in part of pass (partly obstructed)');
+    }
+  });
+
+  it('reports passes hidden entirely by the horizon mask', () => {
+    const horizonMask = Array(8).fill(90);
+    const passes = computePasses(satrec, observer, windowStart, { horizonMask });
+    assert.ok(passes.every((pass) => !pass.visible));
+    const hidden = passes.filter((pass) => pass.obstructed);
+    assert.ok(hidden.length > 0);
+    assert.equal(describeVisibility(hidden[0]), 'Not visible (blocked by your horizon)');
+  });
+});
+
+describe('findPassNear', () => {
+  before(() => {
+    globalThis.satellite = satellite;
+  });
+
+  it('re-predicts a pass with other elements', () => {
+    const satrec = satellite.twoline2satrec(TLE[1], TLE[2]);
+    const [pass] = computePasses(satrec, observer, windowStart);
+    const again = findPassNear(satrec, observer, pass.start);
+    assert.ok(Math.abs(again.start - pass.start) < 1000);
+
+    // Half a degree further back along the orbit: about 8 s behind
+    const behind = satellite.twoline2satrec(TLE[1], TLE[2].replace('347.6017', '347.1017'));
+    const shiftSeconds = (findPassNear(behind, observer, pass.start).start - pass.start) / 1000;
+    assert.ok(shiftSeconds > 5 && shiftSeconds < 11, `shift ${shiftSeconds} s`);
+  });
+});
+
+describe('computeSkyTrack', () => {
+  it('samples the pass from rise to set', () => {
+    globalThis.satellite = satellite;
+    const satrec = satellite.twoline2satrec(TLE[1], TLE[2]);
+    const pass = computePasses(satrec, observer, windowStart).find((p) => p.visible);
+    const track = computeSkyTrack(satrec, observer, pass);
+
+    assert.equal(track[0].time.getTime(), pass.start.getTime());
+    assert.equal(track.at(-1).time.getTime(), pass.end.getTime());
+    assert.ok(Math.abs(track[0].azimuth - pass.startAz) < 1e-9);
+    assert.ok(Math.abs(track.at(-1).azimuth - pass.endAz) < 0.01);
+    const highest = Math.max(...track.map((point) => point.elevation));
+    assert.ok(highest <= pass.maxElevation + 0.01);
+    assert.ok(highest > pass.maxElevation - 0.5);
+  });
+});
+
+const makePass = (startIso, noradId) => ({
+  start: new Date(startIso),
+  satellite: { noradId }
+});
+
+describe('mergePassTimelines', () => {
+  it('merges per-object passes into one chronological timeline', () => {
+    const iss = [
+      makePass('2026-07-11T04:32:00.000Z', 25544),
+      makePass('2026-07-11T06:08:00.000Z', 25544)
+    ];
+    const hubble = [
+      makePass('2026-07-11T03:10:00.000Z', 20580),
+      makePass('2026-07-11T05:00:00.000Z', 20580)
+    ];
+    const merged = mergePassTimelines([iss, hubble]);
+    assert.deepEqual(
+      merged.map((pass) => pass.satellite.noradId),
+      [20580, 25544, 20580, 25544]
+    );
+  });
+
+  it('handles empty timelines', () => {
+    assert.deepEqual(mergePassTimelines([]), []);
+    assert.deepEqual(mergePassTimelines([[], []]), []);
+  });
+});
@@ -0,0 +1,179 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import * as satellite from 'satellite.js';
+import { createPredictor } from '../src/lib/predictor.js';
+import { findTransits } from '../src/lib/transits.js';
+import { ISS_TLE as TLE, SEATTLE as observer, WINDOW_START as start } from './fixtures.js';
+
+const ISS = { noradId: 25544, name: 'International Space Station', shortName: 'ISS', standardMagnitude: -1.8 };
+const predictParams = { watchlist: [{ satellite: ISS, tle: TLE }], observer, start };
+
+// Stands in for the module worker: records what the predictor posts and
+// lets a test answer as the worker would
+class FakeWorker {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.posted = [];
+    this.listeners = { message: [], error: [] };
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(data) {
+    this.listeners.message.forEach((listener) => listener({ data }));
+  }
+
+  fail() {
+    this.listeners.error.forEach((listener) => listener(new Event('error')));
+  }
+}
+
+describe('prediction worker client', () => {
+  before(() => {
+    globalThis.satellite = satellite;
+  });
+
+  describe('with a worker', () => {
+    let worker;
+    let predictor;
+
+    before(() => {
+      globalThis.Worker = FakeWorker;
+    });
+
+    after(() => {
+      delete globalThis.Worker;
+    });
+
+    beforeEach(() => {
+      predictor = createPredictor();
+      worker = FakeWorker.instances.at(-1);
+    });
+
+    it('starts the prediction worker as a module', () => {
+      assert.match(String(worker.url), /workers\/predict\.worker\.js$/);
+      assert.deepEqual(worker.options, { type: 'module' });
+    });
+
+    it('streams progress and resolves when the worker is done', async () => {
+      const updates = [];
+      const result = predictor.predictPasses(predictParams, (update) => updates.push(update.progress));
+      const [{ type, id }] = worker.posted;
+      assert.equal(type, 'predict');
+      worker.reply({ type: 'progress', id, passes: [], progress: 0.5 });
+      worker.reply({ type: 'done', id });
+      assert.deepEqual(await result, { cancelled: false });
+      assert.deepEqual(updates, [0.5]);
+    });
+
+    it('settles a cancelled prediction as cancelled and ignores its late progress', async () => {
+      const updates = [];
+      const first = predictor.predictPasses(predictParams, () => updates.push('first'));
+      const firstId = worker.posted[0].id;
+      // Starting another prediction cancels the first
+      const second = predictor.predictPasses(predictParams, () => updates.push('second'));
+      assert.deepEqual(await first, { cancelled: true });
+      assert.deepEqual(worker.posted[1], { type: 'cancel', id: firstId });
+
+      worker.reply({ type: 'progress', id: firstId, passes: [], progress: 0.9 });
+      worker.reply({ type: 'done', id: firstId });
+      predictor.cancel();
+      assert.deepEqual(await second, { cancelled: true });
+      assert.deepEqual(updates, []);
+      assert.equal(worker.posted.at(-1).type, 'cancel');
+    });
+
+    it('resolves ground tracks and transits, and rejects on a worker error message', async () => {
+      const track = predictor.groundTrack({ tle: TLE, start, minutes: 10, stepSeconds: 30 });
+      const transits = predictor.transits({ tle: TLE, observer, start, options: { margin: 2 } });
+      const [trackMessage, transitsMessage] = worker.posted;
+      assert.equal(trackMessage.type, 'groundTrack');
+      assert.deepEqual(
+        { ...transitsMessage, id: undefined },
+        { type: 'transits', id: undefined, tle: TLE, observer, start, options: { margin: 2 } }
+      );
+      worker.reply({ type: 'transits', id: transitsMessage.id, transits: ['event'] });
+      worker.reply({ type: 'error', id: trackMessage.id, message: 'Bad elements.' });
+      assert.deepEqual(await transits, ['event']);
+      await assert.rejects(track, /Bad elements\./);
+    });
+
+    it('cancels a transit search that a newer one replaces', async () => {
+      const first = predictor.transits({ tle: TLE, observer, start });
+      const second = predictor.transits({ tle: TLE, observer, start });
+      const [firstMessage, cancelMessage, secondMessage] = worker.posted;
+      assert.deepEqual(cancelMessage, { type: 'cancel', id: firstMessage.id });
+      assert.equal(await first, null);
+
+      worker.reply({ type: 'transits', id: firstMessage.id, transits: ['late'] });
+      worker.reply({ type: 'transits', id: secondMessage.id, transits: ['event'] });
+      assert.deepEqual(await second, ['event']);
+    });
+
+    it('fails every pending request when the worker fails, then runs inline', async () => {
+      const prediction = predictor.predictPasses(predictParams, () => {});
+      const transits = predictor.transits({ tle: TLE, observer, start });
+      worker.fail();
+      await assert.rejects(prediction, /Prediction worker failed\./);
+      await assert.rejects(transits, /Prediction worker failed\./);
+      assert.equal(worker.terminated, true);
+
+      const posted = worker.posted.length;
+      const track = await predictor.groundTrack({ tle: TLE, start, minutes: 10, stepSeconds: 30 });
+      assert.equal(track.length, 21);
+      assert.equal(worker.posted.length, posted);
+    });
+  });
+
+  describe('without Worker', () => {
+    it('predicts passes and transits on the main thread', async () => {
+      assert.equal(typeof globalThis.Worker, 'undefined');
+      const predictor = createPredictor();
+      const updates = [];
+      const result = await predictor.predictPasses(
+        { ...predictParams, options: { windowHours: 24 } },
+        (update) => updates.push(update)
+      );
+      assert.deepEqual(result, { cancelled: false });
+      assert.equal(updates.length, 1);
+      assert.equal(updates[0].progress, 1);
+      assert.ok(updates[0].passes.length > 0);
+      assert.ok(updates[0].passes.every((pass) => pass.satellite.noradId === ISS.noradId));
+
+      const satrec = satellite.twoline2satrec(TLE[1], TLE[2]);
+      const options = { windowHours: 24, margin: 0.5 };
+      assert.deepEqual(
+        await predictor.transits({ tle: TLE, observer, start, options }),
+        findTransits(satrec, observer, start, options)
+      );
+    });
+
+    it('rejects when an inline prediction throws, then predicts again', async () => {
+      const predictor = createPredictor();
+      const failing = () => {
+        throw new Error('Render failed.');
+      };
+      await assert.rejects(predictor.predictPasses(predictParams, failing), /Render failed\./);
+      const result = await predictor.predictPasses(
+        { ...predictParams, options: { windowHours: 1 } },
+        () => {}
+      );
+      assert.deepEqual(result, { cancelled: false });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  createCustomSatellite,
+  DEFAULT_NORAD_ID,
+  findSatellite,
+  listSatellites,
+  normalizeNoradId,
+  SATELLITE_CATALOG
+} from '../src/lib/satellites.js';
+
+describe('satellite catalog', () => {
+  it('parses NORAD IDs from input and stored values', () => {
+    assert.equal(normalizeNoradId(' 25544 '), 25544);
+    assert.equal(normalizeNoradId(48274), 48274);
+    assert.equal(normalizeNoradId('000123'), 123);
+    assert.equal(normalizeNoradId('999999999'), 999999999);
+    for (const value of ['', '0', '-5', '25544a', '1e5', '12.5', '1000000000', null, undefined]) {
+      assert.equal(normalizeNoradId(value), null, `${value} is not a catalog number`);
+    }
+  });
+
+  it('names custom objects from their title line', () => {
+    assert.deepEqual(createCustomSatellite(43013, '  NOAA 20  '), {
+      noradId: 43013,
+      name: 'NOAA 20',
+      shortName: 'NOAA 20',
+      standardMagnitude: null,
+      custom: true
+    });
+    const untitled = createCustomSatellite(43013);
+    assert.equal(untitled.name, 'NORAD 43013');
+    assert.equal(untitled.shortName, '#43013');
+    assert.equal(createCustomSatellite(1, 'X'.repeat(60)).name.length, 40);
+  });
+
+  it('looks up the catalog, then custom entries, then a generic entry', () => {
+    const custom = [{ noradId: 43013, name: 'NOAA 20' }, { noradId: 25544, name: 'Renamed' }];
+    assert.equal(findSatellite(DEFAULT_NORAD_ID, custom), SATELLITE_CATALOG[0]);
+    assert.equal(findSatellite(43013, custom).name, 'NOAA 20');
+    assert.equal(findSatellite(99999, custom).name, 'NORAD 99999');
+  });
+
+  it('lists the catalog first and skips custom duplicates of it', () => {
+    const list = listSatellites([{ noradId: 25544, name: 'Renamed' }, { noradId: 43013, name: 'NOAA 20' }]);
+    assert.deepEqual(list.map((sat) => sat.noradId), [25544, 48274, 20580, 43013]);
+    assert.equal(list[0].name, 'International Space Station');
+  });
+});
@@ -54,6 +54,27 @@ describe('share link params', () => {
     assert.equal(parseShareParams('').observer, null);
   });
 
+  it('carries the NORAD ID only for objects other than the ISS', () => {
+    const pass = makePass('2026-07-11T04:32:00.000Z');
+    assert.equal(buildShareParams(observer, pass, '', 25544).has('sat'), false);
+    const params = buildShareParams(observer, pass, '', 20580);
+    assert.equal(params.get('sat'), '20580');
+    assert.equal(parseShareParams(`?${params.toString()}`).noradId, 20580);
+    assert.equal(parseShareParams('?lat=1&lon=1').noradId, null);
+    assert.equal(parseShareParams('?lat=1&lon=1&sat=abc').noradId, null);
+    assert.equal(parseShareParams('?lat=1&lon=1&sat=0').noradId, null);
+  });
+
+  it('carries the observer altitude in meters when above sea level', () => {
+    const pass = makePass('2026-07-11T04:32:00.000Z');
+    assert.equal(buildShareParams(observer, pass).has('alt'), false);
+    const params = buildShareParams({ ...observer, height: 1.6093 }, pass);
+    assert.equal(params.get('alt'), '1609');
+    assert.equal(parseShareParams(`?${params.toString()}`).observer.height, 1.609);
+    assert.equal(parseShareParams('?lat=1&lon=1&alt=12000').observer.height, undefined);
+    assert.equal(parseShareParams('?lat=1&lon=1&alt=high').observer.height, undefined);
+  });
+
   it('rejects malformed pass timestamps but keeps valid coordinates', () => {
     const parsed = parseShareParams('?lat=47.6&lon=-122.3&pass=not-a-date');
     assert.deepEqual(parsed.observer, { lat: 47.6, lon: -122.3 });
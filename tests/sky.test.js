@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  precessFromJ2000,
+  equatorialToHorizontal,
+  getPlanetPositions,
+  getSkyObjects,
+  getAngularSeparation,
+  findSkyNeighbor,
+  describeSkyNeighbor
+} from '../src/lib/sky.js';
+import { getGreenwichSiderealTime } from '../src/lib/sun.js';
+
+const close = (actual, expected, tolerance, label) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${label}: ${actual} vs ${expected}`
+  );
+
+const separation = (a, b) =>
+  getAngularSeparation(
+    { azimuth: a.rightAscension, elevation: a.declination },
+    { azimuth: b.rightAscension, elevation: b.declination }
+  );
+
+const seattle = { lat: 47.6062, lon: -122.3321 };
+
+describe('precessFromJ2000', () => {
+  it('matches Meeus example 21.b (θ Persei to 2028 Nov 13.19)', () => {
+    // J2000 position with the example's 28.87 years of proper motion applied
+    const { rightAscension, declination } = precessFromJ2000(
+      41.054063,
+      49.227750,
+      new Date('2028-11-13T04:33:36Z')
+    );
+    close(rightAscension, 41.547214, 1e-4, 'right ascension');
+    close(declination, 49.348483, 1e-4, 'declination');
+  });
+});
+
+describe('equatorialToHorizontal', () => {
+  it('puts a star on the south meridian when its hour angle is zero', () => {
+    const date = new Date('2026-07-11T06:00:00Z');
+    const localSiderealTime = getGreenwichSiderealTime(date) + seattle.lon;
+    const look = equatorialToHorizontal(localSiderealTime, 10, date, seattle);
+    close(look.azimuth, 180, 1e-6, 'azimuth');
+    close(look.elevation, 90 - seattle.lat + 10, 1e-6, 'elevation');
+  });
+
+  it('keeps the celestial pole at the observer latitude due north', () => {
+    const look = equatorialToHorizontal(0, 90, new Date('2026-01-01T00:00:00Z'), seattle);
+    close(look.elevation, seattle.lat, 1e-6, 'elevation');
+    close(look.azimuth % 360, 0, 1e-6, 'azimuth');
+  });
+});
+
+describe('getPlanetPositions', () => {
+  const byName = (date) =>
+    Object.fromEntries(getPlanetPositions(date).map((planet) => [planet.name, planet]));
+
+  it('reproduces the 2020 great conjunction of Jupiter and Saturn', () => {
+    const planets = byName(new Date('2020-12-21T18:00:00Z'));
+    close(separation(planets.Jupiter, planets.Saturn), 0.1, 0.05, 'separation');
+  });
+
+  it('reproduces the 2023 Venus–Jupiter conjunction', () => {
+    const planets = byName(new Date('2023-03-02T00:00:00Z'));
+    close(separation(planets.Venus, planets.Jupiter), 0.5, 0.1, 'separation');
+    assert.ok(planets.Venus.magnitude < planets.Jupiter.magnitude);
+  });
+
+  it('gives Mars near opposition a bright magnitude', () => {
+    const planets = byName(new Date('2020-10-13T23:00:00Z'));
+    close(planets.Mars.magnitude, -2.6, 0.2, 'magnitude');
+  });
+});
+
+describe('getSkyObjects', () => {
+  it('lists stars, planets and the Moon above the horizon', () => {
+    const objects = getSkyObjects(new Date('2026-07-11T06:00:00Z'), seattle);
+    assert.ok(objects.every((object) => object.elevation > 0));
+    const polaris = objects.find((object) => object.name === 'Polaris');
+    close(polaris.elevation, seattle.lat, 1, 'Polaris elevation');
+    assert.ok(objects.some((object) => object.name === 'Vega'));
+    assert.ok(!objects.some((object) => object.name === 'Canopus'));
+  });
+});
+
+describe('findSkyNeighbor', () => {
+  const vega = { name: 'Vega', kind: 'star', azimuth: 90, elevation: 60 };
+  const moon = { name: 'Moon', kind: 'moon', azimuth: 200, elevation: 20 };
+
+  it('places a satellite relative to the nearest object', () => {
+    const neighbor = findSkyNeighbor({ azimuth: 90, elevation: 58.5 }, [vega, moon]);
+    assert.equal(neighbor.object, vega);
+    assert.equal(neighbor.relation, 'below');
+    assert.equal(describeSkyNeighbor(neighbor), 'just below Vega');
+  });
+
+  it('uses left and right as seen facing the object', () => {
+    const neighbor = findSkyNeighbor({ azimuth: 206, elevation: 21 }, [vega, moon]);
+    assert.equal(neighbor.relation, 'right of');
+    assert.equal(describeSkyNeighbor(neighbor), '6° right of the Moon');
+  });
+
+  it('finds nothing when every object is far away', () => {
+    assert.equal(findSkyNeighbor({ azimuth: 300, elevation: 10 }, [vega, moon]), null);
+    assert.equal(describeSkyNeighbor(null), '');
+  });
+});
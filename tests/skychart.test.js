@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  interpolateSkyTrack,
+  buildSkyTrackPaths,
+  buildMinuteTicks
+} from '../src/lib/skychart.js';
+
+const center = 80;
+const radius = 60;
+const at = (seconds) => new Date(Date.UTC(2026, 6, 11, 4, 30, seconds));
+
+// Straight south-to-north overhead pass, 30 s samples over 4 minutes
+const track = Array.from({ length: 9 }, (_, index) => {
+  const elevation = 90 - Math.abs(index - 4) * 22.5;
+  return { time: at(index * 30), azimuth: index < 4 ? 180 : 0, elevation };
+});
+
+const assertNear = (actual, expected) => {
+  assert.ok(Math.abs(actual.x - expected.x) < 0.05, `x ${actual.x} vs ${expected.x}`);
+  assert.ok(Math.abs(actual.y - expected.y) < 0.05, `y ${actual.y} vs ${expected.y}`);
+};
+
+const parsePoints = (path) =>
+  [...path.matchAll(/[ML](-?[\d.]+) (-?[\d.]+)/g)].map(([, x, y]) => ({
+    x: Number(x),
+    y: Number(y)
+  }));
+
+describe('interpolateSkyTrack', () => {
+  it('lands on the samples and between them', () => {
+    const point = (seconds) => interpolateSkyTrack(track, at(seconds).getTime(), center, radius);
+    assertNear(point(0), { x: center, y: center + radius });
+    assertNear(point(120), { x: center, y: center });
+    assertNear(point(15), { x: center, y: center + radius * 0.875 });
+  });
+
+  it('returns null outside the pass', () => {
+    assert.equal(interpolateSkyTrack(track, at(-1).getTime(), center, radius), null);
+    assert.equal(interpolateSkyTrack(track, at(241).getTime(), center, radius), null);
+    assert.equal(interpolateSkyTrack([], at(0).getTime(), center, radius), null);
+  });
+});
+
+describe('buildSkyTrackPaths', () => {
+  it('splits the path where the pass becomes visible', () => {
+    const paths = buildSkyTrackPaths(
+      track,
+      [{ start: at(75), end: at(240) }],
+      center,
+      radius
+    );
+    const hidden = parsePoints(paths.hidden);
+    const visible = parsePoints(paths.visible);
+    assert.equal(paths.hidden.match(/M/g).length, 1);
+    assert.equal(paths.visible.match(/M/g).length, 1);
+    // Both stretches meet at the visibility change, 75 s after rise
+    assert.deepEqual(hidden.at(-1), visible[0]);
+    assertNear(visible[0], { x: center, y: center + radius * 0.375 });
+    assertNear(visible.at(-1), { x: center, y: center - radius });
+  });
+
+  it('draws an unseen pass as a single hidden stretch', () => {
+    const paths = buildSkyTrackPaths(track, [], center, radius);
+    assert.equal(paths.visible, '');
+    assert.equal(parsePoints(paths.hidden).length, track.length);
+  });
+});
+
+describe('buildMinuteTicks', () => {
+  it('places one tick across the track at each whole minute after rise', () => {
+    const ticks = buildMinuteTicks(track, center, radius, 6);
+    const points = parsePoints(ticks);
+    assert.equal(ticks.match(/M/g).length, 3);
+    // Perpendicular to a north-south track: horizontal and 6 units long
+    const [from, to] = points;
+    assertNear({ x: Math.min(from.x, to.x), y: from.y }, { x: center - 3, y: center + radius * 0.5 });
+    assertNear({ x: Math.max(from.x, to.x), y: to.y }, { x: center + 3, y: center + radius * 0.5 });
+  });
+});
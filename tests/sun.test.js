@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  getSolarPosition,
+  getGreenwichSiderealTime,
+  getSunSubPoint,
+  getSunAltitude,
+  computeTerminator
+} from '../src/lib/sun.js';
+
+const close = (actual, expected, tolerance, label) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${label}: ${actual} vs ${expected}`
+  );
+
+describe('solar ephemeris', () => {
+  it('matches Meeus example 25.a (1992 Oct 13.0)', () => {
+    const sun = getSolarPosition(new Date('1992-10-13T00:00:00Z'));
+    close(sun.rightAscension, 198.38083, 0.001, 'right ascension');
+    close(sun.declination, -7.78507, 0.001, 'declination');
+    close(sun.longitude, 199.90895, 0.001, 'apparent longitude');
+    close(sun.distanceAu, 0.99766, 0.00001, 'distance');
+  });
+
+  it('matches Meeus example 12.a sidereal time (1987 Apr 10, 0h UT)', () => {
+    // 13h10m46.3668s
+    close(getGreenwichSiderealTime(new Date('1987-04-10T00:00:00Z')), 197.693195, 1e-5, 'GMST');
+  });
+
+  it('places the Sun on the equator and solstice at the almanac instants', () => {
+    // 2024 March equinox 03:06 UT and June solstice 20:51 UT
+    const equinox = getSolarPosition(new Date('2024-03-20T03:06:00Z'));
+    close(equinox.longitude, 0, 0.01, 'equinox longitude');
+    close(equinox.declination, 0, 0.01, 'equinox declination');
+    const solstice = getSolarPosition(new Date('2024-06-20T20:51:00Z'));
+    close(solstice.longitude, 90, 0.01, 'solstice longitude');
+    close(solstice.declination, 23.4386, 0.01, 'solstice declination');
+  });
+});
+
+describe('getSunSubPoint', () => {
+  it('follows the equation of time', () => {
+    // Early November the Sun runs ~16.4 min fast, so at 12:00 UT it has
+    // already crossed Greenwich and sits ~4.1° to the west
+    const point = getSunSubPoint(new Date('2024-11-03T12:00:00Z'));
+    close(point.lon, -4.11, 0.05, 'longitude');
+    close(point.lat, -15.30, 0.05, 'latitude');
+  });
+
+  it('puts the Sun at the zenith of the sub-solar point', () => {
+    const date = new Date('2019-06-05T04:00:00Z');
+    close(getSunAltitude(date, getSunSubPoint(date)), 90, 1e-6, 'altitude');
+  });
+});
+
+describe('computeTerminator', () => {
+  it('traces the line where the Sun is on the horizon', () => {
+    const date = new Date('2024-11-03T12:00:00Z');
+    const polygon = computeTerminator(date, { resolution: 1, longitudeRange: 360 });
+    assert.equal(polygon.length, 361 + 2);
+    // Southern declination: the north pole is in darkness
+    assert.deepEqual(polygon[0], [90, -180]);
+    for (const [lat, lon] of polygon.slice(1, -1)) {
+      close(getSunAltitude(date, { lat, lon }), 0, 1e-6, `altitude at ${lon}`);
+    }
+  });
+});
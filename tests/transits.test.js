@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import * as satellite from 'satellite.js';
+import { findTransits, generateTransits, getGroundOffset } from '../src/lib/transits.js';
+import { ISS_TLE as TLE, SEATTLE as observer, WINDOW_START as windowStart } from './fixtures.js';
+
+describe('getGroundOffset', () => {
+  it('measures great-circle distance and initial bearing', () => {
+    const east = getGroundOffset({ lat: 0, lon: 0 }, { lat: 0, lon: 1 });
+    assert.ok(Math.abs(east.distanceKm - 111.19) < 0.01);
+    assert.ok(Math.abs(east.bearing - 90) < 1e-9);
+    const north = getGroundOffset({ lat: 10, lon: 20 }, { lat: 11, lon: 20 });
+    assert.ok(Math.abs(north.bearing) < 1e-9);
+  });
+});
+
+describe('findTransits', () => {
+  let satrec;
+
+  before(() => {
+    globalThis.satellite = satellite;
+    satrec = satellite.twoline2satrec(TLE[1], TLE[2]);
+  });
+
+  it('reports only approaches within the margin of the disk', () => {
+    const events = findTransits(satrec, observer, windowStart, { margin: 0.5 });
+    assert.equal(events.length, 1);
+    const [event] = events;
+    assert.equal(event.body, 'sun');
+    assert.equal(event.transit, false);
+    assert.equal(event.duration, 0);
+    assert.ok(event.separation > event.bodyRadius);
+    assert.ok(event.separation < event.bodyRadius + 0.5);
+    assert.equal(findTransits(satrec, observer, windowStart, { margin: 0.1 }).length, 0);
+  });
+
+  it('sees a dead-center transit from the best spot on the centerline', () => {
+    const [approach] = findTransits(satrec, observer, windowStart, {
+      margin: 20,
+      bodies: ['sun']
+    });
+    const { bestSpot } = approach;
+    assert.ok(approach.centerline.length > 1);
+    assert.ok(bestSpot.distanceKm < 200);
+
+    const spot = { lat: bestSpot.lat, lon: bestSpot.lon, height: 0 };
+    const [transit] = findTransits(satrec, spot, windowStart, {
+      margin: 0.5,
+      bodies: ['sun']
+    });
+    assert.equal(transit.transit, true);
+    assert.ok(transit.separation < 0.01);
+    assert.ok(Math.abs(transit.time - bestSpot.time) < 100);
+    // The ISS crosses the half-degree solar disk in about a second
+    assert.ok(transit.duration > 0.3 && transit.duration < 3);
+    assert.ok(transit.bestSpot.distanceKm < 0.5);
+  });
+
+  it('skips bodies that are not requested', () => {
+    const events = findTransits(satrec, observer, windowStart, { margin: 20, bodies: ['moon'] });
+    assert.ok(events.length > 0);
+    assert.ok(events.every((event) => event.body === 'moon'));
+  });
+
+  it('yields the events pass by pass', () => {
+    const options = { margin: 20, bodies: ['moon'], windowHours: 24 };
+    const passes = [...generateTransits(satrec, observer, windowStart, options)];
+    assert.ok(passes.length > 1);
+    assert.ok(passes.some((events) => events.length === 0));
+    assert.deepEqual(passes.flat(), findTransits(satrec, observer, windowStart, options));
+  });
+});
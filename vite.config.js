@@ -12,12 +12,16 @@ export default defineConfig({
       output: {
         manualChunks: {
           vendor: ['three', 'globe.gl'],
-          leaflet: ['leaflet', '@joergdietrich/leaflet.terminator'],
-          satellite: ['satellite.js', 'suncalc']
+          leaflet: ['leaflet'],
+          satellite: ['satellite.js']
         }
       }
     }
   },
+  worker: {
+    // Module worker output so the prediction worker can share lib chunks
+    format: 'es'
+  },
   server: {
     port: 3000,
     open: true
@@ -26,6 +30,6 @@ export default defineConfig({
     port: 4173
   },
   optimizeDeps: {
-    include: ['three', 'globe.gl', 'leaflet', 'satellite.js', 'suncalc']
+    include: ['three', 'globe.gl', 'leaflet', 'satellite.js']
   }
 });